@@ -2,24 +2,26 @@
 
 /**
  * Build release packages for nspecify
- * Creates distribution packages with template variants
+ * Creates a template package per AI assistant and script variant
  */
 
 import { readFile, writeFile, rm, readdir } from 'fs/promises';
-import { join, dirname, basename } from 'path';
+import { join, dirname, basename, relative, sep } from 'path';
 import { existsSync } from 'fs';
 import { createWriteStream } from 'fs';
 import { fileURLToPath } from 'url';
 import archiver from 'archiver';
-import { ensureDirectory } from '../src/utils/files.js';
+import { ensureDirectory, hashFile } from '../src/utils/files.js';
 import { logger as log } from '../src/utils/logger.js';
-import { validateTemplateStructure } from '../src/utils/templates.js';
+import { validateTemplateStructure, generateAgentCommands } from '../src/utils/templates.js';
+import { getAssistantIds } from '../src/utils/assistants.js';
 import { execSync } from 'child_process';
 
 const PACKAGE_JSON_PATH = join(process.cwd(), 'package.json');
 const TEMPLATES_DIR = join(process.cwd(), 'templates');
 const DIST_DIR = join(process.cwd(), 'dist');
 const CHANGELOG_PATH = join(process.cwd(), 'CHANGELOG.md');
+const CHECKSUMS_FILE = 'SHA256SUMS';
 
 /**
  * Read current version from package.json
@@ -61,10 +63,11 @@ async function updatePackageVersion(newVersion) {
 /**
  * Create a manifest file for the release
  */
-async function createManifest(version, variant) {
+async function createManifest(version, variant, aiTool) {
   return {
     version,
     variant,
+    aiTool,
     created: new Date().toISOString(),
     tool: 'nspecify',
     compatibility: {
@@ -107,6 +110,18 @@ async function createArchive(sourceDir, outputPath) {
   });
 }
 
+/**
+ * Write the SHA-256 checksum of an archive next to it as <archive>.sha256
+ * The CLI downloads this file to verify templates before extracting them
+ * @param {string} archivePath - Archive path
+ * @returns {Promise<string>} Checksum line in sha256sum format
+ */
+async function createChecksum(archivePath) {
+  const line = `${await hashFile(archivePath)}  ${basename(archivePath)}`;
+  await writeFile(`${archivePath}.sha256`, `${line}\n`);
+  return line;
+}
+
 /**
  * Build release packages
  */
@@ -138,65 +153,78 @@ async function buildRelease(options = {}) {
     }
     await ensureDirectory(DIST_DIR);
 
-    // Create release packages for each variant
+    // Create release packages for each assistant and variant, named the way
+    // the CLI downloads them
     const variants = ['sh', 'ps'];
     const packages = [];
-
-    for (const variant of variants) {
-      log.info(`Building ${variant} variant...`);
-
-      // Create variant-specific directory
-      const variantDir = join(DIST_DIR, `nspecify-${newVersion}-${variant}`);
-      await ensureDirectory(variantDir);
-
-      // Copy templates
-      const templateFiles = await readdir(TEMPLATES_DIR, { recursive: true, withFileTypes: true });
-      for (const file of templateFiles) {
-        if (file.isFile()) {
-          const sourcePath = join(file.path, file.name);
-          const relativePath = sourcePath.substring(TEMPLATES_DIR.length + 1);
-          const targetPath = join(variantDir, relativePath);
-
-          // Skip files from other variant
-          if (variant === 'sh' && relativePath.includes('.specify\\scripts\\ps')) continue;
-          if (variant === 'ps' && relativePath.includes('.specify\\scripts\\sh')) continue;
-
-          await ensureDirectory(dirname(targetPath));
-          await writeFile(targetPath, await readFile(sourcePath));
+    const checksums = [];
+    const templateFiles = await readdir(TEMPLATES_DIR, { recursive: true, withFileTypes: true });
+
+    for (const aiTool of getAssistantIds()) {
+      for (const variant of variants) {
+        log.info(`Building ${aiTool} ${variant} variant...`);
+
+        // Create variant-specific directory
+        const packageName = `specify-${aiTool}-${variant}`;
+        const variantDir = join(DIST_DIR, packageName);
+        await ensureDirectory(variantDir);
+
+        // Copy templates
+        for (const file of templateFiles) {
+          if (file.isFile()) {
+            const sourcePath = join(file.path, file.name);
+            const relativePath = relative(TEMPLATES_DIR, sourcePath).split(sep).join('/');
+            const targetPath = join(variantDir, relativePath);
+
+            // Skip files from other variant
+            if (variant === 'sh' && relativePath.startsWith('.specify/scripts/ps/')) continue;
+            if (variant === 'ps' && relativePath.startsWith('.specify/scripts/sh/')) continue;
+
+            await ensureDirectory(dirname(targetPath));
+            await writeFile(targetPath, await readFile(sourcePath));
+          }
         }
-      }
 
-      // Create manifest
-      const manifest = await createManifest(newVersion, variant);
-      await writeFile(
-        join(variantDir, 'manifest.json'),
-        JSON.stringify(manifest, null, 2)
-      );
-
-      // Create archive
-      const archiveName = `nspecify-${newVersion}-${variant}.zip`;
-      const archivePath = join(DIST_DIR, archiveName);
-      await createArchive(variantDir, archivePath);
-      packages.push(archiveName);
-
-      // Clean up variant directory
-      await rm(variantDir, { recursive: true });
+        // Write the commands in the assistant's own format
+        await generateAgentCommands(variantDir, aiTool, variant);
+
+        // Create manifest
+        const manifest = await createManifest(newVersion, variant, aiTool);
+        await writeFile(
+          join(variantDir, 'manifest.json'),
+          JSON.stringify(manifest, null, 2)
+        );
+
+        // Create archive
+        const archiveName = `${packageName}.zip`;
+        const archivePath = join(DIST_DIR, archiveName);
+        await createArchive(variantDir, archivePath);
+        packages.push(archiveName);
+        checksums.push(await createChecksum(archivePath));
+
+        // Clean up variant directory
+        await rm(variantDir, { recursive: true });
+      }
     }
 
+    // Write combined checksums
+    await writeFile(join(DIST_DIR, CHECKSUMS_FILE), `${checksums.join('\n')}\n`);
+
     // Update changelog
     if (!skipVersionBump) {
       await updateChangelog(newVersion, packages);
     }
 
     // Create release notes
-    const releaseNotes = await createReleaseNotes(newVersion, packages);
+    const releaseNotes = await createReleaseNotes(newVersion, packages, checksums);
     await writeFile(join(DIST_DIR, 'RELEASE_NOTES.md'), releaseNotes);
 
     log.success(`Release ${newVersion} built successfully!`);
     log.info(`Packages created in ${DIST_DIR}:`);
     packages.forEach(pkg => log.info(`  - ${pkg}`));
+    log.info(`  - ${CHECKSUMS_FILE}`);
 
-    return { version: newVersion, packages };
+    return { version: newVersion, packages, checksums };
   } catch (error) {
     log.error('Release build failed:', error.message);
     throw error;
@@ -211,7 +239,7 @@ async function updateChangelog(version, packages) {
   const entry = `## [${version}] - ${date}
 
 ### Added
-- Template packages for shell and PowerShell variants
+- Template packages for each AI assistant, in shell and PowerShell variants
 
 ### Packages
 ${packages.map(pkg => `- ${pkg}`).join('\n')}
@@ -237,12 +265,24 @@ ${packages.map(pkg => `- ${pkg}`).join('\n')}
 /**
  * Create release notes for GitHub
  */
-async function createReleaseNotes(version, packages) {
+async function createReleaseNotes(version, packages, checksums = []) {
   const template = `# nspecify v${version}
 
 ## 🚀 Release Packages
 
-${packages.map(pkg => `- \`${pkg}\` - ${pkg.includes('-sh.') ? 'Shell/Bash variant' : 'PowerShell variant'}`).join('\n')}
+${packages.map(pkg => `- \`${pkg}\` - ${pkg.replace(/^specify-|-(sh|ps)\.zip$/g, '')}, ${pkg.includes('-sh.') ? 'Shell/Bash variant' : 'PowerShell variant'}`).join('\n')}
+
+## 🔒 Checksums
+
+Every package has a \`.sha256\` file that nspecify checks before extracting it. To verify by hand:
+
+\`\`\`
+${checksums.join('\n')}
+\`\`\`
+
+\`\`\`bash
+sha256sum -c ${CHECKSUMS_FILE}
+\`\`\`
 
 ## 📦 Installation
 
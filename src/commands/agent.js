@@ -0,0 +1,135 @@
+import path from 'node:path';
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { createError, ErrorTypes } from '../utils/errors.js';
+import { fileExists } from '../utils/files.js';
+import { checkAssistantTool } from '../utils/tools.js';
+import { getAssistant, parseAssistantList } from '../utils/assistants.js';
+import { generateAgentCommands, COMMAND_TEMPLATES_DIR } from '../utils/templates.js';
+import {
+  createManifest,
+  readManifest,
+  updateManifest,
+  writeManifest,
+  detectInstalledVariant
+} from '../utils/manifest.js';
+import { printJson } from '../utils/output.js';
+
+/**
+ * Print the commands added for an assistant
+ * @param {Object} assistant - Assistant settings from getAssistant
+ * @param {string[]} files - Written command files
+ * @returns {void}
+ */
+function printAddedCommands(assistant, files) {
+  if (files.length === 0) {
+    console.log(chalk.gray(`${assistant.name} commands are already set up in ${assistant.commandsDir}`));
+    return;
+  }
+
+  console.log(chalk.green(`✓ Added ${assistant.name} commands:`));
+  files.forEach((file) => console.log(chalk.gray(`  ${file}`)));
+}
+
+/**
+ * Add AI assistants to an initialized project
+ * Their commands are generated from the project's command templates next to
+ * the commands of the assistants already set up
+ * @param {string[]} tools - Assistant ids, each may be comma-separated
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.script] - Script type (sh or ps), detected if omitted; must match
+ *   the one recorded for the project
+ * @param {boolean} [options.json=false] - Print the added assistants and files as JSON
+ * @returns {Promise<string[]>} Written command files relative to the project
+ * @throws {Error} If the project is not initialized or an assistant is unsupported
+ */
+export async function agentAddCommand(tools, options = {}) {
+  const targetDir = process.cwd();
+  const aiTools = parseAssistantList(tools);
+
+  if (!await fileExists(path.join(targetDir, '.specify'))) {
+    throw createError(
+      'No .specify folder found in the current directory',
+      ErrorTypes.CONFIGURATION,
+      {
+        path: targetDir,
+        suggestion: 'Run "nspecify init --here" to initialize this directory first'
+      }
+    );
+  }
+
+  if (!await fileExists(path.join(targetDir, COMMAND_TEMPLATES_DIR))) {
+    throw createError(
+      `No command templates found in ${COMMAND_TEMPLATES_DIR}`,
+      ErrorTypes.CONFIGURATION,
+      { suggestion: 'Run "nspecify upgrade" to install the command templates first' }
+    );
+  }
+
+  const manifest = await readManifest(targetDir);
+  const detected = await detectInstalledVariant(targetDir, manifest);
+  const script = options.script?.toLowerCase();
+
+  // The commands of every assistant run the project's scripts
+  if (script && manifest?.scriptType && script !== manifest.scriptType) {
+    throw createError(
+      `This project uses ${manifest.scriptType} scripts, not ${script}`,
+      ErrorTypes.INVALID_INPUT,
+      {
+        provided: script,
+        suggestion: `Leave out --script, or pass --script ${manifest.scriptType}`
+      }
+    );
+  }
+  const scriptType = script || detected.scriptType;
+  const written = [];
+
+  for (const aiTool of aiTools) {
+    const assistant = getAssistant(aiTool);
+    const files = await generateAgentCommands(targetDir, aiTool, scriptType);
+    written.push(...files);
+
+    if (!options.json) {
+      printAddedCommands(assistant, files);
+    }
+
+    const toolStatus = await checkAssistantTool(aiTool);
+    if (!toolStatus.installed) {
+      logger.warn(`${assistant.tool.name} not found. ${assistant.tool.install}`);
+    }
+  }
+
+  // Only the added assistants are recorded, the script type is the project's
+  const details = {
+    scriptType: manifest?.scriptType || scriptType,
+    aiTool: detected.aiTool,
+    aiTools: [...new Set([...detected.aiTools, ...aiTools])]
+  };
+  const next = manifest
+    ? await updateManifest(targetDir, manifest, written, details)
+    : await createManifest(targetDir, written, details);
+  await writeManifest(targetDir, next);
+
+  if (options.json) {
+    printJson({ aiTools, files: written });
+  }
+
+  return written;
+}
+
+/**
+ * Register agent command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerAgentCommand(program) {
+  const agent = program
+    .command('agent')
+    .description('Manage the AI assistants of a project');
+
+  agent
+    .command('add <tools...>')
+    .description('Add the commands of AI assistants, e.g. cursor or gemini-cli,github-copilot')
+    .option('--script <type>', 'Script type: sh or ps (detected by default)', /^(sh|ps)$/i)
+    .action(agentAddCommand);
+}
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('../utils/tools.js', () => ({
+  checkAssistantTool: jest.fn(() => Promise.resolve({ installed: true }))
+}));
+
+// Import after mocking
+const { agentAddCommand } = await import('./agent.js');
+const { checkAssistantTool } = await import('../utils/tools.js');
+const { readManifest } = await import('../utils/manifest.js');
+
+describe('agent command', () => {
+  let projectDir;
+  let cwdSpy;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-agent-test-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(projectDir);
+
+    const commandsDir = path.join(projectDir, '.specify/templates/commands');
+    await fs.mkdir(commandsDir, { recursive: true });
+    await fs.writeFile(
+      path.join(commandsDir, 'specify.md'),
+      '---\ndescription: Create a spec\n---\nRun `scripts/bash/create-new-feature.sh --json "{ARGS}"` from repo root\n'
+    );
+    await fs.writeFile(
+      path.join(projectDir, '.specify/manifest.json'),
+      JSON.stringify({ scriptType: 'sh', aiTool: 'claude-code', aiTools: ['claude-code'], files: {} })
+    );
+  });
+
+  afterEach(async () => {
+    cwdSpy.mockRestore();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should add the commands of an assistant to the project', async () => {
+    const files = await agentAddCommand(['cursor']);
+
+    expect(files).toEqual(['.cursor/rules/specify.mdc']);
+    expect(await fs.readFile(path.join(projectDir, '.cursor/rules/specify.mdc'), 'utf8'))
+      .toContain('Run `.specify/scripts/sh/create-new-feature.sh --json` (pass the user\'s request as the argument) from repo root\n');
+    expect(checkAssistantTool).toHaveBeenCalledWith('cursor');
+
+    const manifest = await readManifest(projectDir);
+    expect(manifest.aiTool).toBe('claude-code');
+    expect(manifest.aiTools).toEqual(['claude-code', 'cursor']);
+    expect(Object.keys(manifest.files)).toEqual(['.cursor/rules/specify.mdc']);
+  });
+
+  it('should accept comma-separated assistants and keep existing commands', async () => {
+    await fs.mkdir(path.join(projectDir, '.gemini/commands'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.gemini/commands/specify.toml'), 'ours');
+
+    const files = await agentAddCommand(['gemini-cli,github-copilot']);
+
+    expect(files).toEqual(['.github/prompts/specify.prompt.md']);
+    expect(await fs.readFile(path.join(projectDir, '.gemini/commands/specify.toml'), 'utf8')).toBe('ours');
+    expect((await readManifest(projectDir)).aiTools).toEqual(['claude-code', 'gemini-cli', 'github-copilot']);
+  });
+
+  it('should print the added commands as JSON', async () => {
+    await agentAddCommand(['cursor'], { json: true });
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual({
+      aiTools: ['cursor'],
+      files: ['.cursor/rules/specify.mdc']
+    });
+  });
+
+  it('should keep the script type of the project', async () => {
+    await expect(agentAddCommand(['cursor'], { script: 'ps' })).rejects.toMatchObject({
+      message: 'This project uses sh scripts, not ps',
+      suggestion: 'Leave out --script, or pass --script sh'
+    });
+    await expect(fs.access(path.join(projectDir, '.cursor'))).rejects.toThrow();
+
+    await agentAddCommand(['cursor'], { script: 'SH' });
+
+    const manifest = await readManifest(projectDir);
+    expect(manifest.scriptType).toBe('sh');
+    expect(manifest.aiTools).toEqual(['claude-code', 'cursor']);
+  });
+
+  it('should reject unsupported assistants', async () => {
+    await expect(agentAddCommand(['vim'])).rejects.toThrow('Unsupported AI assistant: vim');
+  });
+
+  it('should require the command templates', async () => {
+    await fs.rm(path.join(projectDir, '.specify/templates'), { recursive: true });
+
+    await expect(agentAddCommand(['cursor'])).rejects.toThrow('No command templates found');
+  });
+});
@@ -0,0 +1,329 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import chalk from 'chalk';
+import ora from 'ora';
+import Table from 'cli-table3';
+import { createError, ErrorTypes } from '../utils/errors.js';
+import { formatSize } from '../utils/files.js';
+import { getAssistantIds, parseAssistantList } from '../utils/assistants.js';
+import { downloadTemplate, getTemplateVersion, normalizeTemplateVersion } from '../utils/templates.js';
+import {
+  getCacheDir,
+  getCacheSettings,
+  parseDuration,
+  listCacheEntries,
+  clearCache,
+  pruneCache
+} from '../utils/cache.js';
+import { printJson } from '../utils/output.js';
+
+/**
+ * Script types a template is published for
+ */
+const SCRIPT_TYPES = ['sh', 'ps'];
+
+/**
+ * Format the age of a cache entry
+ * @param {number} age - Age in milliseconds
+ * @returns {string} Age such as '45s', '12m', '3h' or '2d'
+ */
+function formatAge(age) {
+  const seconds = Math.round(age / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 60 * 60) {
+    return `${Math.round(seconds / 60)}m`;
+  }
+  if (seconds < 24 * 60 * 60) {
+    return `${Math.round(seconds / (60 * 60))}h`;
+  }
+  return `${Math.round(seconds / (24 * 60 * 60))}d`;
+}
+
+/**
+ * Format the checksum of a cache entry with its verification result
+ * @param {Object} entry - Verified cache entry from listCacheEntries
+ * @returns {string} Shortened checksum, flagged when missing or not matching
+ */
+function formatChecksum(entry) {
+  if (!entry.checksum) {
+    return chalk.yellow('none (not used)');
+  }
+
+  const checksum = entry.checksum.slice(0, 12);
+  return entry.intact ? checksum : chalk.red(`${checksum} (corrupted)`);
+}
+
+/**
+ * Parse a comma-separated list of script types
+ * @param {string|undefined} value - Script types, all when omitted
+ * @returns {string[]} Script types
+ * @throws {Error} INVALID_INPUT error for unknown script types
+ */
+function parseScriptTypes(value) {
+  if (!value) {
+    return SCRIPT_TYPES;
+  }
+
+  const types = [...new Set(value.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean))];
+  const unknown = types.find((type) => !SCRIPT_TYPES.includes(type));
+  if (unknown || types.length === 0) {
+    throw createError(`Invalid script type: ${unknown || value}`, ErrorTypes.INVALID_INPUT, {
+      suggestion: 'Use sh, ps or sh,ps'
+    });
+  }
+
+  return types;
+}
+
+/**
+ * List the cached templates
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Print the entries as JSON
+ * @returns {Promise<Object[]>} Cache entries
+ */
+export async function cacheListCommand(options = {}) {
+  const entries = await listCacheEntries();
+
+  if (options.json) {
+    printJson({ directory: getCacheDir(), entries });
+    return entries;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.gray(`No cached templates in ${getCacheDir()}`));
+    return entries;
+  }
+
+  for (const entry of entries) {
+    console.log(`${entry.aiTool}  ${entry.scriptType}  ${chalk.gray(entry.version || 'latest')}`);
+  }
+  return entries;
+}
+
+/**
+ * Show the cached templates with their version, size, age and checksum
+ * Every entry is checked against the checksum recorded when it was cached
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Print the details as JSON
+ * @returns {Promise<Object>} Cache directory, settings, total size and entries
+ */
+export async function cacheInfoCommand(options = {}) {
+  const entries = await listCacheEntries({ verify: true });
+
+  // Packages record their version, which tells what "latest" was when cached
+  for (const entry of entries) {
+    entry.templateVersion = getTemplateVersion(entry.path) || entry.version;
+  }
+
+  const { dir, ttl, maxAge, maxSize } = getCacheSettings();
+  const result = {
+    directory: dir,
+    ttl,
+    maxAge,
+    maxSize,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+    entries
+  };
+
+  if (options.json) {
+    printJson(result);
+    return result;
+  }
+
+  console.log(chalk.bold('Cache directory: ') + result.directory);
+  console.log(chalk.bold('Total size: ') + `${formatSize(result.totalSize)} of ${formatSize(maxSize)} in ${entries.length} template(s)`);
+  console.log(chalk.bold('Expiry: ') + `latest release re-downloaded after ${formatAge(ttl)}, templates pruned after ${formatAge(maxAge)}`);
+
+  if (entries.length === 0) {
+    return result;
+  }
+
+  const table = new Table({
+    head: ['Template', 'Version', 'Size', 'Age', 'SHA-256'].map((title) => chalk.cyan(title)),
+    style: { head: [], border: [] }
+  });
+
+  for (const entry of entries) {
+    table.push([
+      `${entry.aiTool}-${entry.scriptType}${entry.version ? '' : chalk.gray(' (latest)')}`,
+      entry.templateVersion || chalk.gray('unknown'),
+      formatSize(entry.size),
+      formatAge(entry.age),
+      formatChecksum(entry)
+    ]);
+  }
+
+  console.log(table.toString());
+  return result;
+}
+
+/**
+ * Remove cached templates, all of them unless filtered
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.aiTool] - Only remove templates of these assistants, comma-separated
+ * @param {string} [options.script] - Only remove templates of these script types, comma-separated
+ * @param {boolean} [options.json=false] - Print the removed entries as JSON
+ * @returns {Promise<Object>} Removed entries and freed bytes
+ */
+export async function cacheClearCommand(options = {}) {
+  const aiTools = options.aiTool ? parseAssistantList(options.aiTool) : null;
+  const scriptTypes = options.script ? parseScriptTypes(options.script) : null;
+
+  const entries = (await listCacheEntries()).filter((entry) =>
+    (!aiTools || aiTools.includes(entry.aiTool)) &&
+    (!scriptTypes || scriptTypes.includes(entry.scriptType)));
+
+  if (aiTools || scriptTypes) {
+    for (const entry of entries) {
+      await clearCache(entry.aiTool, entry.scriptType, entry.version);
+    }
+  } else {
+    await clearCache();
+  }
+
+  const result = {
+    removed: entries.map((entry) => entry.file),
+    freed: entries.reduce((total, entry) => total + entry.size, 0)
+  };
+
+  if (options.json) {
+    printJson(result);
+  } else {
+    console.log(chalk.green(`✓ Removed ${entries.length} cached template(s), freed ${formatSize(result.freed)}`));
+  }
+  return result;
+}
+
+/**
+ * Remove cached templates older than a maximum age, and the least recently
+ * used ones while the cache is over its size limit
+ * @param {Object} [options={}] - Command options
+ * @param {string|number} [options.maxAge] - Maximum age such as 12h or 30d, plain numbers are days
+ *   (default: the configured maximum age)
+ * @param {boolean} [options.json=false] - Print the number of removed entries as JSON
+ * @returns {Promise<Object>} Number of removed entries
+ * @throws {Error} INVALID_INPUT error for an invalid age
+ */
+export async function cachePruneCommand(options = {}) {
+  let maxAge = getCacheSettings().maxAge;
+  if (options.maxAge !== undefined) {
+    try {
+      maxAge = parseDuration(options.maxAge, 'maximum age', 'd');
+    } catch (error) {
+      throw createError(`Invalid maximum age: ${options.maxAge}`, ErrorTypes.INVALID_INPUT, {
+        suggestion: 'Give the age as a duration, e.g. --max-age 30d or --max-age 12h; plain numbers are days'
+      });
+    }
+  }
+
+  const result = { pruned: await pruneCache(maxAge) };
+
+  if (options.json) {
+    printJson(result);
+  } else {
+    console.log(chalk.green(`✓ Removed ${result.pruned} cached template(s) older than ${formatAge(maxAge)} or over the size limit`));
+  }
+  return result;
+}
+
+/**
+ * Download templates into the cache so init works offline later
+ * Every assistant and script type combination is fetched unless filtered;
+ * templates already cached are kept
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.aiTool] - Assistants to cache, comma-separated (default: all)
+ * @param {string} [options.script] - Script types to cache, comma-separated (default: sh,ps)
+ * @param {string} [options.templateVersion] - Template version to cache (default: latest)
+ * @param {boolean} [options.json=false] - Print the outcome per template as JSON
+ * @returns {Promise<Object[]>} Outcome per template: downloaded, cached or failed
+ */
+export async function cacheWarmCommand(options = {}) {
+  const aiTools = options.aiTool ? parseAssistantList(options.aiTool) : getAssistantIds();
+  const scriptTypes = parseScriptTypes(options.script);
+  const version = normalizeTemplateVersion(options.templateVersion);
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-cache-'));
+  const results = [];
+
+  try {
+    for (const aiTool of aiTools) {
+      for (const scriptType of scriptTypes) {
+        const label = `${aiTool}-${scriptType}${version ? `@${version}` : ''}`;
+        const spinner = ora(`Caching ${label}...`).start();
+
+        try {
+          const templatePath = await downloadTemplate(scriptType, stagingDir, {
+            aiTool,
+            version,
+            onProgress: ({ received, percent }) => {
+              spinner.text = `Caching ${label}... ${percent === null ? formatSize(received) : `${percent}%`}`;
+            }
+          });
+
+          // Fresh downloads land in the staging directory, cache hits do not
+          const status = path.dirname(templatePath) === stagingDir ? 'downloaded' : 'cached';
+          spinner.succeed(`${label} ${status === 'cached' ? chalk.gray('already cached') : 'cached'}`);
+          results.push({ aiTool, scriptType, version, status });
+        } catch (error) {
+          spinner.fail(`${label}: ${error.message}`);
+          results.push({ aiTool, scriptType, version, status: 'failed', error: error.message });
+        }
+      }
+    }
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+
+  if (results.some((result) => result.status === 'failed')) {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    printJson(results);
+  }
+  return results;
+}
+
+/**
+ * Register cache command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerCacheCommand(program) {
+  const cache = program
+    .command('cache')
+    .description('Manage the template cache used for offline installs');
+
+  cache
+    .command('list')
+    .description('List the cached templates')
+    .action(cacheListCommand);
+
+  cache
+    .command('info')
+    .description('Show version, size, age and checksum of each cached template')
+    .action(cacheInfoCommand);
+
+  cache
+    .command('clear')
+    .description('Remove cached templates, all of them unless filtered')
+    .option('--ai-tool <tools>', 'Only remove templates of these AI assistants, comma-separated')
+    .option('--script <types>', 'Only remove templates of these script types, comma-separated')
+    .action(cacheClearCommand);
+
+  cache
+    .command('prune')
+    .description('Remove cached templates older than --max-age, and the least recently used ones over the size limit')
+    .option('--max-age <duration>', 'Maximum age such as 12h or 30d, plain numbers are days (default: 7d, or NSPECIFY_CACHE_MAX_AGE)')
+    .action(cachePruneCommand);
+
+  cache
+    .command('warm')
+    .description('Download templates of every AI assistant and script type for offline use')
+    .option('--ai-tool <tools>', 'AI assistants to cache, comma-separated (default: all)')
+    .option('--script <types>', 'Script types to cache, comma-separated (default: sh,ps)')
+    .option('--template-version <version>', 'Template release version to cache (default: latest)')
+    .action(cacheWarmCommand);
+}
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { createMockOra } from '../../test/helpers/mocks.js';
+
+jest.unstable_mockModule('ora', () => ({ default: createMockOra() }));
+
+jest.unstable_mockModule('../utils/templates.js', () => ({
+  downloadTemplate: jest.fn(),
+  getTemplateVersion: jest.fn(() => '1.4.0'),
+  normalizeTemplateVersion: jest.fn((version) => (version ? version.replace(/^v/, '') : null))
+}));
+
+// Import after mocking
+const {
+  cacheListCommand,
+  cacheInfoCommand,
+  cacheClearCommand,
+  cachePruneCommand,
+  cacheWarmCommand
+} = await import('./cache.js');
+const { downloadTemplate } = await import('../utils/templates.js');
+const { cacheTemplate, getCachedTemplate } = await import('../utils/cache.js');
+
+describe('cache command', () => {
+  let homeDir;
+  let cacheDir;
+  let sourceFile;
+
+  /**
+   * Cache a template file
+   * @param {string} aiTool - AI assistant id
+   * @param {string} scriptType - Script type
+   * @param {string|null} [version=null] - Pinned version
+   * @returns {Promise<void>}
+   */
+  async function cache(aiTool, scriptType, version = null) {
+    await cacheTemplate(aiTool, scriptType, sourceFile, version);
+  }
+
+  /**
+   * Parse the JSON document printed last
+   * @returns {*} Printed document
+   */
+  function printed() {
+    return JSON.parse(console.log.mock.calls.at(-1)[0]);
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    homeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-cache-test-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    cacheDir = path.join(homeDir, '.nspecify', 'cache');
+
+    sourceFile = path.join(homeDir, 'template.zip');
+    await fs.writeFile(sourceFile, 'zip content');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.exitCode = undefined;
+    await fs.rm(homeDir, { recursive: true, force: true });
+  });
+
+  it('should list the cached templates', async () => {
+    await cache('claude-code', 'sh');
+    await cache('cursor', 'ps', '1.0.2');
+
+    const entries = await cacheListCommand({ json: true });
+
+    expect(entries.map(({ aiTool, scriptType, version }) => ({ aiTool, scriptType, version }))).toEqual([
+      { aiTool: 'claude-code', scriptType: 'sh', version: null },
+      { aiTool: 'cursor', scriptType: 'ps', version: '1.0.2' }
+    ]);
+    expect(printed().directory).toBe(cacheDir);
+  });
+
+  it('should show version, size, age and checksum, flagging corrupted entries', async () => {
+    await cache('claude-code', 'sh');
+    await cache('gemini-cli', 'sh');
+    await fs.writeFile(path.join(cacheDir, 'gemini-cli-sh.zip'), 'tampered');
+
+    const info = await cacheInfoCommand({ json: true });
+
+    expect(info.totalSize).toBe('zip content'.length + 'tampered'.length);
+    expect(info.entries[0]).toMatchObject({
+      file: 'claude-code-sh.zip',
+      templateVersion: '1.4.0',
+      size: 'zip content'.length,
+      checksum: expect.stringMatching(/^[0-9a-f]{64}$/),
+      intact: true
+    });
+    expect(info.entries[0].age).toBeGreaterThanOrEqual(0);
+    expect(info.entries[1].intact).toBe(false);
+  });
+
+  it('should clear every entry or only the filtered ones', async () => {
+    await cache('claude-code', 'sh');
+    await cache('claude-code', 'ps', '1.0.2');
+    await cache('cursor', 'sh');
+
+    const filtered = await cacheClearCommand({ script: 'ps' });
+    expect(filtered.removed).toEqual(['claude-code-ps@1.0.2.zip']);
+    expect((await fs.readdir(cacheDir)).filter((file) => file.endsWith('.zip'))).toEqual(['claude-code-sh.zip', 'cursor-sh.zip']);
+
+    const all = await cacheClearCommand();
+    expect(all.removed).toHaveLength(2);
+    await expect(fs.access(cacheDir)).rejects.toThrow();
+  });
+
+  it('should prune entries older than the maximum age, in days unless a unit is given', async () => {
+    await cache('claude-code', 'sh');
+    await cache('cursor', 'sh');
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    await fs.utimes(path.join(cacheDir, 'cursor-sh.zip'), old, old);
+
+    expect(await cachePruneCommand({ maxAge: '300h' })).toEqual({ pruned: 0 });
+    expect(await cachePruneCommand({ maxAge: '7' })).toEqual({ pruned: 1 });
+    expect(await getCachedTemplate('claude-code', 'sh')).not.toBeNull();
+    await expect(cachePruneCommand({ maxAge: 'soon' })).rejects.toThrow('Invalid maximum age: soon');
+  });
+
+  it('should download every assistant and script type that is not cached yet', async () => {
+    downloadTemplate.mockImplementation(async (scriptType, stagingDir, { aiTool }) => (
+      aiTool === 'cursor' && scriptType === 'sh'
+        ? path.join(cacheDir, 'cursor-sh.zip')
+        : path.join(stagingDir, `template-${aiTool}-${scriptType}.zip`)
+    ));
+
+    const results = await cacheWarmCommand({ aiTool: 'claude-code,cursor', templateVersion: 'v1.4.0' });
+
+    expect(downloadTemplate).toHaveBeenCalledTimes(4);
+    expect(downloadTemplate).toHaveBeenCalledWith('ps', expect.any(String), expect.objectContaining({ aiTool: 'claude-code', version: '1.4.0' }));
+    expect(results.map(({ aiTool, scriptType, status }) => `${aiTool}-${scriptType}: ${status}`)).toEqual([
+      'claude-code-sh: downloaded',
+      'claude-code-ps: downloaded',
+      'cursor-sh: cached',
+      'cursor-ps: downloaded'
+    ]);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it('should keep warming after a failure and report it', async () => {
+    downloadTemplate
+      .mockRejectedValueOnce(new Error('Failed to download template: timeout of 30000ms exceeded'))
+      .mockImplementation(async (scriptType, stagingDir) => path.join(stagingDir, 'template.zip'));
+
+    const results = await cacheWarmCommand({ aiTool: 'gemini-cli', json: true });
+
+    expect(results).toEqual([
+      { aiTool: 'gemini-cli', scriptType: 'sh', version: null, status: 'failed', error: 'Failed to download template: timeout of 30000ms exceeded' },
+      { aiTool: 'gemini-cli', scriptType: 'ps', version: null, status: 'downloaded' }
+    ]);
+    expect(printed()).toEqual(results);
+    expect(process.exitCode).toBe(1);
+  });
+
+  it('should reject unknown script types', async () => {
+    await expect(cacheWarmCommand({ script: 'sh,bat' })).rejects.toThrow('Invalid script type: bat');
+  });
+});
@@ -1,5 +1,13 @@
 import { checkAllTools } from '../utils/tools.js';
+import { getAssistant, parseAssistantList } from '../utils/assistants.js';
 import { logger } from '../utils/logger.js';
+import { serializeError } from '../utils/errors.js';
+import { printJson } from '../utils/output.js';
+import { getDiagnosticEnvironment, maskUrlCredentials } from '../utils/environment.js';
+import { probeTemplate, getBundledTemplates } from '../utils/templates.js';
+import { getProxyForUrl } from '../utils/http.js';
+import { findCachedTemplate } from '../utils/cache.js';
+import { loadConfig } from '../utils/config.js';
 import chalk from 'chalk';
 import os from 'node:os';
 import { execSync } from 'node:child_process';
@@ -69,21 +77,71 @@ function formatCheckResult(passed, version = null) {
  * @param {Object} [options={}] - Command options
  * @param {boolean} [options.quiet=false] - Minimal output mode
  * @param {string|null} [options.export=null] - Path to export diagnostic information
+ * @param {boolean} [options.includeEnv=false] - Export every environment variable, not just the relevant ones
+ * @param {string} [options.aiTool] - AI assistants whose tools are checked, comma-separated (default: from the configuration, or claude-code)
+ * @param {boolean} [options.json=false] - Print the results as JSON
  * @returns {Promise<boolean>} True if all checks pass, false otherwise
  */
 export async function checkCommand(options = {}) {
-  const { quiet = false, export: exportPath = null } = options;
+  const {
+    quiet = false,
+    export: exportPath = null,
+    includeEnv = false,
+    json = false
+  } = options;
   
-  if (!quiet) {
+  if (!quiet && !json) {
     console.log(chalk.bold.blue('\nnspecify System Check\n'));
   }
   
   try {
+    const config = await loadConfig();
+    const aiTools = parseAssistantList(options.aiTool || config.aiTool || 'claude-code');
+    const assistants = aiTools.map(getAssistant);
+
     // Get system information
     const sysInfo = getSystemInfo();
     
     // Check all required tools
-    const toolsStatus = await checkAllTools();
+    const toolsStatus = await checkAllTools(aiTools);
+    const writableCheck = await checkWritePermissions();
+    const networkCheck = await checkNetworkAccess(aiTools[0], config.script);
+    const offlineCheck = await checkOfflineTemplates(aiTools[0], config.script);
+
+    // Offline templates are reported on their own line and never make up for the network
+    const allChecks = toolsStatus.allMeetRequirements && 
+                      writableCheck.passed && 
+                      networkCheck.passed;
+
+    const diagnostics = {
+      timestamp: new Date().toISOString(),
+      system: sysInfo,
+      config: config.sources,
+      tools: {
+        git: toolsStatus.git,
+        ...Object.fromEntries(assistants.map(({ agent }) => [agent, toolsStatus[agent]]))
+      },
+      additionalChecks: {
+        writePermissions: writableCheck,
+        networkAccess: networkCheck,
+        offlineTemplates: offlineCheck
+      }
+    };
+    
+    // Export diagnostic info if requested, secrets are redacted since exports get attached to issues
+    if (exportPath) {
+      const environment = getDiagnosticEnvironment(process.env, { includeAll: includeEnv });
+      await fs.writeFile(
+        exportPath,
+        JSON.stringify({ ...diagnostics, environment }, null, 2),
+        'utf8'
+      );
+    }
+
+    if (json) {
+      printJson({ passed: allChecks, ...diagnostics });
+      return allChecks;
+    }
     
     // Create system info table
     const sysTable = new Table({
@@ -97,7 +155,8 @@ export async function checkCommand(options = {}) {
       ['npm', sysInfo.npm],
       ['Git', sysInfo.git],
       ['Shell', sysInfo.shell],
-      ['Current Directory', sysInfo.cwd]
+      ['Current Directory', sysInfo.cwd],
+      ['Config Files', config.sources.join(', ') || 'none']
     );
     
     console.log(chalk.bold('System Information:'));
@@ -116,13 +175,13 @@ export async function checkCommand(options = {}) {
     });
     
     // Add tool checks
-    const tools = {
-      'Git': toolsStatus.git,
-      'Claude CLI': toolsStatus.claude
-    };
+    const tools = [
+      ['Git', toolsStatus.git, getInstallInstructions('git')],
+      ...assistants.map((assistant) => [assistant.tool.name, toolsStatus[assistant.agent], assistant.tool.install])
+    ];
     
-    for (const [toolName, status] of Object.entries(tools)) {
-      const action = status.installed ? '' : getInstallInstructions(toolName.toLowerCase().replace(' cli', ''));
+    for (const [toolName, status, install] of tools) {
+      const action = status.installed ? '' : install;
       reqTable.push([
         toolName,
         formatCheckResult(status.installed),
@@ -132,7 +191,6 @@ export async function checkCommand(options = {}) {
     }
     
     // Add additional checks
-    const writableCheck = await checkWritePermissions();
     reqTable.push([
       'Write Permissions',
       formatCheckResult(writableCheck.passed),
@@ -140,46 +198,28 @@ export async function checkCommand(options = {}) {
       writableCheck.action || ''
     ]);
     
-    const networkCheck = await checkNetworkAccess();
     reqTable.push([
       'Network Access',
       formatCheckResult(networkCheck.passed),
       networkCheck.details,
       networkCheck.action || ''
     ]);
+
+    reqTable.push([
+      'Offline Templates',
+      formatCheckResult(offlineCheck.passed),
+      offlineCheck.details,
+      offlineCheck.action || ''
+    ]);
     
     console.log(chalk.bold('\nRequirements Check:'));
     console.log(reqTable.toString());
     
-    // Export diagnostic info if requested
     if (exportPath) {
-      const diagnostics = {
-        timestamp: new Date().toISOString(),
-        system: sysInfo,
-        tools: {
-          git: toolsStatus.git,
-          claude: toolsStatus.claude
-        },
-        additionalChecks: {
-          writePermissions: writableCheck,
-          networkAccess: networkCheck
-        },
-        environment: process.env
-      };
-      
-      await fs.writeFile(
-        exportPath,
-        JSON.stringify(diagnostics, null, 2),
-        'utf8'
-      );
       console.log(chalk.gray(`\nDiagnostic information exported to: ${exportPath}`));
     }
     
     // Show overall result
-    const allChecks = toolsStatus.allMeetRequirements && 
-                      writableCheck.passed && 
-                      networkCheck.passed;
-    
     if (allChecks) {
       console.log(chalk.green.bold('\n✓ All system requirements met!'));
       console.log(chalk.gray('You can now use nspecify to create spec-driven projects.\n'));
@@ -193,7 +233,10 @@ export async function checkCommand(options = {}) {
       console.log(chalk.bold('Troubleshooting Tips:'));
       console.log(chalk.gray('• Install missing tools using the provided instructions'));
       console.log(chalk.gray('• Ensure you have proper permissions in your working directory'));
-      console.log(chalk.gray('• Check your internet connection and firewall settings'));
+      console.log(chalk.gray('• Check your internet connection, firewall and HTTP(S)_PROXY settings'));
+      if (!networkCheck.passed && offlineCheck.passed) {
+        console.log(chalk.gray('• Until then, init can still run offline from the templates listed above'));
+      }
       console.log(chalk.gray('• Run with --export flag to save diagnostic information\n'));
     }
     
@@ -201,6 +244,9 @@ export async function checkCommand(options = {}) {
   } catch (error) {
     logger.error('System check failed:', error);
     console.error(chalk.red(`\nSystem check error: ${error.message}`));
+    if (json) {
+      printJson({ passed: false, error: serializeError(error) });
+    }
     return false;
   }
 }
@@ -213,7 +259,6 @@ export async function checkCommand(options = {}) {
 function getInstallInstructions(tool) {
   const instructions = {
     git: 'Visit https://git-scm.com/downloads',
-    claude: 'Visit https://claude.ai/download or npm install -g @anthropic-ai/claude-cli',
     gh: 'Visit https://cli.github.com/manual/installation',
     jq: os.platform() === 'win32' 
       ? 'winget install jqlang.jq' 
@@ -254,32 +299,84 @@ async function checkWritePermissions() {
 }
 
 /**
- * Check network access to GitHub
+ * Check network access to the template release
+ * Probes the URL init downloads from, through the same HTTP client and proxy
+ * settings. Whether init could run offline is reported by checkOfflineTemplates
+ * @param {string} aiTool - AI assistant whose template is probed
+ * @param {string} [scriptType] - Script type of the template (default: the platform's)
  * @returns {Promise<Object>} Check result object
  * @returns {boolean} returns.passed - Whether the check passed
  * @returns {string} returns.details - Details about the check result
  * @returns {string|null} returns.action - Suggested action if check failed
+ * @returns {string} returns.url - Probed template URL
+ * @returns {number|null} returns.status - HTTP status code, null without a response
+ * @returns {number|null} returns.latency - Response time in milliseconds
+ * @returns {string|null} returns.proxy - Proxy in use, credentials masked
  */
-async function checkNetworkAccess() {
-  try {
-    // Use curl to check GitHub API
-    execSync('curl -s -o nul -w "%{http_code}" https://api.github.com', {
-      stdio: 'ignore',
-      timeout: 5000
-    });
-    
+async function checkNetworkAccess(aiTool, scriptType = os.platform() === 'win32' ? 'ps' : 'sh') {
+  const probe = await probeTemplate(aiTool, scriptType);
+  const proxy = getProxyForUrl(probe.url);
+  const result = {
+    url: probe.url,
+    status: probe.status,
+    latency: probe.latency,
+    proxy: proxy && maskUrlCredentials(proxy)
+  };
+
+  if (probe.reachable) {
     return {
       passed: true,
-      details: 'Can reach GitHub',
-      action: null
+      details: `HTTP ${probe.status} in ${probe.latency} ms`,
+      action: null,
+      ...result
     };
-  } catch (error) {
+  }
+
+  return {
+    passed: false,
+    details: probe.status ? `Release returned HTTP ${probe.status}` : 'Cannot reach GitHub',
+    action: 'Check connection, firewall and proxy',
+    error: probe.error,
+    ...result
+  };
+}
+
+/**
+ * Check whether init could run without network
+ * A cached template of any age or the bundled templates are enough. The cache
+ * is only looked at, never modified
+ * @param {string} aiTool - AI assistant whose template is looked for
+ * @param {string} [scriptType] - Script type of the template (default: the platform's)
+ * @returns {Promise<Object>} Check result object
+ * @returns {boolean} returns.passed - Whether init could run offline
+ * @returns {string} returns.details - Details about the check result
+ * @returns {string|null} returns.action - Suggested action if check failed
+ * @returns {boolean} returns.cached - Whether a cached template is available
+ * @returns {boolean} returns.bundled - Whether templates are bundled with nspecify
+ */
+async function checkOfflineTemplates(aiTool, scriptType = os.platform() === 'win32' ? 'ps' : 'sh') {
+  const cached = Boolean(await findCachedTemplate(aiTool, scriptType, null, { peek: true }));
+  const bundled = await getBundledTemplates();
+  const result = { cached, bundled: Boolean(bundled) };
+
+  if (cached) {
+    return { passed: true, details: 'Cached template', action: null, ...result };
+  }
+  if (bundled) {
     return {
-      passed: false,
-      details: 'Cannot reach GitHub',
-      action: 'Check internet connection and firewall'
+      passed: true,
+      details: `Bundled templates${bundled.version ? ` ${bundled.version}` : ''}`,
+      action: null,
+      ...result
     };
   }
+
+  return {
+    passed: false,
+    details: 'No cached or bundled template',
+    action: 'Run nspecify cache warm to work offline',
+    ...result
+  };
 }
 
 /**
@@ -292,6 +389,8 @@ export function registerCheckCommand(program) {
     .command('check')
     .description('Check system requirements for nspecify')
     .option('-q, --quiet', 'Minimal output')
-    .option('--export <path>', 'Export diagnostic information to file')
+    .option('--ai-tool <tools>', 'AI assistants whose tools are checked, comma-separated (default: configured, or claude-code)')
+    .option('--export <path>', 'Export diagnostic information to file, with secrets redacted')
+    .option('--include-env', 'Export every environment variable instead of the relevant ones')
     .action(checkCommand);
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { logger } from '../utils/logger.js';
+import { createError, ErrorTypes } from '../utils/errors.js';
+import { createDirectory, fileExists } from '../utils/files.js';
+import { getRepositoryRoot, createBranch } from '../utils/git.js';
+import { getNextFeatureNumber, createFeatureBranchName } from '../utils/features.js';
+import { printJson } from '../utils/output.js';
+import { PATHS } from '../constants.js';
+
+/**
+ * Create a new feature: branch, spec directory and spec file
+ * Produces the same output as the create-new-feature scripts
+ * @param {string[]} descriptionWords - Words of the feature description
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Print the result as JSON
+ * @param {boolean} [options.branch=true] - Create and check out a git branch
+ * @returns {Promise<Object>} BRANCH_NAME, SPEC_FILE and FEATURE_NUM
+ * @throws {Error} If the feature cannot be created
+ */
+export async function featureNewCommand(descriptionWords, options = {}) {
+  const { json = false, branch = true } = options;
+
+  const words = Array.isArray(descriptionWords) ? descriptionWords : [descriptionWords];
+  const description = words.filter(Boolean).join(' ').trim();
+
+  if (!description) {
+    throw createError(
+      'Please provide a feature description',
+      ErrorTypes.INVALID_INPUT,
+      { usage: 'nspecify feature new [--json] <feature description>' }
+    );
+  }
+
+  const repoRoot = await getRepositoryRoot(process.cwd());
+  const projectRoot = repoRoot || process.cwd();
+
+  const specsDir = path.join(projectRoot, PATHS.defaultSpecDir);
+  const featureNum = await getNextFeatureNumber(specsDir);
+  const branchName = createFeatureBranchName(description, featureNum);
+
+  if (!branchName) {
+    throw createError(
+      'Feature description must contain at least one letter or number',
+      ErrorTypes.INVALID_INPUT,
+      { provided: description }
+    );
+  }
+
+  if (!branch) {
+    logger.debug('Skipping branch creation');
+  } else if (!repoRoot) {
+    logger.warn('Not inside a git repository, skipping branch creation');
+  } else {
+    const result = await createBranch(repoRoot, branchName);
+    if (!result.success) {
+      throw createError(
+        `Failed to create branch ${branchName}: ${result.error}`,
+        ErrorTypes.CONFIGURATION,
+        { suggestion: 'Commit or stash your changes, or use --no-branch' }
+      );
+    }
+  }
+
+  const featureDir = path.join(specsDir, branchName);
+  await createDirectory(featureDir);
+
+  const template = path.join(projectRoot, '.specify', 'templates', 'spec-template.md');
+  const specFile = path.join(featureDir, 'spec.md');
+  if (await fileExists(template)) {
+    await fs.copyFile(template, specFile);
+  } else {
+    logger.warn(`Spec template not found: ${template}`);
+    await fs.writeFile(specFile, '', 'utf8');
+  }
+
+  const result = {
+    BRANCH_NAME: branchName,
+    SPEC_FILE: specFile,
+    FEATURE_NUM: featureNum
+  };
+
+  if (json) {
+    printJson(result, { compact: true });
+  } else {
+    for (const [key, value] of Object.entries(result)) {
+      console.log(`${key}: ${value}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Register feature command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerFeatureCommand(program) {
+  const feature = program
+    .command('feature')
+    .description('Manage feature specifications');
+
+  feature
+    .command('new <description...>')
+    .description('Create a feature branch and spec file from the spec template')
+    .option('--no-branch', 'Skip creating a git branch')
+    .action(featureNewCommand);
+}
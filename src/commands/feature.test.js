@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('../utils/git.js', () => ({
+  getRepositoryRoot: jest.fn(),
+  createBranch: jest.fn()
+}));
+
+// Import after mocking
+const { featureNewCommand } = await import('./feature.js');
+const { getRepositoryRoot, createBranch } = await import('../utils/git.js');
+
+describe('feature new command', () => {
+  let projectDir;
+  let consoleLogSpy;
+
+  beforeEach(async () => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-feature-test-'));
+    await fs.mkdir(path.join(projectDir, '.specify', 'templates'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.specify', 'templates', 'spec-template.md'), '# Spec');
+
+    jest.spyOn(process, 'cwd').mockReturnValue(projectDir);
+    getRepositoryRoot.mockResolvedValue(projectDir);
+    createBranch.mockResolvedValue({ success: true, error: null });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should create the first feature from the spec template', async () => {
+    const result = await featureNewCommand(['User', 'login', 'with', 'SSO']);
+
+    expect(result).toEqual({
+      BRANCH_NAME: '001-user-login-with',
+      SPEC_FILE: path.join(projectDir, 'specs', '001-user-login-with', 'spec.md'),
+      FEATURE_NUM: '001'
+    });
+    expect(createBranch).toHaveBeenCalledWith(projectDir, '001-user-login-with');
+    expect(await fs.readFile(result.SPEC_FILE, 'utf8')).toBe('# Spec');
+  });
+
+  it('should allocate the next feature number', async () => {
+    await fs.mkdir(path.join(projectDir, 'specs', '001-first'), { recursive: true });
+    await fs.mkdir(path.join(projectDir, 'specs', '007-seventh'), { recursive: true });
+
+    const result = await featureNewCommand(['export', 'reports']);
+
+    expect(result.FEATURE_NUM).toBe('008');
+    expect(result.BRANCH_NAME).toBe('008-export-reports');
+  });
+
+  it('should print the same JSON as the scripts with --json', async () => {
+    const result = await featureNewCommand(['dark', 'mode'], { json: true });
+
+    expect(consoleLogSpy).toHaveBeenCalledWith(JSON.stringify(result));
+    expect(Object.keys(JSON.parse(consoleLogSpy.mock.calls[0][0]))).toEqual([
+      'BRANCH_NAME',
+      'SPEC_FILE',
+      'FEATURE_NUM'
+    ]);
+  });
+
+  it('should skip branch creation with --no-branch', async () => {
+    await featureNewCommand(['dark', 'mode'], { branch: false });
+
+    expect(createBranch).not.toHaveBeenCalled();
+  });
+
+  it('should skip branch creation outside a git repository', async () => {
+    getRepositoryRoot.mockResolvedValue(null);
+
+    const result = await featureNewCommand(['dark', 'mode']);
+
+    expect(createBranch).not.toHaveBeenCalled();
+    expect(result.SPEC_FILE).toBe(path.join(projectDir, 'specs', '001-dark-mode', 'spec.md'));
+  });
+
+  it('should fail when the branch cannot be created', async () => {
+    createBranch.mockResolvedValue({ success: false, error: 'branch exists' });
+
+    await expect(featureNewCommand(['dark', 'mode'])).rejects.toThrow('Failed to create branch 001-dark-mode');
+  });
+
+  it('should reject an empty description', async () => {
+    await expect(featureNewCommand([])).rejects.toThrow('Please provide a feature description');
+    await expect(featureNewCommand(['!!!'])).rejects.toThrow('at least one letter or number');
+  });
+});
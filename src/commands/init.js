@@ -5,35 +5,278 @@ import chalk from 'chalk';
 import ora from 'ora';
 import { logger } from '../utils/logger.js';
 import { handleError, ErrorMessages, createError, ErrorTypes } from '../utils/errors.js';
-import { checkAllTools } from '../utils/tools.js';
+import { checkAllTools, detectAssistants } from '../utils/tools.js';
 import { initRepository } from '../utils/git.js';
-import { createDirectory, fileExists, deleteDirectory } from '../utils/files.js';
-import { downloadTemplate, extractTemplate } from '../utils/templates.js';
+import { createDirectory, fileExists, deleteDirectory, formatSize } from '../utils/files.js';
+import {
+  downloadTemplate,
+  extractTemplate,
+  getTemplateVersion,
+  getBundledTemplates,
+  normalizeTemplateVersion,
+  generateAgentCommands,
+  ConflictPolicies
+} from '../utils/templates.js';
+import { getAssistant, parseAssistantList } from '../utils/assistants.js';
+import { createManifest, writeManifest } from '../utils/manifest.js';
+import { fetchTemplateSource, installTemplate, planTemplateInstall } from '../utils/sources.js';
 import { showBanner } from '../ui/banner.js';
-import { createScriptSelector } from '../ui/selector.js';
+import {
+  createScriptSelector,
+  createConflictSelector,
+  createAssistantSelector,
+  isInteractive
+} from '../ui/selector.js';
+import { printJson } from '../utils/output.js';
+import { loadConfig } from '../utils/config.js';
+import { ENV_VARS } from '../constants.js';
 import { createLiveTracker } from '../ui/tracker.js';
 import os from 'node:os';
 import { execSync } from 'node:child_process';
 
+/**
+ * Message of the commit holding the installed templates
+ */
+const INITIAL_COMMIT_MESSAGE = 'Initial commit with nspecify templates';
+
+/**
+ * Check whether an environment variable is set to a true value
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean} True for 1, true or yes
+ */
+function isTruthy(value) {
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Show download progress on a tracker step
+ * @param {Object} tracker - Step tracker from createLiveTracker
+ * @param {string} key - Step key
+ * @returns {Function} Progress callback for downloadTemplate
+ */
+function trackDownload(tracker, key) {
+  let last = '';
+
+  return ({ received, total, percent }) => {
+    const detail = total
+      ? `${formatSize(received)} of ${formatSize(total)}, ${percent}%`
+      : formatSize(received);
+
+    // Chunks arrive far more often than the text changes
+    if (detail !== last) {
+      last = detail;
+      tracker.start(key, detail);
+    }
+  };
+}
+
+/**
+ * Print the files and permission changes of a dry run
+ * @param {Object} plan - Dry run plan
+ * @param {string} plan.source - Template source description
+ * @param {string} plan.targetDir - Project directory
+ * @param {boolean} plan.here - Whether the current directory is initialized
+ * @param {Object[]} plan.files - Planned files with path, size and action
+ * @param {string[]} plan.permissions - Scripts that would be made executable
+ * @returns {void}
+ */
+function printPlan({ source, targetDir, here, files, permissions }) {
+  console.log(chalk.bold('\nDry run, nothing will be written\n'));
+  console.log(`Template: ${source}`);
+  console.log(`Target:   ${targetDir}${here ? '' : ' (new directory)'}`);
+
+  const labels = {
+    create: chalk.green('create   '),
+    overwrite: chalk.yellow('overwrite'),
+    skip: chalk.gray('skip     '),
+    prompt: chalk.cyan('ask      ')
+  };
+  console.log(chalk.bold('\nFiles:'));
+  for (const file of files) {
+    console.log(`  ${labels[file.action]}  ${formatSize(file.size).padStart(8)}  ${file.path}`);
+  }
+
+  const count = (action) => files.filter((file) => file.action === action).length;
+  console.log(chalk.gray(
+    `  ${count('create')} to create, ${count('overwrite')} to overwrite, ` +
+    `${count('skip')} to keep, ${count('prompt')} to ask about`
+  ));
+
+  if (permissions.length > 0) {
+    console.log(chalk.bold('\nPermissions:'));
+    permissions.forEach((file) => console.log(`  chmod 755  ${file}`));
+  }
+}
+
+/**
+ * Get the release templates, falling back to the templates bundled with nspecify
+ * The bundled templates are used offline, or when GitHub cannot be reached and
+ * no cached template is left, as long as they match a pinned version
+ * @param {string} scriptType - Script type (sh or ps)
+ * @param {string} downloadDir - Directory the release package is downloaded to
+ * @param {Object} options - Download options
+ * @param {string} options.aiTool - AI assistant whose release package is used
+ * @param {string|null} options.version - Requested release version, latest if null
+ * @param {boolean} options.offline - Whether the network is skipped
+ * @param {Function} [options.onProgress] - Download progress callback
+ * @returns {Promise<{templatePath?: string, bundledDir?: string, version?: string|null}>} Release
+ *   package path, or the bundled template directory and its version
+ * @throws {Error} The download error if the bundled templates cannot stand in
+ */
+async function fetchReleaseTemplate(scriptType, downloadDir, options) {
+  const { aiTool, version, offline, onProgress } = options;
+
+  try {
+    return { templatePath: await downloadTemplate(scriptType, downloadDir, { aiTool, version, offline, onProgress }) };
+  } catch (error) {
+    if (!offline && error.type !== ErrorTypes.NETWORK) {
+      throw error;
+    }
+
+    const bundled = await getBundledTemplates();
+    if (!bundled || (version && bundled.version !== version)) {
+      throw error;
+    }
+
+    logger.warn(`${offline ? 'Offline' : error.message}: using the templates bundled with nspecify ${bundled.version || '(unknown version)'}`);
+    return { bundledDir: bundled.dir, version: bundled.version };
+  }
+}
+
+/**
+ * Show what init would do without touching the project directory
+ * The templates are installed into a temporary directory and compared with
+ * the project, so the plan lists exactly the files a real run writes
+ * @param {string} targetDir - Project directory
+ * @param {Object} settings - Resolved init settings
+ * @param {string|null} settings.template - Custom template source, null for the release templates
+ * @param {string|null} settings.version - Requested release version, latest if null
+ * @param {boolean} settings.offline - Whether only cached or bundled templates are used
+ * @param {string} settings.scriptType - Script type (sh or ps)
+ * @param {string[]} settings.aiTools - AI assistants, the first one's release package is used
+ * @param {string} settings.conflict - Policy for existing files, from ConflictPolicies
+ * @param {boolean} settings.here - Whether the current directory is initialized
+ * @param {boolean} settings.noGit - Whether git initialization is skipped
+ * @param {boolean} settings.debug - Whether stack traces are shown on errors
+ * @param {boolean} settings.json - Whether the plan is printed as JSON
+ * @returns {Promise<Object>} Template, files, permission changes and git actions of the plan
+ */
+async function previewInit(targetDir, settings) {
+  const { template, version, offline, scriptType, aiTools, conflict, here, noGit, debug, json } = settings;
+  const primaryTool = aiTools[0];
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-dry-run-'));
+  const previewDir = path.join(stagingDir, 'project');
+  const spinner = ora('Resolving templates...').start();
+
+  try {
+    let templateVersion;
+    const release = template ? null : await fetchReleaseTemplate(scriptType, stagingDir, { aiTool: primaryTool, version, offline });
+
+    if (!release?.templatePath) {
+      const sourceDir = path.join(stagingDir, 'source');
+      await fetchTemplateSource(template || release.bundledDir, sourceDir, { scriptType, variables: { aiTool: primaryTool } });
+      ({ version: templateVersion } = await installTemplate(sourceDir, previewDir, { scriptType, aiTools }));
+      templateVersion = templateVersion || release?.version || null;
+    } else {
+      const { templatePath } = release;
+      templateVersion = getTemplateVersion(templatePath) || version;
+      await extractTemplate(templatePath, previewDir);
+      for (const tool of aiTools) {
+        await generateAgentCommands(previewDir, tool, scriptType);
+      }
+    }
+    spinner.stop();
+
+    const files = await planTemplateInstall(previewDir, targetDir, { conflict });
+    const written = files.filter((file) => file.action !== ConflictPolicies.SKIP).map((file) => file.path);
+    const manifest = await createManifest(previewDir, written, {
+      templateVersion,
+      templateSource: template,
+      scriptType,
+      aiTool: primaryTool,
+      aiTools
+    });
+    // Projects with more than config.yaml in .specify are refused, so the manifest is always new
+    files.push({
+      path: '.specify/manifest.json',
+      size: Buffer.byteLength(JSON.stringify(manifest, null, 2) + '\n'),
+      action: 'create'
+    });
+
+    const permissions = os.platform() === 'win32'
+      ? []
+      : files.map((file) => file.path).filter((file) => /^\.specify\/scripts\/sh\/[^/]+\.sh$/.test(file));
+
+    const source = template || `${release.bundledDir ? 'bundled templates' : 'release'} ${templateVersion || 'latest'} (${primaryTool}, ${scriptType})`;
+    if (!json) {
+      printPlan({ source, targetDir, here, files, permissions });
+    }
+
+    const git = [];
+    if (!noGit) {
+      if (!json) {
+        console.log(chalk.bold('\nGit:'));
+      }
+      const repository = await initRepository(targetDir, { dryRun: true });
+      if (repository.alreadyExists) {
+        console.log(chalk.gray(`[DRY RUN] Would use the existing git repository in: ${targetDir}`));
+      }
+      console.log(chalk.gray(`[DRY RUN] Would commit all files with message: "${INITIAL_COMMIT_MESSAGE}"`));
+      git.push(...(repository.alreadyExists ? [] : ['init']), 'commit');
+    }
+
+    const plan = { dryRun: true, template: source, templateVersion, targetDir, files, permissions, git };
+    if (json) {
+      printJson(plan);
+    } else {
+      console.log(chalk.gray('\nRun again without --dry-run to initialize the project.\n'));
+    }
+
+    return plan;
+  } catch (error) {
+    spinner.stop();
+
+    handleError(error, {
+      context: 'Dry run failed',
+      showStack: debug,
+      exit: false
+    });
+
+    throw error;
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
 /**
  * Initialize a new spec-driven project
  * @param {string} projectName - Name of the project to create
  * @param {Object} [options={}] - Configuration options
  * @param {boolean} [options.here=false] - Initialize in current directory
- * @param {string} [options.script=null] - Script type (sh or ps)
- * @param {boolean} [options.noGit=false] - Skip git initialization
+ * @param {string} [options.script=null] - Script type (sh or ps), from the configuration or NSPECIFY_SCRIPT if not set
+ * @param {boolean} [options.noGit=false] - Skip git initialization, also set by git: false in the configuration
+ * @param {boolean} [options.git] - False with --no-git
  * @param {boolean} [options.debug=false] - Enable debug logging
- * @param {string} [options.aiTool='claude-code'] - AI assistant tool
- * @returns {Promise<void>}
+ * @param {string|string[]|boolean} [options.aiTool=null] - AI assistant tools, comma-separated, from the configuration, NSPECIFY_AI_TOOL or picked interactively if not set (claude-code when non-interactive)
+ * @param {string} [options.template=null] - Template source: directory, zip, git+file:// or git+https:// URL, or URL, from the configuration if not set
+ * @param {string} [options.templateVersion=null] - Release version of the templates, from the configuration or latest if not set
+ * @param {boolean} [options.offline=false] - Use cached templates of any age or the bundled ones, never the network
+ * @param {string} [options.conflict] - What to do with files that already exist: skip, overwrite or prompt (default: prompt, or skip without prompts)
+ * @param {boolean} [options.yes=false] - Never prompt; take answers from flags, configuration files, environment variables or defaults
+ * @param {boolean} [options.nonInteractive=false] - Same as yes
+ * @param {boolean} [options.dryRun=false] - Print the plan without writing anything
+ * @param {boolean} [options.json=false] - Print the result as JSON, implies yes
+ * @returns {Promise<Object>} Installed files and settings, or the plan with dryRun
  * @throws {Error} If initialization fails
  */
 export async function initCommand(projectName, options = {}) {
   const {
     here = false,
-    script = null,
-    noGit = false,
     debug = false,
-    aiTool = 'claude-code'
+    offline = false,
+    yes = false,
+    dryRun = false,
+    json = false
   } = options;
 
   // Enable debug logging if requested
@@ -42,7 +285,20 @@ export async function initCommand(projectName, options = {}) {
   }
 
   // Show banner
-  showBanner();
+  if (!json) {
+    showBanner();
+  }
+
+  // Flags win over the configuration, a template source from one layer
+  // replaces a release version from another
+  const config = await loadConfig();
+  const source = options.template ?? (options.templateVersion ? null : config.template) ?? null;
+  // Local sources are recorded absolute, as in configuration files, so upgrade
+  // finds them from the project directory
+  const template = source && !/^[a-z][\w+.-]*:\/\//i.test(source) ? path.resolve(process.cwd(), source) : source;
+  const requestedVersion = options.templateVersion ?? (template ? null : config.templateVersion) ?? null;
+  // --no-git sets git to false
+  const noGit = Boolean(options.noGit) || options.git === false || config.git === false;
 
   // Validate arguments
   if (!here && !projectName) {
@@ -65,6 +321,61 @@ export async function initCommand(projectName, options = {}) {
     );
   }
 
+  if (template && requestedVersion) {
+    throw createError(
+      'Cannot combine --template with --template-version',
+      ErrorTypes.INVALID_INPUT,
+      {
+        suggestion: 'Pin a git template source with "#<ref>" instead, e.g. git+https://host/repo.git#v1.2.0'
+      }
+    );
+  }
+
+  // Without a terminal every answer must come from flags, configuration or defaults
+  const interactive = !yes && !json && !options.nonInteractive && !isTruthy(process.env[ENV_VARS.nonInteractive]) && isInteractive();
+  const script = options.script || config.script || null;
+  let aiTool = options.aiTool || config.aiTool || null;
+  const conflict = options.conflict || config.conflict ||
+    (interactive ? ConflictPolicies.PROMPT : ConflictPolicies.SKIP);
+
+  if (!interactive) {
+    // Nobody can pick the assistants, so use the configured ones or claude-code
+    if (!aiTool || aiTool === true) {
+      aiTool = config.aiTool || 'claude-code';
+    }
+
+    const missing = [];
+    if (conflict === ConflictPolicies.PROMPT) {
+      missing.push(`--conflict skip|overwrite (or ${ENV_VARS.conflict})`);
+    }
+
+    if (missing.length > 0) {
+      throw createError(
+        `Cannot prompt in non-interactive mode, missing: ${missing.join(', ')}`,
+        ErrorTypes.INVALID_INPUT,
+        {
+          missing,
+          suggestion: 'Pass them as flags, environment variables or in ~/.nspecify/config.yaml, e.g. nspecify init my-project --yes --conflict skip'
+        }
+      );
+    }
+  }
+
+  if (!Object.values(ConflictPolicies).includes(conflict)) {
+    throw createError(
+      `Invalid conflict policy: ${conflict}`,
+      ErrorTypes.INVALID_INPUT,
+      {
+        provided: conflict,
+        valid: Object.values(ConflictPolicies)
+      }
+    );
+  }
+
+  const pickAssistants = !aiTool || aiTool === true;
+  let aiTools = pickAssistants ? null : parseAssistantList(aiTool);
+  const version = normalizeTemplateVersion(requestedVersion);
+
   // Determine project directory
   const targetDir = here ? process.cwd() : path.resolve(projectName);
   const projectDirName = path.basename(targetDir);
@@ -81,23 +392,34 @@ export async function initCommand(projectName, options = {}) {
     );
   }
 
-  // Check for existing .specify directory in --here mode
-  if (here && await fileExists(path.join(targetDir, '.specify'))) {
+  // Check for existing .specify directory in --here mode, one holding only
+  // the project configuration is set up before init and applies to it
+  const specifyDir = path.join(targetDir, '.specify');
+  if (here && await fileExists(specifyDir) && (await fs.readdir(specifyDir)).some((entry) => entry !== 'config.yaml')) {
     throw createError(
       'This directory already has a .specify folder',
       ErrorTypes.FILE_SYSTEM,
       {
-        path: path.join(targetDir, '.specify'),
-        suggestion: 'Remove it first or choose a different directory'
+        path: specifyDir,
+        suggestion: 'Remove it first or choose a different directory, a .specify folder may only hold config.yaml'
       }
     );
   }
 
   logger.info(`Initializing project in: ${targetDir}`);
 
+  // Select AI assistants if not specified, non-interactive runs have them by now
+  if (pickAssistants) {
+    aiTools = parseAssistantList(await createAssistantSelector({ detected: await detectAssistants() }));
+  }
+
+  // The first assistant's release package is installed; the others get their commands alongside it
+  const primaryTool = aiTools[0];
+  logger.info(`Using AI assistants: ${aiTools.join(', ')}`);
+
   // Run system check
   console.log(chalk.blue('\nChecking system requirements...'));
-  const toolsStatus = await checkAllTools();
+  const toolsStatus = await checkAllTools(aiTools);
 
   if (!toolsStatus.allMeetRequirements) {
     throw createError(
@@ -118,7 +440,7 @@ export async function initCommand(projectName, options = {}) {
     const isWindows = os.platform() === 'win32';
     const defaultType = isWindows ? 'ps' : 'sh';
     
-    scriptType = await createScriptSelector(defaultType);
+    scriptType = interactive ? await createScriptSelector(defaultType) : defaultType;
     if (!scriptType) {
       console.log(chalk.yellow('\nInitialization cancelled'));
       process.exit(0);
@@ -139,6 +461,10 @@ export async function initCommand(projectName, options = {}) {
 
   logger.info(`Using script type: ${scriptType}`);
 
+  if (dryRun) {
+    return previewInit(targetDir, { template, version, offline, scriptType, aiTools, conflict, here, noGit, debug, json });
+  }
+
   // Create project directory if needed
   if (!here) {
     try {
@@ -152,45 +478,97 @@ export async function initCommand(projectName, options = {}) {
 
   // Track initialization progress
   const steps = [
-    'Downloading templates',
-    'Extracting files',
-    'Setting permissions',
-    'Initializing git'
+    ['download', 'Downloading templates'],
+    ['extract', 'Extracting files'],
+    ['permissions', 'Setting permissions'],
+    ['git', 'Initializing git']
   ];
 
   if (noGit) {
     steps.pop(); // Remove git step
   }
 
-  const tracker = createLiveTracker('Initializing project');
-  
-  // Add steps to tracker
-  steps.forEach(step => {
-    tracker.addStep({ description: step });
-  });
+  const { tracker, updater } = createLiveTracker('Initializing project');
+  steps.forEach(([key, label]) => tracker.add(key, label));
+
+  // Redraw in place on terminals, elsewhere print the final state once
+  if (process.stdout.isTTY) {
+    updater.start();
+  }
 
   // Mark for cleanup if we created a directory
   let cleanupNeeded = !here;
+  let stagingDir = null;
+
+  // Only --here can meet existing files
+  const conflictOptions = {
+    conflict,
+    onConflict: conflict === ConflictPolicies.PROMPT ? createConflictSelector() : undefined
+  };
 
   try {
-    // Download templates
-    tracker.updateStatus(0, 'running');
-    const templatePath = await downloadTemplate(scriptType, targetDir, { aiTool });
-    tracker.updateStatus(0, 'done');
-
-    // Extract templates
-    tracker.updateStatus(1, 'running');
-    await extractTemplate(templatePath, targetDir);
-    
-    // Clean up downloaded file
-    await fs.unlink(templatePath).catch(() => {});
-    tracker.updateStatus(1, 'done');
+    let templateVersion;
+    let extractedFiles;
+
+    // Download the release templates unless a custom source is given
+    tracker.start('download');
+    const release = template ? null : await fetchReleaseTemplate(scriptType, targetDir, {
+      aiTool: primaryTool,
+      version,
+      offline,
+      onProgress: trackDownload(tracker, 'download')
+    });
+
+    if (!release?.templatePath) {
+      // Fetch the custom template source, or the templates bundled with nspecify
+      stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-template-'));
+      await fetchTemplateSource(template || release.bundledDir, stagingDir, { scriptType, variables: { aiTool: primaryTool } });
+      tracker.complete('download');
+
+      // Validate and install it
+      tracker.start('extract');
+      ({ files: extractedFiles, version: templateVersion } = await installTemplate(stagingDir, targetDir, { scriptType, aiTools, ...conflictOptions }));
+      templateVersion = templateVersion || release?.version || null;
+    } else {
+      const { templatePath } = release;
+      tracker.complete('download');
+
+      // Extract templates
+      tracker.start('extract');
+      templateVersion = getTemplateVersion(templatePath) || version;
+      if (version && templateVersion !== version) {
+        logger.warn(`Requested template version ${version} but the package reports ${templateVersion}`);
+      }
+      extractedFiles = await extractTemplate(templatePath, targetDir, conflictOptions);
+
+      // Release packages hold the commands of one assistant; generate the rest
+      // from the command templates
+      for (const tool of aiTools) {
+        extractedFiles.push(...await generateAgentCommands(targetDir, tool, scriptType));
+      }
+
+      // Clean up downloaded file, but keep cached templates
+      if (path.dirname(templatePath) === targetDir) {
+        await fs.unlink(templatePath).catch(() => {});
+      }
+    }
+
+    // Record installed files so later upgrades can tell them from user edits
+    const manifest = await createManifest(targetDir, extractedFiles, {
+      templateVersion,
+      templateSource: template,
+      scriptType,
+      aiTool: primaryTool,
+      aiTools
+    });
+    await writeManifest(targetDir, manifest);
+    tracker.complete('extract');
 
     // Set permissions (non-Windows only)
-    tracker.updateStatus(2, 'running');
+    tracker.start('permissions');
     if (os.platform() !== 'win32') {
-      const scriptsDir = path.join(targetDir, 'scripts');
-      const scriptFiles = await fs.readdir(scriptsDir);
+      const scriptsDir = path.join(targetDir, '.specify', 'scripts', 'sh');
+      const scriptFiles = await fs.readdir(scriptsDir).catch(() => []);
       
       for (const file of scriptFiles) {
         if (file.endsWith('.sh')) {
@@ -200,18 +578,19 @@ export async function initCommand(projectName, options = {}) {
         }
       }
     }
-    tracker.updateStatus(2, 'done');
+    tracker.complete('permissions');
 
     // Initialize git if requested
+    let gitInitialized = null;
     if (!noGit) {
-      tracker.updateStatus(3, 'running');
-      const gitInitialized = await initRepository(targetDir);
+      tracker.start('git');
+      gitInitialized = await initRepository(targetDir);
       
       if (gitInitialized) {
         // Create initial commit
         try {
           execSync('git add .', { cwd: targetDir, stdio: 'ignore' });
-          execSync('git commit -m "Initial commit with nspecify templates"', {
+          execSync(`git commit -m "${INITIAL_COMMIT_MESSAGE}"`, {
             cwd: targetDir,
             stdio: 'ignore'
           });
@@ -221,11 +600,30 @@ export async function initCommand(projectName, options = {}) {
         }
       }
       
-      tracker.updateStatus(3, gitInitialized ? 'done' : 'error');
+      if (gitInitialized) {
+        tracker.complete('git');
+      } else {
+        tracker.error('git');
+      }
     }
     
     // Stop the tracker
-    tracker.stop();
+    updater.finish(() => tracker.render());
+
+    const result = {
+      targetDir,
+      templateVersion,
+      templateSource: template,
+      scriptType,
+      aiTools,
+      files: extractedFiles,
+      git: gitInitialized
+    };
+
+    if (json) {
+      printJson(result);
+      return result;
+    }
 
     // Show completion message
     console.log(chalk.green.bold('\n✓ Project initialized successfully!\n'));
@@ -238,18 +636,21 @@ export async function initCommand(projectName, options = {}) {
     }
 
     console.log(chalk.gray('  cat .specify/overview.md     # Read the overview'));
-    console.log(chalk.gray('  ./scripts/create-new-feature.sh my-feature  # Start a new feature'));
-    
-    if (scriptType === 'ps') {
-      console.log(chalk.gray('\n  Or use PowerShell scripts:'));
-      console.log(chalk.gray('  .\\scripts\\create-new-feature.ps1 my-feature'));
+    for (const assistant of aiTools.map(getAssistant)) {
+      console.log(chalk.gray(`  ls ${assistant.commandsDir}   # ${assistant.name} commands`));
     }
+    console.log(chalk.gray('  nspecify feature new my-feature  # Start a new feature'));
 
     console.log(chalk.gray('\nRefer to .specify/overview.md for detailed guidance.\n'));
 
+    return result;
   } catch (error) {
-    // Stop the tracker
-    tracker.stop();
+    // Stop the tracker, flagging the step that failed
+    const failedStep = tracker.steps.find((step) => step.status === 'running');
+    if (failedStep) {
+      tracker.error(failedStep.key);
+    }
+    updater.finish(() => tracker.render());
     
     // Rollback: clean up created directory if needed
     if (cleanupNeeded && !here) {
@@ -272,6 +673,10 @@ export async function initCommand(projectName, options = {}) {
     
     // Re-throw the error to ensure promise rejection
     throw error;
+  } finally {
+    if (stagingDir) {
+      await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    }
   }
 }
 
@@ -286,8 +691,15 @@ export function registerInitCommand(program) {
     .description('Initialize a new spec-driven project')
     .option('--here', 'Initialize in current directory')
     .option('--script <type>', 'Script type: sh or ps', /^(sh|ps)$/i)
-    .option('--ai-tool <tool>', 'AI assistant tool', 'claude-code')
+    .option('--ai-tool [tools]', 'AI assistant tools, comma-separated, e.g. claude-code,cursor (picked interactively by default; with --yes or without a terminal: configured, or claude-code)')
+    .option('--template-version <version>', 'Template release version, e.g. 1.2.0 (default: latest)')
+    .option('--template <source>', 'Template source: directory, .zip, git+file:// or git+https:// URL (#ref), or URL')
+    .option('--offline', 'Use cached templates of any age, or the ones bundled with nspecify, without network')
+    .option('--conflict <policy>', 'Existing files with --here: skip, overwrite or prompt (default: prompt, skip when not interactive)')
+    .option('-y, --yes', 'Do not prompt; use flags, config.yaml files, NSPECIFY_* environment variables or defaults')
+    .option('--non-interactive', 'Same as --yes')
     .option('--no-git', 'Skip git initialization')
+    .option('--dry-run', 'Show the files, permissions and git actions without writing anything')
     .option('--debug', 'Enable debug logging')
     .action(initCommand);
 }
\ No newline at end of file
@@ -57,21 +57,23 @@ jest.unstable_mockModule('../ui/banner.js', () => ({
 }));
 
 jest.unstable_mockModule('../ui/selector.js', () => ({
-  createScriptSelector: jest.fn(() => Promise.resolve('bash'))
+  createScriptSelector: jest.fn(() => Promise.resolve('bash')),
+  createConflictSelector: jest.fn(() => jest.fn(() => Promise.resolve('skip'))),
+  createAssistantSelector: jest.fn(() => Promise.resolve(['claude-code'])),
+  isInteractive: jest.fn(() => true)
 }));
 
 jest.unstable_mockModule('../ui/tracker.js', () => ({
   createLiveTracker: jest.fn(() => ({
-    addStep: jest.fn(),
-    updateStatus: jest.fn(),
-    stop: jest.fn(),
     tracker: {
-      addStep: jest.fn(),
+      steps: [],
+      add: jest.fn(),
       start: jest.fn(),
       update: jest.fn(),
       complete: jest.fn(),
       error: jest.fn(),
-      skip: jest.fn()
+      skip: jest.fn(),
+      render: jest.fn()
     },
     updater: {
       start: jest.fn(),
@@ -100,7 +102,8 @@ jest.unstable_mockModule('../utils/tools.js', () => ({
     },
     allInstalled: true,
     allMeetRequirements: true
-  }))
+  })),
+  detectAssistants: jest.fn(() => Promise.resolve(['cursor']))
 }));
 
 jest.unstable_mockModule('../utils/git.js', () => ({
@@ -109,13 +112,30 @@ jest.unstable_mockModule('../utils/git.js', () => ({
 
 jest.unstable_mockModule('../utils/templates.js', () => ({
   downloadTemplate: jest.fn(() => Promise.resolve('/tmp/template.zip')),
-  extractTemplate: jest.fn()
+  extractTemplate: jest.fn(),
+  getTemplateVersion: jest.fn(() => '1.0.3'),
+  getBundledTemplates: jest.fn(() => Promise.resolve({ dir: '/nspecify/templates', version: '1.0.3' })),
+  normalizeTemplateVersion: jest.fn((version) => (version ? version.replace(/^v/, '') : null)),
+  generateAgentCommands: jest.fn(() => Promise.resolve([])),
+  ConflictPolicies: { SKIP: 'skip', OVERWRITE: 'overwrite', PROMPT: 'prompt' }
+}));
+
+jest.unstable_mockModule('../utils/manifest.js', () => ({
+  createManifest: jest.fn(() => Promise.resolve({ files: {} })),
+  writeManifest: jest.fn(() => Promise.resolve())
+}));
+
+jest.unstable_mockModule('../utils/sources.js', () => ({
+  fetchTemplateSource: jest.fn(() => Promise.resolve({ type: 'directory' })),
+  installTemplate: jest.fn(() => Promise.resolve({ files: ['.specify/memory/constitution.md'], version: '2.0.0' })),
+  planTemplateInstall: jest.fn(() => Promise.resolve([]))
 }));
 
 jest.unstable_mockModule('../utils/files.js', () => ({
   createDirectory: jest.fn(),
   fileExists: jest.fn(() => Promise.resolve(false)),
-  deleteDirectory: jest.fn()
+  deleteDirectory: jest.fn(),
+  formatSize: jest.fn((bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`))
 }));
 
 jest.unstable_mockModule('node:child_process', () => ({
@@ -141,7 +161,8 @@ jest.unstable_mockModule('../utils/errors.js', () => ({
   ErrorTypes: {
     INVALID_INPUT: 'INVALID_INPUT',
     FILE_SYSTEM: 'FILE_SYSTEM',
-    MISSING_DEPENDENCY: 'MISSING_DEPENDENCY'
+    MISSING_DEPENDENCY: 'MISSING_DEPENDENCY',
+    NETWORK: 'NETWORK'
   }
 }));
 
@@ -149,29 +170,43 @@ jest.unstable_mockModule('node:fs/promises', () => ({
   default: {
     unlink: jest.fn(() => Promise.resolve()),
     readdir: jest.fn(() => Promise.resolve(['script.sh'])),
-    chmod: jest.fn(() => Promise.resolve())
+    chmod: jest.fn(() => Promise.resolve()),
+    mkdtemp: jest.fn(() => Promise.resolve('/tmp/nspecify-template-abc')),
+    rm: jest.fn(() => Promise.resolve())
   },
   unlink: jest.fn(() => Promise.resolve()),
   readdir: jest.fn(() => Promise.resolve(['script.sh'])),
-  chmod: jest.fn(() => Promise.resolve())
+  chmod: jest.fn(() => Promise.resolve()),
+  mkdtemp: jest.fn(() => Promise.resolve('/tmp/nspecify-template-abc')),
+  rm: jest.fn(() => Promise.resolve())
+}));
+
+jest.unstable_mockModule('../utils/config.js', () => ({
+  loadConfig: jest.fn(() => Promise.resolve({ cache: {}, sources: [] }))
 }));
 
 jest.unstable_mockModule('node:os', () => ({
   default: {
-    platform: jest.fn(() => mockProcess.platform)
+    platform: jest.fn(() => mockProcess.platform),
+    tmpdir: jest.fn(() => '/tmp')
   },
-  platform: jest.fn(() => mockProcess.platform)
+  platform: jest.fn(() => mockProcess.platform),
+  tmpdir: jest.fn(() => '/tmp')
 }));
 
 // Import after mocking
 const { initCommand } = await import('./init.js');
 const { showBanner } = await import('../ui/banner.js');
-const { createScriptSelector } = await import('../ui/selector.js');
+const { createScriptSelector, createAssistantSelector, isInteractive } = await import('../ui/selector.js');
 const { createLiveTracker } = await import('../ui/tracker.js');
 const { checkAllTools } = await import('../utils/tools.js');
 const { initRepository } = await import('../utils/git.js');
-const { downloadTemplate, extractTemplate } = await import('../utils/templates.js');
+const { loadConfig } = await import('../utils/config.js');
+const { downloadTemplate, extractTemplate, getTemplateVersion, generateAgentCommands } = await import('../utils/templates.js');
+const { createManifest, writeManifest } = await import('../utils/manifest.js');
+const { fetchTemplateSource, installTemplate, planTemplateInstall } = await import('../utils/sources.js');
 const { createDirectory, fileExists, deleteDirectory } = await import('../utils/files.js');
+const fsPromises = await import('node:fs/promises');
 const { createError, ErrorTypes } = await import('../utils/errors.js');
 const { execSync } = await import('child_process');
 
@@ -195,16 +230,15 @@ describe('init command', () => {
     
     // Setup tracker mock
     mockTracker = {
-      addStep: jest.fn(),
-      updateStatus: jest.fn(),
-      stop: jest.fn(),
       tracker: {
-        addStep: jest.fn(),
+        steps: [],
+        add: jest.fn(),
         start: jest.fn(),
         update: jest.fn(),
         complete: jest.fn(),
         error: jest.fn(),
-        skip: jest.fn()
+        skip: jest.fn(),
+        render: jest.fn()
       },
       updater: {
         start: jest.fn(),
@@ -238,7 +272,7 @@ describe('init command', () => {
     fileExists.mockResolvedValue(false);
     createDirectory.mockResolvedValue();
     downloadTemplate.mockResolvedValue('/tmp/template.zip');
-    extractTemplate.mockResolvedValue();
+    extractTemplate.mockResolvedValue(['.specify/memory/constitution.md']);
     execSync.mockReturnValue('success');
   });
 
@@ -260,7 +294,7 @@ describe('init command', () => {
 
         // Make sure all async operations resolve
         downloadTemplate.mockResolvedValue('/tmp/template.zip');
-        extractTemplate.mockResolvedValue();
+        extractTemplate.mockResolvedValue([]);
         initRepository.mockResolvedValue(true);
 
         try {
@@ -291,7 +325,7 @@ describe('init command', () => {
         expect(downloadTemplate).toHaveBeenCalledWith(
           'sh',
           expect.stringContaining('my-project'),
-          { aiTool: 'claude-code' }
+          expect.objectContaining({ aiTool: 'claude-code', version: null })
         );
 
         // Check that the process completed and captured the expected logs
@@ -315,7 +349,7 @@ describe('init command', () => {
       expect(downloadTemplate).toHaveBeenCalledWith(
         'ps',
         expect.stringContaining('windows-project'),
-        { aiTool: 'cursor' }
+        expect.objectContaining({ aiTool: 'cursor', version: null })
       );
     });
 
@@ -330,6 +364,186 @@ describe('init command', () => {
       );
     });
 
+    it('should write an install manifest for extracted files', async () => {
+      await initCommand('manifest-project', { script: 'sh' });
+
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.stringContaining('manifest-project'),
+        ['.specify/memory/constitution.md'],
+        { templateVersion: '1.0.3', templateSource: null, scriptType: 'sh', aiTool: 'claude-code', aiTools: ['claude-code'] }
+      );
+      expect(writeManifest).toHaveBeenCalledWith(
+        expect.stringContaining('manifest-project'),
+        { files: {} }
+      );
+    });
+
+    it('should install templates from a custom source', async () => {
+      await initCommand('custom-project', { script: 'sh', template: './company-templates' });
+
+      expect(downloadTemplate).not.toHaveBeenCalled();
+      expect(fetchTemplateSource).toHaveBeenCalledWith(
+        path.resolve(mockProcess.cwd(), 'company-templates'),
+        '/tmp/nspecify-template-abc',
+        { scriptType: 'sh', variables: { aiTool: 'claude-code' } }
+      );
+      expect(installTemplate).toHaveBeenCalledWith(
+        '/tmp/nspecify-template-abc',
+        expect.stringContaining('custom-project'),
+        { scriptType: 'sh', aiTools: ['claude-code'], conflict: 'prompt', onConflict: expect.any(Function) }
+      );
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.stringContaining('custom-project'),
+        ['.specify/memory/constitution.md'],
+        { templateVersion: '2.0.0', templateSource: path.resolve(mockProcess.cwd(), 'company-templates'), scriptType: 'sh', aiTool: 'claude-code', aiTools: ['claude-code'] }
+      );
+    });
+
+    it('should record URL template sources as given', async () => {
+      await initCommand('git-project', { script: 'sh', template: 'git+https://example.com/templates.git#v2' });
+
+      expect(fetchTemplateSource).toHaveBeenCalledWith('git+https://example.com/templates.git#v2', expect.any(String), expect.any(Object));
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Array),
+        expect.objectContaining({ templateSource: 'git+https://example.com/templates.git#v2' })
+      );
+    });
+
+    it('should download and record a pinned template version', async () => {
+      getTemplateVersion.mockReturnValueOnce(null);
+
+      await initCommand('pinned-project', { script: 'sh', templateVersion: 'v1.2.0' });
+
+      expect(downloadTemplate).toHaveBeenCalledWith(
+        'sh',
+        expect.stringContaining('pinned-project'),
+        expect.objectContaining({ aiTool: 'claude-code', version: '1.2.0' })
+      );
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Array),
+        expect.objectContaining({ templateVersion: '1.2.0' })
+      );
+    });
+
+    it('should fall back to the bundled templates when GitHub cannot be reached', async () => {
+      downloadTemplate.mockRejectedValueOnce(createError('Failed to download template: getaddrinfo ENOTFOUND github.com', ErrorTypes.NETWORK));
+      installTemplate.mockResolvedValueOnce({ files: ['.specify/memory/constitution.md'], version: null });
+
+      await initCommand('bundled-project', { script: 'sh' });
+
+      expect(fetchTemplateSource).toHaveBeenCalledWith(
+        '/nspecify/templates',
+        '/tmp/nspecify-template-abc',
+        { scriptType: 'sh', variables: { aiTool: 'claude-code' } }
+      );
+      expect(extractTemplate).not.toHaveBeenCalled();
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.any(String),
+        ['.specify/memory/constitution.md'],
+        expect.objectContaining({ templateVersion: '1.0.3', templateSource: null })
+      );
+    });
+
+    it('should only use cached or bundled templates with --offline', async () => {
+      await initCommand('offline-project', { script: 'sh', offline: true });
+
+      expect(downloadTemplate).toHaveBeenCalledWith(
+        'sh',
+        expect.stringContaining('offline-project'),
+        expect.objectContaining({ offline: true })
+      );
+    });
+
+    it('should not fall back to bundled templates of another pinned version', async () => {
+      downloadTemplate.mockRejectedValueOnce(createError('No cached template for claude-code (sh) version 1.2.0 to use offline', ErrorTypes.NETWORK));
+
+      await expect(initCommand('pinned-offline', { script: 'sh', templateVersion: '1.2.0', offline: true }))
+        .rejects.toThrow('No cached template for claude-code (sh) version 1.2.0');
+      expect(fetchTemplateSource).not.toHaveBeenCalled();
+    });
+
+    it('should set up the commands of the selected AI assistant', async () => {
+      generateAgentCommands.mockResolvedValueOnce(['.gemini/commands/specify.toml']);
+
+      await initCommand('gemini-project', { script: 'sh', aiTool: 'gemini-cli' });
+
+      expect(checkAllTools).toHaveBeenCalledWith(['gemini-cli']);
+      expect(downloadTemplate).toHaveBeenCalledWith(
+        'sh',
+        expect.stringContaining('gemini-project'),
+        expect.objectContaining({ aiTool: 'gemini-cli', version: null })
+      );
+      expect(generateAgentCommands).toHaveBeenCalledWith(expect.stringContaining('gemini-project'), 'gemini-cli', 'sh');
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.any(String),
+        ['.specify/memory/constitution.md', '.gemini/commands/specify.toml'],
+        expect.objectContaining({ aiTool: 'gemini-cli' })
+      );
+    });
+
+    it('should set up several AI assistants from one template package', async () => {
+      generateAgentCommands
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(['.cursor/rules/specify.mdc']);
+
+      await initCommand('team-project', { script: 'sh', aiTool: 'claude-code, cursor' });
+
+      expect(checkAllTools).toHaveBeenCalledWith(['claude-code', 'cursor']);
+      expect(downloadTemplate).toHaveBeenCalledTimes(1);
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'claude-code', version: null }));
+      expect(generateAgentCommands).toHaveBeenCalledWith(expect.any(String), 'claude-code', 'sh');
+      expect(generateAgentCommands).toHaveBeenCalledWith(expect.any(String), 'cursor', 'sh');
+      expect(createManifest).toHaveBeenCalledWith(
+        expect.any(String),
+        ['.specify/memory/constitution.md', '.cursor/rules/specify.mdc'],
+        expect.objectContaining({ aiTool: 'claude-code', aiTools: ['claude-code', 'cursor'] })
+      );
+    });
+
+    it('should let the user pick assistants when --ai-tool is not given', async () => {
+      createAssistantSelector.mockResolvedValueOnce(['cursor']);
+
+      await initCommand('picked-project', { script: 'sh' });
+
+      expect(createAssistantSelector).toHaveBeenCalledWith({ detected: ['cursor'] });
+      expect(checkAllTools).toHaveBeenCalledWith(['cursor']);
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'cursor', version: null }));
+    });
+
+    it('should let the user pick assistants when --ai-tool has no value', async () => {
+      createAssistantSelector.mockResolvedValueOnce(['claude-code', 'cursor']);
+
+      await initCommand('picked-project', { script: 'sh', aiTool: true });
+
+      expect(checkAllTools).toHaveBeenCalledWith(['claude-code', 'cursor']);
+    });
+
+    it('should not prompt for assistants given with --ai-tool', async () => {
+      await initCommand('given-project', { script: 'sh', aiTool: 'gemini-cli' });
+
+      expect(createAssistantSelector).not.toHaveBeenCalled();
+    });
+
+    it('should pass the conflict policy to the extraction', async () => {
+      await initCommand(null, { here: true, script: 'sh', conflict: 'skip' });
+
+      expect(extractTemplate).toHaveBeenCalledWith(
+        '/tmp/template.zip',
+        expect.any(String),
+        { conflict: 'skip', onConflict: undefined }
+      );
+    });
+
+    it('should keep cached templates after extraction', async () => {
+      downloadTemplate.mockResolvedValueOnce('/home/user/.nspecify/cache/claude-code-sh@1.2.0.zip');
+
+      await initCommand('cached-project', { script: 'sh', templateVersion: '1.2.0' });
+
+      expect(fsPromises.default.unlink).not.toHaveBeenCalled();
+    });
+
     it('should handle --here flag', async () => {
       await initCommand(null, { here: true });
 
@@ -353,6 +567,21 @@ describe('init command', () => {
       await expect(initCommand('existing-project')).rejects.toThrow('Directory already exists');
     });
 
+    it('should refuse --here in an existing project but not in one holding only its configuration', async () => {
+      fileExists.mockImplementation((target) => Promise.resolve(target === path.join(mockProcess.cwd(), '.specify')));
+      fsPromises.default.readdir.mockResolvedValueOnce(['config.yaml', 'memory']);
+
+      await expect(initCommand(null, { here: true, aiTool: 'cursor', script: 'sh' })).rejects.toThrow('This directory already has a .specify folder');
+      expect(downloadTemplate).not.toHaveBeenCalled();
+
+      fsPromises.default.readdir.mockResolvedValueOnce(['config.yaml']);
+      loadConfig.mockResolvedValueOnce({ aiTool: 'gemini-cli', script: 'ps', cache: {}, sources: [path.join(mockProcess.cwd(), '.specify', 'config.yaml')] });
+
+      await initCommand(null, { here: true });
+
+      expect(downloadTemplate).toHaveBeenCalledWith('ps', expect.any(String), expect.objectContaining({ aiTool: 'gemini-cli' }));
+    });
+
     it('should handle git initialization failure', async () => {
       initRepository.mockResolvedValue(false);
 
@@ -370,7 +599,7 @@ describe('init command', () => {
       downloadTemplate.mockRejectedValue(new Error('Download failed'));
 
       await expect(initCommand('template-fail')).rejects.toThrow('Download failed');
-      expect(mockTracker.stop).toHaveBeenCalled();
+      expect(mockTracker.updater.finish).toHaveBeenCalled();
     });
 
     it('should cleanup on failure', async () => {
@@ -425,6 +654,148 @@ describe('init command', () => {
     });
   });
 
+  describe('non-interactive mode', () => {
+    afterEach(() => {
+      isInteractive.mockReturnValue(true);
+    });
+
+    it('should fall back to claude-code with --yes', async () => {
+      await initCommand('ci-project', { yes: true, script: 'sh' });
+
+      expect(createAssistantSelector).not.toHaveBeenCalled();
+      expect(checkAllTools).toHaveBeenCalledWith(['claude-code']);
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'claude-code', version: null }));
+    });
+
+    it('should fall back to the configured assistants when --ai-tool has no value', async () => {
+      isInteractive.mockReturnValue(false);
+      loadConfig.mockResolvedValueOnce({ aiTool: 'cursor', script: 'sh', cache: {}, sources: ['/home/dev/.nspecify/config.yaml'] });
+
+      await initCommand('ci-project', { aiTool: true });
+
+      expect(createAssistantSelector).not.toHaveBeenCalled();
+      expect(checkAllTools).toHaveBeenCalledWith(['cursor']);
+    });
+
+    it('should refuse the prompt conflict policy without a terminal', async () => {
+      isInteractive.mockReturnValue(false);
+
+      await expect(
+        initCommand(null, { here: true, aiTool: 'cursor', conflict: 'prompt' })
+      ).rejects.toThrow('missing: --conflict skip|overwrite (or NSPECIFY_CONFLICT)');
+    });
+
+    it('should resolve every prompt from flags and defaults when stdin is not a terminal', async () => {
+      isInteractive.mockReturnValue(false);
+      mockProcess.platform = 'linux';
+
+      await initCommand(null, { here: true, aiTool: 'cursor' });
+
+      expect(createScriptSelector).not.toHaveBeenCalled();
+      expect(createAssistantSelector).not.toHaveBeenCalled();
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'cursor', version: null }));
+      expect(extractTemplate).toHaveBeenCalledWith('/tmp/template.zip', expect.any(String), { conflict: 'skip', onConflict: undefined });
+    });
+
+    it('should read the answers from configuration files and environment variables', async () => {
+      loadConfig.mockResolvedValueOnce({ aiTool: 'gemini-cli,cursor', script: 'ps', cache: {}, sources: ['/home/dev/.nspecify/config.yaml'] });
+
+      await initCommand('env-project', { nonInteractive: true });
+
+      expect(checkAllTools).toHaveBeenCalledWith(['gemini-cli', 'cursor']);
+      expect(downloadTemplate).toHaveBeenCalledWith('ps', expect.any(String), expect.objectContaining({ aiTool: 'gemini-cli', version: null }));
+    });
+  });
+
+  describe('dry run', () => {
+    beforeEach(() => {
+      mockProcess.platform = 'linux';
+      planTemplateInstall.mockResolvedValueOnce([
+        { path: '.claude/commands/specify.md', size: 2048, action: 'overwrite' },
+        { path: '.specify/memory/constitution.md', size: 512, action: 'create' },
+        { path: '.specify/scripts/sh/create-new-feature.sh', size: 300, action: 'create' }
+      ]);
+    });
+
+    it('should plan the install in a temporary directory without touching the project', async () => {
+      const plan = await initCommand(null, { here: true, aiTool: 'claude-code', script: 'sh', conflict: 'overwrite', dryRun: true });
+
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', '/tmp/nspecify-template-abc', { aiTool: 'claude-code', version: null, offline: false });
+      expect(extractTemplate).toHaveBeenCalledWith('/tmp/template.zip', path.join('/tmp/nspecify-template-abc', 'project'));
+      expect(planTemplateInstall).toHaveBeenCalledWith(
+        path.join('/tmp/nspecify-template-abc', 'project'),
+        'E:\\Projects\\test',
+        { conflict: 'overwrite' }
+      );
+      expect(plan.template).toBe('release 1.0.3 (claude-code, sh)');
+      expect(plan.files.map((file) => file.action)).toEqual(['overwrite', 'create', 'create', 'create']);
+      expect(plan.files[3].path).toBe('.specify/manifest.json');
+      expect(plan.permissions).toEqual(['.specify/scripts/sh/create-new-feature.sh']);
+      expect(plan.git).toEqual(['init', 'commit']);
+      expect(initRepository).toHaveBeenCalledWith('E:\\Projects\\test', { dryRun: true });
+
+      expect(createDirectory).not.toHaveBeenCalled();
+      expect(writeManifest).not.toHaveBeenCalled();
+      expect(fsPromises.default.chmod).not.toHaveBeenCalled();
+      expect(execSync).not.toHaveBeenCalled();
+      expect(fsPromises.default.rm).toHaveBeenCalledWith('/tmp/nspecify-template-abc', { recursive: true, force: true });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('2.0 KB  .claude/commands/specify.md'));
+    });
+
+    it('should stage a custom template source and keep the existing repository', async () => {
+      initRepository.mockResolvedValueOnce({ success: true, alreadyExists: true });
+
+      const plan = await initCommand(null, { here: true, aiTool: 'claude-code,cursor', script: 'sh', template: './tpl', dryRun: true });
+
+      expect(fetchTemplateSource).toHaveBeenCalledWith(path.resolve(mockProcess.cwd(), 'tpl'), path.join('/tmp/nspecify-template-abc', 'source'), expect.any(Object));
+      expect(installTemplate).toHaveBeenCalledWith(
+        path.join('/tmp/nspecify-template-abc', 'source'),
+        path.join('/tmp/nspecify-template-abc', 'project'),
+        { scriptType: 'sh', aiTools: ['claude-code', 'cursor'] }
+      );
+      expect(plan.templateVersion).toBe('2.0.0');
+      expect(plan.git).toEqual(['commit']);
+    });
+
+    it('should leave out git actions with --no-git', async () => {
+      const plan = await initCommand('dry-project', { aiTool: 'claude-code', script: 'sh', noGit: true, dryRun: true });
+
+      expect(plan.git).toEqual([]);
+      expect(initRepository).not.toHaveBeenCalled();
+      expect(createDirectory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('JSON output', () => {
+    it('should print the created files and settings without prompting', async () => {
+      extractTemplate.mockResolvedValueOnce(['.specify/memory/constitution.md']);
+
+      const result = await initCommand('json-project', { aiTool: 'claude-code', json: true });
+
+      expect(showBanner).not.toHaveBeenCalled();
+      expect(createScriptSelector).not.toHaveBeenCalled();
+      expect(JSON.parse(consoleLogSpy.mock.calls.at(-1)[0])).toEqual(result);
+      expect(result).toMatchObject({
+        templateVersion: '1.0.3',
+        scriptType: 'ps',
+        aiTools: ['claude-code'],
+        files: ['.specify/memory/constitution.md'],
+        git: true
+      });
+    });
+
+    it('should require every answer up front', async () => {
+      await expect(initCommand('json-project', { json: true, conflict: 'prompt' })).rejects.toThrow('Cannot prompt in non-interactive mode');
+    });
+
+    it('should print the dry run plan', async () => {
+      const plan = await initCommand('json-project', { aiTool: 'claude-code', script: 'sh', noGit: true, dryRun: true, json: true });
+
+      expect(JSON.parse(consoleLogSpy.mock.calls.at(-1)[0])).toEqual(plan);
+      expect(consoleLogSpy).not.toHaveBeenCalledWith(expect.stringContaining('Files:'));
+    });
+  });
+
   describe('progress tracking', () => {
     it('should track all initialization steps', async () => {
       createScriptSelector.mockResolvedValue('sh');
@@ -432,8 +803,26 @@ describe('init command', () => {
       await initCommand('tracked-project');
 
       expect(createLiveTracker).toHaveBeenCalledWith('Initializing project');
-      expect(mockTracker.updateStatus).toHaveBeenCalled();
-      expect(mockTracker.stop).toHaveBeenCalled();
+      expect(mockTracker.tracker.add.mock.calls.map(([key]) => key)).toEqual(['download', 'extract', 'permissions', 'git']);
+      expect(mockTracker.tracker.complete).toHaveBeenCalledWith('git');
+      expect(mockTracker.updater.finish).toHaveBeenCalled();
+    });
+
+    it('should show download progress on the download step', async () => {
+      downloadTemplate.mockImplementation(async (scriptType, targetDir, { onProgress }) => {
+        onProgress({ received: 512, total: 2048, percent: 25 });
+        onProgress({ received: 512, total: 2048, percent: 25 });
+        onProgress({ received: 2048, total: 2048, percent: 100 });
+        return '/tmp/template.zip';
+      });
+
+      await initCommand('progress-project', { aiTool: 'claude-code', script: 'sh', noGit: true });
+
+      expect(mockTracker.tracker.start.mock.calls.filter(([key]) => key === 'download')).toEqual([
+        ['download'],
+        ['download', '512 B of 2.0 KB, 25%'],
+        ['download', '2.0 KB of 2.0 KB, 100%']
+      ]);
     });
 
     it('should skip git step with --no-git', async () => {
@@ -443,9 +832,44 @@ describe('init command', () => {
 
       expect(initRepository).not.toHaveBeenCalled();
     });
+
+    it('should skip git step when the configuration turns it off', async () => {
+      loadConfig.mockResolvedValueOnce({ git: false, script: 'sh', cache: {}, sources: [] });
+
+      await initCommand('no-git-project', { aiTool: 'claude-code', git: true });
+
+      expect(initRepository).not.toHaveBeenCalled();
+    });
   });
 
   describe('validation', () => {
+    it('should reject a custom template source with a template version', async () => {
+      await expect(
+        initCommand('test-project', { template: './templates', templateVersion: '1.2.0' })
+      ).rejects.toThrow('Cannot combine --template with --template-version');
+    });
+
+    it('should let a template version flag replace a configured template source', async () => {
+      loadConfig.mockResolvedValueOnce({ template: '/srv/templates', cache: {}, sources: ['/work/.specify/config.yaml'] });
+
+      await initCommand('test-project', { aiTool: 'cursor', script: 'sh', noGit: true, templateVersion: '1.2.0' });
+
+      expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'cursor', version: '1.2.0' }));
+    });
+
+    it('should reject an unknown conflict policy', async () => {
+      await expect(
+        initCommand(null, { here: true, conflict: 'merge' })
+      ).rejects.toThrow('Invalid conflict policy: merge');
+    });
+
+    it('should reject an unsupported AI assistant', async () => {
+      await expect(
+        initCommand('project', { script: 'sh', aiTool: 'copilot-x' })
+      ).rejects.toThrow('Unsupported AI assistant: copilot-x');
+      expect(checkAllTools).not.toHaveBeenCalled();
+    });
+
     it('should reject both project name and --here', async () => {
       await expect(initCommand('project', { here: true })).rejects.toThrow('Cannot specify both project name and --here flag');
     });
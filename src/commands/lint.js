@@ -0,0 +1,117 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import chalk from 'chalk';
+import { createError, ErrorTypes } from '../utils/errors.js';
+import { fileExists } from '../utils/files.js';
+import { getRepositoryRoot } from '../utils/git.js';
+import { listFeatures } from '../utils/features.js';
+import { lintSpec } from '../utils/lint.js';
+import { printJson } from '../utils/output.js';
+import { PATHS } from '../constants.js';
+
+/**
+ * Find the spec files to lint
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} files - Files given on the command line
+ * @returns {Promise<string[]>} Absolute spec file paths
+ */
+async function findSpecFiles(projectRoot, files) {
+  if (files.length > 0) {
+    return files.map((file) => path.resolve(process.cwd(), file));
+  }
+
+  const specsDir = path.join(projectRoot, PATHS.defaultSpecDir);
+  const specFiles = [];
+  for (const name of await listFeatures(specsDir)) {
+    const specFile = path.join(specsDir, name, 'spec.md');
+    if (await fileExists(specFile)) {
+      specFiles.push(specFile);
+    }
+  }
+  return specFiles;
+}
+
+/**
+ * Lint command - check feature specs against the spec template
+ * @param {string[]} [files=[]] - Spec files to lint, defaults to specs/*\/spec.md
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Print diagnostics as JSON
+ * @returns {Promise<Object>} Linted files and diagnostics
+ * @throws {Error} If the spec template or a spec file cannot be read
+ */
+export async function lintCommand(files = [], options = {}) {
+  const { json = false } = options;
+
+  const repoRoot = await getRepositoryRoot(process.cwd());
+  const projectRoot = repoRoot || process.cwd();
+
+  const templatePath = path.join(projectRoot, '.specify', 'templates', 'spec-template.md');
+  if (!await fileExists(templatePath)) {
+    throw createError(
+      `Spec template not found: ${templatePath}`,
+      ErrorTypes.CONFIGURATION,
+      { suggestion: 'Run "nspecify init --here" to install the templates' }
+    );
+  }
+  const template = await fs.readFile(templatePath, 'utf8');
+
+  const specFiles = await findSpecFiles(projectRoot, files);
+  const diagnostics = [];
+
+  for (const specFile of specFiles) {
+    if (!await fileExists(specFile)) {
+      throw createError(`Spec file not found: ${specFile}`, ErrorTypes.INVALID_INPUT);
+    }
+    const content = await fs.readFile(specFile, 'utf8');
+    const relative = path.relative(process.cwd(), specFile).replace(/\\/g, '/');
+    diagnostics.push(...lintSpec(content, template, relative));
+  }
+
+  const result = {
+    files: specFiles.length,
+    errors: diagnostics.length,
+    diagnostics
+  };
+
+  if (diagnostics.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    printJson(result);
+    return result;
+  }
+
+  if (specFiles.length === 0) {
+    console.log(chalk.yellow('No specs found to lint'));
+    return result;
+  }
+
+  for (const diagnostic of diagnostics) {
+    console.log(
+      `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}  ` +
+      `${chalk.red(diagnostic.severity)}  ${diagnostic.message}  ${chalk.gray(diagnostic.rule)}`
+    );
+  }
+
+  if (diagnostics.length > 0) {
+    const noun = diagnostics.length === 1 ? 'problem' : 'problems';
+    console.log(chalk.red(`\n✖ ${diagnostics.length} ${noun} in ${specFiles.length} spec(s)`));
+  } else {
+    console.log(chalk.green(`✓ ${specFiles.length} spec(s) passed`));
+  }
+
+  return result;
+}
+
+/**
+ * Register lint command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerLintCommand(program) {
+  program
+    .command('lint [files...]')
+    .description('Check specs for missing sections, placeholders and open clarifications')
+    .action(lintCommand);
+}
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('../utils/git.js', () => ({
+  getRepositoryRoot: jest.fn()
+}));
+
+// Import after mocking
+const { lintCommand } = await import('./lint.js');
+const { getRepositoryRoot } = await import('../utils/git.js');
+
+const template = [
+  '# Feature Specification: [FEATURE NAME]',
+  '',
+  '## Requirements *(mandatory)*',
+  '- **FR-001**: System MUST [specific capability]'
+].join('\n');
+
+describe('lint command', () => {
+  let projectDir;
+  let consoleLogSpy;
+
+  /**
+   * Write a spec file for a feature
+   * @param {string} name - Feature directory name
+   * @param {string} content - Spec content
+   * @returns {Promise<void>}
+   */
+  async function writeSpec(name, content) {
+    await fs.mkdir(path.join(projectDir, 'specs', name), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'specs', name, 'spec.md'), content);
+  }
+
+  beforeEach(async () => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-lint-test-'));
+    await fs.mkdir(path.join(projectDir, '.specify', 'templates'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.specify', 'templates', 'spec-template.md'), template);
+
+    jest.spyOn(process, 'cwd').mockReturnValue(projectDir);
+    getRepositoryRoot.mockResolvedValue(projectDir);
+    process.exitCode = undefined;
+  });
+
+  afterEach(async () => {
+    process.exitCode = undefined;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should pass when every spec is complete', async () => {
+    await writeSpec('001-login', '# Feature Specification: Login\n\n## Requirements\n- **FR-001**: System MUST log users in\n');
+
+    const result = await lintCommand();
+
+    expect(result).toEqual({ files: 1, errors: 0, diagnostics: [] });
+    expect(process.exitCode).toBeUndefined();
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('1 spec(s) passed'));
+  });
+
+  it('should print file:line diagnostics and set a failing exit code', async () => {
+    await writeSpec('001-login', '# Feature Specification: Login\n\n## Requirements\n- **FR-001**: System MUST log users in\n');
+    await writeSpec('002-search', '# Feature Specification: [FEATURE NAME]\n');
+
+    const result = await lintCommand();
+
+    expect(result.files).toBe(2);
+    expect(result.diagnostics.map((d) => `${d.file}:${d.line}:${d.rule}`)).toEqual([
+      'specs/002-search/spec.md:1:missing-section',
+      'specs/002-search/spec.md:1:placeholder'
+    ]);
+    expect(process.exitCode).toBe(1);
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('specs/002-search/spec.md:1:26'));
+  });
+
+  it('should only lint the given files', async () => {
+    await writeSpec('001-login', '# Feature Specification: [FEATURE NAME]\n');
+    await writeSpec('002-search', '# Search\n\n## Requirements\n');
+
+    const result = await lintCommand(['specs/002-search/spec.md'], { json: true });
+
+    expect(result).toEqual({ files: 1, errors: 0, diagnostics: [] });
+    expect(JSON.parse(consoleLogSpy.mock.calls[0][0])).toEqual(result);
+  });
+
+  it('should fail when the spec template is missing', async () => {
+    await fs.rm(path.join(projectDir, '.specify'), { recursive: true });
+
+    await expect(lintCommand()).rejects.toThrow('Spec template not found');
+  });
+});
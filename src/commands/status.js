@@ -0,0 +1,133 @@
+import path from 'node:path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { getRepositoryRoot, getRepositoryStatus, listBranches } from '../utils/git.js';
+import { listFeatures, getFeatureStatus } from '../utils/features.js';
+import { printJson } from '../utils/output.js';
+import { PATHS } from '../constants.js';
+
+/**
+ * Format document presence with appropriate symbol
+ * @param {boolean} exists - Whether the document exists
+ * @returns {string} Colored symbol
+ */
+function formatDocument(exists) {
+  return exists ? chalk.green('✓') : chalk.gray('–');
+}
+
+/**
+ * Format task progress
+ * @param {Object} feature - Feature status
+ * @returns {string} Progress such as "3/10 (30%)"
+ */
+function formatProgress(feature) {
+  const { done, total } = feature.progress;
+  if (!feature.tasks || total === 0) {
+    return chalk.gray('–');
+  }
+
+  const percent = Math.round((done / total) * 100);
+  const text = `${done}/${total} (${percent}%)`;
+  return done === total ? chalk.green(text) : text;
+}
+
+/**
+ * Format the branch linked to a feature
+ * @param {Object} feature - Feature status
+ * @returns {string} Branch display text
+ */
+function formatBranch(feature) {
+  if (!feature.branch) {
+    return chalk.gray('–');
+  }
+  return feature.current ? chalk.cyan(`${feature.branch} (current)`) : feature.branch;
+}
+
+/**
+ * Status command - summarize spec, plan and task progress of every feature
+ * @param {Object} [options={}] - Command options
+ * @param {boolean} [options.json=false] - Print the summary as JSON
+ * @returns {Promise<Object>} Project status
+ */
+export async function statusCommand(options = {}) {
+  const { json = false } = options;
+
+  const repoRoot = await getRepositoryRoot(process.cwd());
+  const projectRoot = repoRoot || process.cwd();
+  const specsDir = path.join(projectRoot, PATHS.defaultSpecDir);
+
+  const repoStatus = repoRoot ? await getRepositoryStatus(repoRoot) : { success: false };
+  const currentBranch = repoStatus.success ? repoStatus.branch : null;
+  const branches = repoRoot ? await listBranches(repoRoot) : [];
+
+  const features = [];
+  for (const name of await listFeatures(specsDir)) {
+    const feature = await getFeatureStatus(specsDir, name);
+    feature.branch = branches.includes(name) ? name : null;
+    feature.current = name === currentBranch;
+    features.push(feature);
+  }
+
+  const result = {
+    specsDir,
+    branch: currentBranch,
+    features
+  };
+
+  if (json) {
+    printJson(result);
+    return result;
+  }
+
+  console.log(chalk.bold.blue('\nnspecify Project Status\n'));
+
+  if (currentBranch) {
+    console.log(chalk.gray(`Current branch: ${currentBranch}`));
+  }
+
+  if (features.length === 0) {
+    console.log(chalk.yellow(`No features found in ${specsDir}`));
+    console.log(chalk.gray('Run "nspecify feature new <description>" to start one.\n'));
+    return result;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.bold('Feature'),
+      chalk.bold('Branch'),
+      chalk.bold('Spec'),
+      chalk.bold('Plan'),
+      chalk.bold('Tasks'),
+      chalk.bold('Progress')
+    ],
+    style: { head: [], border: [] }
+  });
+
+  for (const feature of features) {
+    table.push([
+      feature.name,
+      formatBranch(feature),
+      formatDocument(feature.spec),
+      formatDocument(feature.plan),
+      formatDocument(feature.tasks),
+      formatProgress(feature)
+    ]);
+  }
+
+  console.log(table.toString());
+  console.log();
+
+  return result;
+}
+
+/**
+ * Register status command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerStatusCommand(program) {
+  program
+    .command('status')
+    .description('Show spec, plan and task progress of every feature')
+    .action(statusCommand);
+}
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('../utils/git.js', () => ({
+  getRepositoryRoot: jest.fn(),
+  getRepositoryStatus: jest.fn(),
+  listBranches: jest.fn()
+}));
+
+// Import after mocking
+const { statusCommand } = await import('./status.js');
+const { getRepositoryRoot, getRepositoryStatus, listBranches } = await import('../utils/git.js');
+
+describe('status command', () => {
+  let projectDir;
+  let consoleLogSpy;
+
+  beforeEach(async () => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-status-test-'));
+    const specsDir = path.join(projectDir, 'specs');
+    await fs.mkdir(path.join(specsDir, '001-login'), { recursive: true });
+    await fs.mkdir(path.join(specsDir, '002-search'), { recursive: true });
+    await fs.writeFile(path.join(specsDir, '001-login', 'spec.md'), '# Spec');
+    await fs.writeFile(path.join(specsDir, '001-login', 'plan.md'), '# Plan');
+    await fs.writeFile(
+      path.join(specsDir, '001-login', 'tasks.md'),
+      '- [x] T001 Setup\n- [X] T002 Model\n- [ ] T003 API\n  - [ ] T004 UI\n'
+    );
+    await fs.writeFile(path.join(specsDir, '002-search', 'spec.md'), '# Spec');
+
+    jest.spyOn(process, 'cwd').mockReturnValue(projectDir);
+    getRepositoryRoot.mockResolvedValue(projectDir);
+    getRepositoryStatus.mockResolvedValue({ success: true, branch: '002-search' });
+    listBranches.mockResolvedValue(['main', '001-login', '002-search']);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should summarize documents and task progress per feature', async () => {
+    const result = await statusCommand();
+
+    expect(result.branch).toBe('002-search');
+    expect(result.features).toEqual([
+      expect.objectContaining({
+        name: '001-login',
+        number: '001',
+        spec: true,
+        plan: true,
+        tasks: true,
+        progress: { done: 2, total: 4 },
+        branch: '001-login',
+        current: false
+      }),
+      expect.objectContaining({
+        name: '002-search',
+        spec: true,
+        plan: false,
+        tasks: false,
+        progress: { done: 0, total: 0 },
+        branch: '002-search',
+        current: true
+      })
+    ]);
+
+    const output = consoleLogSpy.mock.calls.map((call) => call.join(' ')).join('\n');
+    expect(output).toContain('001-login');
+    expect(output).toContain('2/4 (50%)');
+  });
+
+  it('should print a single JSON document with --json', async () => {
+    const result = await statusCommand({ json: true });
+
+    expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(consoleLogSpy.mock.calls[0][0])).toEqual(result);
+  });
+
+  it('should work outside a git repository', async () => {
+    getRepositoryRoot.mockResolvedValue(null);
+
+    const result = await statusCommand();
+
+    expect(getRepositoryStatus).not.toHaveBeenCalled();
+    expect(result.branch).toBeNull();
+    expect(result.features.map((feature) => feature.branch)).toEqual([null, null]);
+  });
+
+  it('should report when there are no features', async () => {
+    await fs.rm(path.join(projectDir, 'specs'), { recursive: true, force: true });
+
+    const result = await statusCommand();
+
+    expect(result.features).toEqual([]);
+    expect(consoleLogSpy.mock.calls.flat().join('\n')).toContain('No features found');
+  });
+});
@@ -0,0 +1,372 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import chalk from 'chalk';
+import ora from 'ora';
+import { logger } from '../utils/logger.js';
+import { handleError, createError, ErrorTypes } from '../utils/errors.js';
+import { fileExists, ensureDirectory, hashContent } from '../utils/files.js';
+import { getOriginalFileContent, mergeFileContents } from '../utils/git.js';
+import {
+  downloadTemplate,
+  extractTemplate,
+  getTemplateVersion,
+  normalizeTemplateVersion,
+  generateAgentCommands
+} from '../utils/templates.js';
+import { parseAssistantList } from '../utils/assistants.js';
+import { parseTemplateSource, fetchTemplateSource, installTemplate } from '../utils/sources.js';
+import {
+  createManifest,
+  readManifest,
+  updateManifest,
+  writeManifest,
+  readBaseContent,
+  storeBaseContent,
+  toManifestKey,
+  detectInstalledVariant
+} from '../utils/manifest.js';
+import { printJson } from '../utils/output.js';
+
+/**
+ * Normalize text for comparison, ignoring line endings and trailing whitespace
+ * @param {string} content - File content
+ * @returns {string} Normalized content
+ */
+function normalizeContent(content) {
+  return content.replace(/\r\n/g, '\n').trimEnd();
+}
+
+/**
+ * List files in a directory recursively
+ * @param {string} dir - Directory to list
+ * @returns {Promise<string[]>} File paths relative to dir
+ */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.relative(dir, path.join(entry.path, entry.name)));
+}
+
+/**
+ * Decide what to do with a single template file
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} stagingDir - Directory holding the new template
+ * @param {string} targetDir - Project directory
+ * @param {Object} options - Upgrade options
+ * @param {Object|null} options.manifest - Install manifest, if any
+ * @returns {Promise<Object>} Planned action for the file
+ */
+async function planFile(relativePath, stagingDir, targetDir, options) {
+  const { force, merge, manifest } = options;
+  const incoming = await fs.readFile(path.join(stagingDir, relativePath), 'utf8');
+  const targetPath = path.join(targetDir, relativePath);
+
+  if (!await fileExists(targetPath)) {
+    return { path: relativePath, status: 'added', content: incoming };
+  }
+
+  const current = await fs.readFile(targetPath, 'utf8');
+  if (normalizeContent(current) === normalizeContent(incoming)) {
+    return { path: relativePath, status: 'unchanged' };
+  }
+
+  // The manifest knows exactly what was installed, and .specify/base keeps
+  // its content; projects from before fall back to git history
+  const entry = manifest && manifest.files[toManifestKey(relativePath)];
+  if (entry && entry.sha256 === hashContent(current)) {
+    return { path: relativePath, status: 'updated', content: incoming };
+  }
+
+  const base = (entry && await readBaseContent(targetDir, entry.sha256)) ??
+    await getOriginalFileContent(targetDir, relativePath);
+  if (base !== null && normalizeContent(base) === normalizeContent(current)) {
+    return { path: relativePath, status: 'updated', content: incoming };
+  }
+
+  if (force) {
+    return { path: relativePath, status: 'overwritten', content: incoming };
+  }
+
+  if (merge && base !== null) {
+    const result = await mergeFileContents(current, base, incoming);
+    return {
+      path: relativePath,
+      status: result.conflicts > 0 ? 'conflicted' : 'merged',
+      content: result.content,
+      incoming,
+      conflicts: result.conflicts
+    };
+  }
+
+  // Without a copy of the installed template there is nothing to merge against
+  if (base === null) {
+    return { path: relativePath, status: 'customized', reason: 'no-base' };
+  }
+
+  return { path: relativePath, status: 'customized' };
+}
+
+/**
+ * Record upgraded files in the install manifest
+ * @param {string} targetDir - Project directory
+ * @param {Object|null} manifest - Existing manifest, if any
+ * @param {Object[]} plan - Planned file actions
+ * @param {Object} details - Template version and source, script type and AI tools
+ * @returns {Promise<void>}
+ */
+async function recordUpgrade(targetDir, manifest, plan, details) {
+  // Customized files were not written by us, so their entries stay as they were
+  const installed = plan
+    .filter((item) => item.status !== 'customized')
+    .map((item) => item.path);
+
+  const next = manifest
+    ? await updateManifest(targetDir, manifest, installed, details)
+    : await createManifest(targetDir, installed, details);
+
+  // Merged files hold local edits, so record and keep the template content
+  // they were merged from, the base of the next merge
+  for (const item of plan) {
+    if (item.status === 'merged' || item.status === 'conflicted') {
+      next.files[toManifestKey(item.path)] = { sha256: await storeBaseContent(targetDir, item.incoming) };
+    }
+  }
+
+  await writeManifest(targetDir, next);
+}
+
+/**
+ * Print upgrade summary
+ * @param {Object[]} plan - Planned file actions
+ * @param {boolean} dryRun - Whether files were left untouched
+ */
+function printSummary(plan, dryRun) {
+  const labels = {
+    added: chalk.green('added'),
+    updated: chalk.green('updated'),
+    overwritten: chalk.yellow('overwritten'),
+    merged: chalk.green('merged'),
+    conflicted: chalk.red('conflict'),
+    customized: chalk.yellow('kept (customized)')
+  };
+
+  const changes = plan.filter((item) => item.status !== 'unchanged');
+
+  console.log(chalk.bold(dryRun ? '\nPlanned changes:' : '\nUpgrade summary:'));
+  if (changes.length === 0) {
+    console.log(chalk.gray('  Templates are already up to date'));
+    return;
+  }
+
+  for (const item of changes) {
+    console.log(`  ${labels[item.status]}  ${item.path}`);
+  }
+
+  const customized = changes.filter((item) => item.status === 'customized');
+  const unmergeable = customized.filter((item) => item.reason === 'no-base');
+  if (unmergeable.length > 0) {
+    console.log(chalk.yellow('\nNo copy of the installed templates is kept for these files, so they cannot be merged:'));
+    for (const item of unmergeable) {
+      console.log(chalk.yellow(`  ${item.path}`));
+    }
+    console.log(chalk.gray('Edit them by hand, or review them with --dry-run and use --force to overwrite them.'));
+  }
+  if (customized.length > unmergeable.length) {
+    console.log(chalk.gray('\nCustomized files were left as they are.'));
+    console.log(chalk.gray('Use --merge to three-way merge them or --force to overwrite them.'));
+  }
+
+  const conflicted = changes.filter((item) => item.status === 'conflicted');
+  if (conflicted.length > 0) {
+    console.log(chalk.yellow('\nResolve the conflict markers in the files listed above.'));
+  }
+}
+
+/**
+ * Stage the new templates as they would be installed in the project
+ * @param {string} stagingDir - Empty temporary directory
+ * @param {Object} settings - Upgrade settings
+ * @param {Object|null} settings.source - Custom template source from parseTemplateSource, null for the release
+ * @param {string|null} settings.version - Release version, latest if null
+ * @param {string} settings.scriptType - Script type (sh or ps)
+ * @param {string[]} settings.aiTools - AI assistants, the first one's release package is used
+ * @returns {Promise<{templateDir: string, templateVersion: string|null}>} Directory holding
+ *   the files to install, and their template version
+ */
+async function stageTemplates(stagingDir, settings) {
+  const { source, version, scriptType, aiTools } = settings;
+  const templateDir = path.join(stagingDir, 'template');
+  await fs.mkdir(templateDir);
+
+  if (source) {
+    const sourceDir = path.join(stagingDir, 'source');
+    await fetchTemplateSource(source, sourceDir, { scriptType, variables: { aiTool: aiTools[0] } });
+    const { version: templateVersion } = await installTemplate(sourceDir, templateDir, { scriptType, aiTools });
+    return { templateDir, templateVersion };
+  }
+
+  const templatePath = await downloadTemplate(scriptType, stagingDir, { aiTool: aiTools[0], version, useCache: false });
+  const templateVersion = getTemplateVersion(templatePath) || version;
+  await extractTemplate(templatePath, templateDir);
+  for (const tool of aiTools) {
+    await generateAgentCommands(templateDir, tool, scriptType);
+  }
+  return { templateDir, templateVersion };
+}
+
+/**
+ * Upgrade templates of an existing spec-driven project
+ * Projects installed from a custom template source are upgraded from that
+ * source, the others from the release
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.script] - Script type (sh or ps), detected if omitted
+ * @param {string} [options.aiTool] - AI assistant tools, comma-separated, detected if omitted
+ * @param {boolean} [options.merge=false] - Three-way merge customized files
+ * @param {boolean} [options.force=false] - Overwrite customized files
+ * @param {boolean} [options.dryRun=false] - Report changes without writing
+ * @param {string} [options.templateVersion] - Release version to upgrade to, latest if omitted
+ * @param {string} [options.template] - Template source to upgrade from (default: the one recorded at init)
+ * @param {boolean} [options.debug=false] - Enable debug logging
+ * @param {boolean} [options.json=false] - Print the actions as JSON
+ * @returns {Promise<Object[]>} Action taken for each template file
+ * @throws {Error} If the upgrade fails
+ */
+export async function upgradeCommand(options = {}) {
+  const {
+    merge = false,
+    force = false,
+    dryRun = false,
+    debug = false,
+    json = false
+  } = options;
+
+  const targetDir = process.cwd();
+  const version = normalizeTemplateVersion(options.templateVersion);
+
+  if (!await fileExists(path.join(targetDir, '.specify'))) {
+    throw createError(
+      'No .specify folder found in the current directory',
+      ErrorTypes.CONFIGURATION,
+      {
+        path: targetDir,
+        suggestion: 'Run "nspecify init --here" to initialize this directory first'
+      }
+    );
+  }
+
+  const manifest = await readManifest(targetDir);
+  const detected = await detectInstalledVariant(targetDir, manifest);
+  const scriptType = options.script || detected.scriptType;
+  const aiTools = options.aiTool ? parseAssistantList(options.aiTool) : detected.aiTools;
+  const aiTool = aiTools[0];
+
+  // Upgrading a project from another source would replace its templates with
+  // the release defaults
+  const templateSource = options.template || manifest?.templateSource || null;
+  if (templateSource && version) {
+    throw createError(
+      `Cannot upgrade to --template-version, the templates come from ${templateSource}`,
+      ErrorTypes.INVALID_INPUT,
+      {
+        suggestion: 'Pin a git template source with "#<ref>" and pass it with --template, e.g. git+https://host/repo.git#v1.2.0'
+      }
+    );
+  }
+
+  let source = null;
+  if (templateSource) {
+    try {
+      source = parseTemplateSource(templateSource, targetDir);
+    } catch (error) {
+      throw createError(
+        `Cannot upgrade from template source ${templateSource}: ${error.message}`,
+        error.type || ErrorTypes.INVALID_INPUT,
+        {
+          suggestion: options.template
+            ? error.suggestion
+            : 'The source was recorded at init; pass its current location with --template <source>'
+        }
+      );
+    }
+  }
+
+  logger.info(`Upgrading templates in: ${targetDir}`);
+  logger.debug(`Script type: ${scriptType}, AI tools: ${aiTools.join(', ')}`);
+
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-upgrade-'));
+  const label = version ? `templates ${version}` : 'latest templates';
+  const spinner = ora(source ? `Fetching templates from ${templateSource}...` : `Downloading ${label}...`).start();
+
+  try {
+    const { templateDir, templateVersion } = await stageTemplates(stagingDir, { source, version, scriptType, aiTools });
+    spinner.succeed(source ? `Fetched templates from ${templateSource}` : `Downloaded ${label}`);
+
+    const plan = [];
+    for (const relativePath of await listFiles(templateDir)) {
+      plan.push(await planFile(relativePath, templateDir, targetDir, { force, merge, manifest }));
+    }
+
+    if (!dryRun) {
+      for (const item of plan) {
+        if (item.content === undefined) {
+          continue;
+        }
+        const targetPath = path.join(targetDir, item.path);
+        ensureDirectory(path.dirname(targetPath));
+        await fs.writeFile(targetPath, item.content, 'utf8');
+        logger.debug(`${item.status}: ${item.path}`);
+      }
+
+      // Local sources are recorded absolute, like at init
+      await recordUpgrade(targetDir, manifest, plan, {
+        templateVersion,
+        templateSource: source?.path || templateSource,
+        scriptType,
+        aiTool,
+        aiTools
+      });
+    }
+
+    const files = plan.map(({ content: _content, incoming: _incoming, ...item }) => item);
+    if (json) {
+      printJson({ templateVersion, dryRun, files });
+    } else {
+      printSummary(plan, dryRun);
+    }
+    return files;
+  } catch (error) {
+    spinner.stop();
+
+    handleError(error, {
+      context: 'Template upgrade failed',
+      showStack: debug,
+      exit: false
+    });
+
+    throw error;
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Register upgrade command with commander
+ * @param {import('commander').Command} program - Commander program instance
+ * @returns {void}
+ */
+export function registerUpgradeCommand(program) {
+  program
+    .command('upgrade')
+    .description('Refresh templates in an existing project, preserving local edits')
+    .option('--script <type>', 'Script type: sh or ps (detected by default)', /^(sh|ps)$/i)
+    .option('--ai-tool <tools>', 'AI assistant tools, comma-separated (detected by default)')
+    .option('--template-version <version>', 'Template release version to upgrade to (default: latest)')
+    .option('--template <source>', 'Template source to upgrade from (default: the one recorded at init)')
+    .option('--merge', 'Three-way merge customized files with the new templates')
+    .option('--force', 'Overwrite customized files with the new templates')
+    .option('--dry-run', 'Show what would change without writing files')
+    .option('--debug', 'Enable debug logging')
+    .action(upgradeCommand);
+}
@@ -0,0 +1,326 @@
+import { jest } from '@jest/globals';
+import { createMockOra } from '../../test/helpers/mocks.js';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('ora', () => ({ default: createMockOra() }));
+
+jest.unstable_mockModule('../utils/templates.js', () => ({
+  downloadTemplate: jest.fn(),
+  extractTemplate: jest.fn(),
+  getTemplateVersion: jest.fn(() => '1.1.0'),
+  normalizeTemplateVersion: jest.fn((version) => (version ? version.replace(/^v/, '') : null)),
+  generateAgentCommands: jest.fn(() => Promise.resolve([]))
+}));
+
+jest.unstable_mockModule('../utils/git.js', () => ({
+  getOriginalFileContent: jest.fn(),
+  mergeFileContents: jest.fn()
+}));
+
+jest.unstable_mockModule('../utils/sources.js', () => ({
+  parseTemplateSource: jest.fn((source) => ({ type: 'git', source, url: source.replace(/^git\+/, ''), ref: null })),
+  fetchTemplateSource: jest.fn(),
+  installTemplate: jest.fn()
+}));
+
+// Import after mocking
+const { upgradeCommand } = await import('./upgrade.js');
+const { downloadTemplate, extractTemplate, generateAgentCommands } = await import('../utils/templates.js');
+const { getOriginalFileContent, mergeFileContents } = await import('../utils/git.js');
+const { hashContent } = await import('../utils/files.js');
+const { parseTemplateSource, fetchTemplateSource, installTemplate } = await import('../utils/sources.js');
+
+/**
+ * Write a set of files below a directory
+ * @param {string} dir - Base directory
+ * @param {Object} files - Map of relative path to content
+ */
+async function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+}
+
+describe('upgrade command', () => {
+  let projectDir;
+  let cwdSpy;
+  let templateFiles;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-upgrade-test-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(projectDir);
+
+    templateFiles = {};
+    downloadTemplate.mockImplementation(async (scriptType, dir) => {
+      const zipPath = path.join(dir, 'template.zip');
+      await fs.writeFile(zipPath, 'zip');
+      return zipPath;
+    });
+    extractTemplate.mockImplementation((zipPath, dir) => writeFiles(dir, templateFiles));
+    installTemplate.mockImplementation(async (sourceDir, dir) => {
+      await writeFiles(dir, templateFiles);
+      return { files: Object.keys(templateFiles), version: '2.0.0' };
+    });
+    getOriginalFileContent.mockResolvedValue(null);
+  });
+
+  afterEach(async () => {
+    cwdSpy.mockRestore();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should refuse to run outside an initialized project', async () => {
+    await expect(upgradeCommand()).rejects.toThrow('No .specify folder found');
+    expect(downloadTemplate).not.toHaveBeenCalled();
+  });
+
+  it('should download the latest template without using the cache', async () => {
+    await writeFiles(projectDir, { '.specify/scripts/ps/common.ps1': 'ps' });
+
+    await upgradeCommand();
+
+    expect(downloadTemplate).toHaveBeenCalledWith(
+      'ps',
+      expect.any(String),
+      { aiTool: 'claude-code', version: null, useCache: false }
+    );
+  });
+
+  it('should download the requested template version', async () => {
+    await writeFiles(projectDir, { '.specify/scripts/sh/common.sh': 'sh' });
+
+    await upgradeCommand({ templateVersion: 'v1.2.0' });
+
+    expect(downloadTemplate).toHaveBeenCalledWith(
+      'sh',
+      expect.any(String),
+      { aiTool: 'claude-code', version: '1.2.0', useCache: false }
+    );
+  });
+
+  it('should add new files and update untouched ones', async () => {
+    await writeFiles(projectDir, { '.specify/templates/spec-template.md': 'old spec\n' });
+    getOriginalFileContent.mockResolvedValue('old spec\n');
+    templateFiles = {
+      '.specify/templates/spec-template.md': 'new spec\n',
+      '.specify/templates/plan-template.md': 'plan\n'
+    };
+
+    const plan = await upgradeCommand();
+
+    expect(plan).toEqual(expect.arrayContaining([
+      { path: path.normalize('.specify/templates/spec-template.md'), status: 'updated' },
+      { path: path.normalize('.specify/templates/plan-template.md'), status: 'added' }
+    ]));
+    expect(await fs.readFile(path.join(projectDir, '.specify/templates/spec-template.md'), 'utf8')).toBe('new spec\n');
+    expect(await fs.readFile(path.join(projectDir, '.specify/templates/plan-template.md'), 'utf8')).toBe('plan\n');
+  });
+
+  it('should keep customized files by default', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'our rules\n' });
+    getOriginalFileContent.mockResolvedValue('original rules\n');
+    templateFiles = { '.specify/memory/constitution.md': 'new rules\n' };
+
+    const plan = await upgradeCommand();
+
+    expect(plan[0].status).toBe('customized');
+    expect(await fs.readFile(path.join(projectDir, '.specify/memory/constitution.md'), 'utf8')).toBe('our rules\n');
+  });
+
+  it('should three-way merge customized files with --merge', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'our rules\n' });
+    getOriginalFileContent.mockResolvedValue('original rules\n');
+    mergeFileContents.mockResolvedValue({ content: 'merged rules\n', conflicts: 0 });
+    templateFiles = { '.specify/memory/constitution.md': 'new rules\n' };
+
+    const plan = await upgradeCommand({ merge: true });
+
+    expect(mergeFileContents).toHaveBeenCalledWith('our rules\n', 'original rules\n', 'new rules\n');
+    expect(plan[0].status).toBe('merged');
+    expect(await fs.readFile(path.join(projectDir, '.specify/memory/constitution.md'), 'utf8')).toBe('merged rules\n');
+  });
+
+  it('should overwrite customized files with --force', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'our rules\n' });
+    templateFiles = { '.specify/memory/constitution.md': 'new rules\n' };
+
+    const plan = await upgradeCommand({ force: true });
+
+    expect(plan[0].status).toBe('overwritten');
+    expect(await fs.readFile(path.join(projectDir, '.specify/memory/constitution.md'), 'utf8')).toBe('new rules\n');
+  });
+
+  it('should not write anything with --dry-run', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'rules\n' });
+    templateFiles = { '.specify/templates/plan-template.md': 'plan\n' };
+
+    const plan = await upgradeCommand({ dryRun: true });
+
+    expect(plan[0].status).toBe('added');
+    await expect(fs.access(path.join(projectDir, '.specify/templates/plan-template.md'))).rejects.toThrow();
+  });
+
+  it('should print the planned actions as JSON', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'rules\n' });
+    templateFiles = { '.specify/templates/plan-template.md': 'plan\n' };
+
+    const files = await upgradeCommand({ dryRun: true, json: true });
+
+    expect(JSON.parse(console.log.mock.calls.at(-1)[0])).toEqual({
+      templateVersion: '1.1.0',
+      dryRun: true,
+      files: [{ path: path.join('.specify', 'templates', 'plan-template.md'), status: 'added' }]
+    });
+    expect(files).toHaveLength(1);
+  });
+
+  it('should treat files matching the manifest hash as untouched', async () => {
+    await writeFiles(projectDir, {
+      '.specify/memory/constitution.md': 'rules\n',
+      '.specify/manifest.json': JSON.stringify({
+        scriptType: 'sh',
+        aiTool: 'claude-code',
+        files: { '.specify/memory/constitution.md': { sha256: hashContent('rules\n') } }
+      })
+    });
+    templateFiles = { '.specify/memory/constitution.md': 'new rules\n' };
+
+    const plan = await upgradeCommand();
+
+    expect(plan[0].status).toBe('updated');
+    expect(getOriginalFileContent).not.toHaveBeenCalled();
+  });
+
+  it('should refresh the commands of every installed assistant', async () => {
+    await writeFiles(projectDir, {
+      '.specify/manifest.json': JSON.stringify({
+        scriptType: 'sh',
+        aiTool: 'claude-code',
+        aiTools: ['claude-code', 'cursor'],
+        files: {}
+      })
+    });
+
+    await upgradeCommand();
+
+    expect(downloadTemplate).toHaveBeenCalledWith('sh', expect.any(String), expect.objectContaining({ aiTool: 'claude-code' }));
+    expect(generateAgentCommands).toHaveBeenCalledWith(expect.any(String), 'claude-code', 'sh');
+    expect(generateAgentCommands).toHaveBeenCalledWith(expect.any(String), 'cursor', 'sh');
+  });
+
+  it('should list the files that cannot be merged without a copy of the installed templates', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'rules\n' });
+    templateFiles = { '.specify/memory/constitution.md': 'new rules\n' };
+
+    const plan = await upgradeCommand({ merge: true });
+
+    expect(plan[0]).toEqual({ path: path.normalize('.specify/memory/constitution.md'), status: 'customized', reason: 'no-base' });
+    expect(mergeFileContents).not.toHaveBeenCalled();
+    const output = console.log.mock.calls.flat().join('\n');
+    expect(output).toContain('No copy of the installed templates is kept for these files, so they cannot be merged:');
+    expect(output).toContain(`  ${path.normalize('.specify/memory/constitution.md')}`);
+    expect(output).not.toContain('Use --merge');
+  });
+
+  it('should merge against the templates of the last upgrade rather than git history', async () => {
+    await writeFiles(projectDir, {
+      '.specify/memory/constitution.md': 'our rules\n',
+      '.specify/manifest.json': JSON.stringify({
+        scriptType: 'sh',
+        aiTool: 'claude-code',
+        files: { '.specify/memory/constitution.md': { sha256: hashContent('rules v1\n') } }
+      }),
+      [`.specify/base/${hashContent('rules v1\n')}`]: 'rules v1\n'
+    });
+    getOriginalFileContent.mockResolvedValue('original rules\n');
+    mergeFileContents.mockImplementation(async (current, base, incoming) => ({ content: `${current}+${incoming}`, conflicts: 0 }));
+    templateFiles = { '.specify/memory/constitution.md': 'rules v2\n' };
+
+    await upgradeCommand({ merge: true });
+
+    expect(mergeFileContents).toHaveBeenCalledWith('our rules\n', 'rules v1\n', 'rules v2\n');
+    expect(getOriginalFileContent).not.toHaveBeenCalled();
+
+    templateFiles = { '.specify/memory/constitution.md': 'rules v3\n' };
+    await upgradeCommand({ merge: true });
+
+    expect(mergeFileContents).toHaveBeenLastCalledWith('our rules\n+rules v2\n', 'rules v2\n', 'rules v3\n');
+    expect(await fs.readdir(path.join(projectDir, '.specify/base'))).toEqual([hashContent('rules v3\n')]);
+  });
+
+  it('should upgrade from the template source recorded at init', async () => {
+    const source = 'git+https://git.example.com/company/templates.git';
+    await writeFiles(projectDir, {
+      '.specify/memory/constitution.md': 'rules\n',
+      '.specify/manifest.json': JSON.stringify({
+        templateSource: source,
+        scriptType: 'sh',
+        aiTool: 'cursor',
+        files: { '.specify/memory/constitution.md': { sha256: hashContent('rules\n') } }
+      })
+    });
+    templateFiles = { '.specify/memory/constitution.md': 'company rules\n' };
+
+    const plan = await upgradeCommand();
+
+    expect(downloadTemplate).not.toHaveBeenCalled();
+    expect(parseTemplateSource).toHaveBeenCalledWith(source, projectDir);
+    expect(fetchTemplateSource).toHaveBeenCalledWith(expect.objectContaining({ source }), expect.any(String), { scriptType: 'sh', variables: { aiTool: 'cursor' } });
+    expect(installTemplate).toHaveBeenCalledWith(expect.any(String), expect.any(String), { scriptType: 'sh', aiTools: ['cursor'] });
+    expect(plan[0].status).toBe('updated');
+    expect(await fs.readFile(path.join(projectDir, '.specify/memory/constitution.md'), 'utf8')).toBe('company rules\n');
+
+    const manifest = JSON.parse(await fs.readFile(path.join(projectDir, '.specify/manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ templateSource: source, templateVersion: '2.0.0' });
+  });
+
+  it('should refuse a release version for a project installed from a custom source', async () => {
+    await writeFiles(projectDir, {
+      '.specify/manifest.json': JSON.stringify({ templateSource: './company-templates', scriptType: 'sh', aiTool: 'cursor', files: {} })
+    });
+
+    await expect(upgradeCommand({ templateVersion: '1.2.0' }))
+      .rejects.toThrow('Cannot upgrade to --template-version, the templates come from ./company-templates');
+    expect(downloadTemplate).not.toHaveBeenCalled();
+  });
+
+  it('should point to --template when the recorded source is gone', async () => {
+    await writeFiles(projectDir, {
+      '.specify/manifest.json': JSON.stringify({ templateSource: './company-templates', scriptType: 'sh', aiTool: 'cursor', files: {} })
+    });
+    parseTemplateSource.mockImplementationOnce(() => {
+      throw Object.assign(new Error('Template source not found: ./company-templates'), { type: 'INVALID_INPUT' });
+    });
+
+    await expect(upgradeCommand()).rejects.toMatchObject({
+      message: 'Cannot upgrade from template source ./company-templates: Template source not found: ./company-templates',
+      suggestion: expect.stringContaining('--template <source>')
+    });
+  });
+
+  it('should record upgraded files in the manifest', async () => {
+    await writeFiles(projectDir, { '.specify/memory/constitution.md': 'our rules\n' });
+    getOriginalFileContent.mockResolvedValue('original rules\n');
+    templateFiles = {
+      '.specify/memory/constitution.md': 'new rules\n',
+      '.specify/templates/plan-template.md': 'plan\n'
+    };
+
+    await upgradeCommand();
+
+    const manifest = JSON.parse(await fs.readFile(path.join(projectDir, '.specify/manifest.json'), 'utf8'));
+    expect(manifest.templateVersion).toBe('1.1.0');
+    expect(manifest.files).toEqual({
+      '.specify/templates/plan-template.md': { sha256: hashContent('plan\n') }
+    });
+  });
+});
@@ -8,6 +8,11 @@ const SCRIPT_TYPES = {
 };
 
 // AI Assistant configurations
+// - agent: short name used by the scripts and the __AGENT__ placeholder
+// - commandsDir/commandFormat: where and how slash commands are written
+// - arguments: how the assistant refers to the text typed after a command
+// - contextFile: agent context file kept up to date by update-agent-context
+// - tool: CLI checked by `nspecify check`, optional tools only warn
 const AI_ASSISTANTS = {
   'claude-code': {
     name: 'Claude Code',
@@ -16,6 +21,22 @@ const AI_ASSISTANTS = {
       'Claude Code CLI installed',
       'Active Claude subscription',
     ],
+    agent: 'claude',
+    commandsDir: '.claude/commands',
+    commandFormat: 'markdown',
+    arguments: '$ARGUMENTS',
+    contextFile: 'CLAUDE.md',
+    tool: {
+      name: 'Claude CLI',
+      command: 'claude',
+      localPaths: [
+        join(homedir(), '.claude', 'local', 'claude.exe'),
+        join(homedir(), '.claude', 'local', 'claude'),
+        join(homedir(), 'AppData', 'Local', 'claude', 'claude.exe'),
+      ],
+      install: 'Install it from https://claude.ai/cli',
+      required: true,
+    },
   },
   'gemini-cli': {
     name: 'Gemini CLI',
@@ -24,6 +45,18 @@ const AI_ASSISTANTS = {
       'Gemini CLI installed',
       'Google Cloud authentication',
     ],
+    agent: 'gemini',
+    commandsDir: '.gemini/commands',
+    commandFormat: 'toml',
+    arguments: '{{args}}',
+    contextFile: 'GEMINI.md',
+    tool: {
+      name: 'Gemini CLI',
+      command: 'gemini',
+      localPaths: [],
+      install: 'Install it with: npm install -g @google/gemini-cli',
+      required: true,
+    },
   },
   'github-copilot': {
     name: 'GitHub Copilot',
@@ -32,6 +65,18 @@ const AI_ASSISTANTS = {
       'GitHub Copilot subscription',
       'VS Code or compatible IDE',
     ],
+    agent: 'copilot',
+    commandsDir: '.github/prompts',
+    commandFormat: 'prompt',
+    arguments: '${input:arguments}',
+    contextFile: '.github/copilot-instructions.md',
+    tool: {
+      name: 'VS Code',
+      command: 'code',
+      localPaths: [],
+      install: 'Install VS Code from https://code.visualstudio.com and enable GitHub Copilot',
+      required: false,
+    },
   },
   'cursor': {
     name: 'Cursor',
@@ -40,6 +85,19 @@ const AI_ASSISTANTS = {
       'Cursor IDE installed',
       'Active Cursor subscription',
     ],
+    agent: 'cursor',
+    commandsDir: '.cursor/rules',
+    commandFormat: 'mdc',
+    // Rules have no arguments placeholder, see formatCommand
+    arguments: null,
+    contextFile: 'AGENTS.md',
+    tool: {
+      name: 'Cursor',
+      command: 'cursor',
+      localPaths: [],
+      install: 'Install Cursor from https://cursor.sh and its "cursor" shell command',
+      required: false,
+    },
   },
 };
 
@@ -50,6 +108,8 @@ const PATHS = {
   defaultSpecDir: 'specs',
   claudeMdFile: 'CLAUDE.md',
   readmeFile: 'README.md',
+  manifestFile: '.specify/manifest.json',
+  baseDir: '.specify/base',
 };
 
 // GitHub release information
@@ -99,12 +159,34 @@ const ENVIRONMENT = {
   tempDir: tmpdir(),
 };
 
+// Environment variables read in place of command-line flags and configuration files
+const ENV_VARS = {
+  script: 'NSPECIFY_SCRIPT',
+  aiTool: 'NSPECIFY_AI_TOOL',
+  conflict: 'NSPECIFY_CONFLICT',
+  nonInteractive: 'NSPECIFY_NON_INTERACTIVE',
+  git: 'NSPECIFY_GIT',
+  template: 'NSPECIFY_TEMPLATE',
+  templateVersion: 'NSPECIFY_TEMPLATE_VERSION',
+  timeout: 'NSPECIFY_TIMEOUT',
+  maxRetries: 'NSPECIFY_MAX_RETRIES',
+  caFile: 'NSPECIFY_CA_FILE',
+  cacheDir: 'NSPECIFY_CACHE_DIR',
+  cacheTtl: 'NSPECIFY_CACHE_TTL',
+  cacheMaxAge: 'NSPECIFY_CACHE_MAX_AGE',
+  cacheMaxSize: 'NSPECIFY_CACHE_MAX_SIZE',
+};
+
 // Default values
 const DEFAULTS = {
   retryCount: 3,
   downloadTimeout: 30000, // 30 seconds
   chunkSize: 1024 * 1024, // 1MB for downloads
   maxFileSize: 50 * 1024 * 1024, // 50MB max download
+  maxArchiveEntries: 1000, // Max files in a template archive
+  cacheTtl: 24 * 60 * 60 * 1000, // Latest release is re-downloaded after 24 hours
+  cacheMaxAge: 7 * 24 * 60 * 60 * 1000, // Cached templates are pruned after 7 days
+  cacheMaxSize: 100 * 1024 * 1024, // 100MB cache budget
 };
 
 // Regular expressions
@@ -135,6 +217,7 @@ export {
   SYMBOLS,
   COLORS,
   ENVIRONMENT,
+  ENV_VARS,
   DEFAULTS,
   PATTERNS,
   ERRORS,
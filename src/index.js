@@ -3,6 +3,11 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './utils/logger.js';
+import { enableJsonOutput, isJsonOutput, printJson } from './utils/output.js';
+import { serializeError, ErrorTypes } from './utils/errors.js';
+import { configureHttp } from './utils/http.js';
+import { configureCache } from './utils/cache.js';
+import { loadConfig } from './utils/config.js';
 
 // Get package.json version
 const __filename = fileURLToPath(import.meta.url);
@@ -23,24 +28,64 @@ program
   .version(version, '-v, --version', 'display version number')
   .helpOption('-h, --help', 'display help for command')
   .option('-d, --debug', 'enable debug logging', false)
-  .hook('preAction', (thisCommand) => {
+  .option('--json', 'print a single JSON document on stdout, human output goes to stderr', false)
+  .option('--timeout <ms>', 'network timeout in milliseconds for downloads', '30000')
+  .option('--max-retries <count>', 'retries of downloads that fail on network errors', '3')
+  .option('--ca-file <path>', 'trust the CA certificates in this PEM file, e.g. for a corporate proxy')
+  .option('--skip-tls', 'do not verify TLS certificates (not recommended)', false)
+  .hook('preAction', async (thisCommand, actionCommand) => {
+    // Switch stdout to JSON first so nothing else lands on it
+    if (thisCommand.opts().json) {
+      enableJsonOutput();
+      actionCommand.setOptionValue('json', true);
+    }
+
     // Enable debug mode if flag is set
     if (thisCommand.opts().debug) {
       process.env.DEBUG = 'true';
       logger.debug('Debug mode enabled');
     }
+
+    // Network options left out on the command line come from the configuration
+    const config = await loadConfig();
+    const options = thisCommand.opts();
+    const setting = (name) => (thisCommand.getOptionValueSource(name) === 'cli' ? options[name] : config[name] ?? options[name]);
+    configureHttp({
+      timeout: setting('timeout'),
+      maxRetries: setting('maxRetries'),
+      caFile: setting('caFile'),
+      skipTls: options.skipTls
+    });
+    configureCache(config.cache);
   });
 
 // Import commands
 import { registerCheckCommand } from './commands/check.js';
 import { registerInitCommand } from './commands/init.js';
+import { registerUpgradeCommand } from './commands/upgrade.js';
+import { registerFeatureCommand } from './commands/feature.js';
+import { registerStatusCommand } from './commands/status.js';
+import { registerLintCommand } from './commands/lint.js';
+import { registerAgentCommand } from './commands/agent.js';
+import { registerCacheCommand } from './commands/cache.js';
 
 // Register commands
 registerCheckCommand(program);
 registerInitCommand(program);
+registerUpgradeCommand(program);
+registerFeatureCommand(program);
+registerStatusCommand(program);
+registerLintCommand(program);
+registerAgentCommand(program);
+registerCacheCommand(program);
 
 // Global error handling for commands
 program.exitOverride((err) => {
+  const usageError = !['commander.helpDisplayed', 'commander.version'].includes(err.code);
+  if (usageError && process.argv.includes('--json')) {
+    printJson({ error: { message: err.message, type: ErrorTypes.INVALID_INPUT, code: err.code } });
+  }
+
   if (err.code === 'commander.missingArgument') {
     console.error(`Error: ${err.message}`);
     console.error(`Run 'nspecify --help' for usage information.`);
@@ -54,12 +99,14 @@ program.exitOverride((err) => {
 });
 
 // Parse command line arguments
-try {
-  program.parse(process.argv);
-} catch (error) {
-  logger.error('Failed to parse command:', error.message);
-  process.exit(1);
-}
+program.parseAsync(process.argv).catch((error) => {
+  if (isJsonOutput()) {
+    printJson({ error: serializeError(error) });
+  } else {
+    logger.error(error.message);
+  }
+  process.exitCode = 1;
+});
 
 // Show help if no command provided
 if (!process.argv.slice(2).length) {
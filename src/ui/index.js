@@ -16,7 +16,9 @@ export {
 // Interactive selection
 export { 
   Selector,
+  MultiSelector,
   selectWithArrows,
+  selectManyWithArrows,
   SelectionState,
   feedback
 } from './selector.js';
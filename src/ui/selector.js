@@ -1,6 +1,7 @@
 import chalk from 'chalk';
 import { getKeyboard } from './keyboard.js';
 import { THEME } from './banner.js';
+import { AI_ASSISTANTS } from '../constants.js';
 
 /**
  * Interactive arrow-key selector matching Python version's behavior
@@ -9,6 +10,7 @@ export class Selector {
   constructor(options = {}) {
     this.items = options.items || [];
     this.prompt = options.prompt || 'Select an option';
+    this.hint = options.hint || 'Use ↑/↓ to navigate, Enter to select, Esc to cancel';
     this.defaultIndex = options.defaultIndex || 0;
     this.selectedIndex = this.defaultIndex;
     this.keyboard = getKeyboard();
@@ -27,6 +29,15 @@ export class Selector {
     }
   }
 
+  /**
+   * Format an option line
+   * @param {Object} item - Option with key and label
+   * @returns {string} Option text
+   */
+  formatItem(item) {
+    return `${item.key}: ${item.label}`;
+  }
+
   /**
    * Render the selector UI
    * @param {boolean} clear - Whether to clear previous render
@@ -44,15 +55,20 @@ export class Selector {
       const isSelected = index === this.selectedIndex;
       const arrow = isSelected ? chalk.cyanBright('▶') : ' ';
       const text = isSelected 
-        ? chalk.cyanBright(`${item.key}: ${item.label}`)
-        : chalk.white(`${item.key}: ${item.label}`);
+        ? chalk.cyanBright(this.formatItem(item))
+        : chalk.white(this.formatItem(item));
       
       lines.push(chalk.cyan('│ ') + arrow + '  ' + text + ' '.repeat(Math.max(0, this.prompt.length - text.length - 1)) + chalk.cyan('│'));
+
+      // Optional details below the option
+      if (item.description) {
+        lines.push(chalk.cyan('│ ') + '     ' + chalk.gray(item.description));
+      }
     });
     
     // Add bottom border
     lines.push(chalk.cyan('│') + ' '.repeat(this.prompt.length + 4) + chalk.cyan('│'));
-    lines.push(chalk.cyan('│ ') + chalk.gray('Use ↑/↓ to navigate, Enter to select, Esc to cancel') + chalk.cyan(' │'));
+    lines.push(chalk.cyan('│ ') + chalk.gray(this.hint) + chalk.cyan(' │'));
     lines.push(chalk.cyan('└' + '─'.repeat(this.prompt.length + 4) + '┘'));
     
     // Clear previous render if needed
@@ -140,6 +156,58 @@ export class Selector {
   }
 }
 
+/**
+ * Arrow-key selector where Space toggles several options
+ * Enter confirms the checked options, or the highlighted one if none is checked
+ */
+export class MultiSelector extends Selector {
+  constructor(options = {}) {
+    super({
+      hint: 'Use ↑/↓ to navigate, Space to toggle, Enter to confirm, Esc to cancel',
+      ...options
+    });
+    this.checked = new Set(options.checked || []);
+  }
+
+  /**
+   * Format an option line with its checkbox
+   * @param {Object} item - Option with key and label
+   * @returns {string} Option text
+   */
+  formatItem(item) {
+    return `[${this.checked.has(item.key) ? 'x' : ' '}] ${super.formatItem(item)}`;
+  }
+
+  /**
+   * Handle keyboard input
+   * @param {string} key - Key pressed
+   */
+  handleKey(key) {
+    const current = this.items[this.selectedIndex];
+
+    switch (key) {
+      case 'space':
+        if (this.checked.has(current.key)) {
+          this.checked.delete(current.key);
+        } else {
+          this.checked.add(current.key);
+        }
+        this.render();
+        break;
+
+      case 'enter':
+        this.result = this.checked.size > 0
+          ? this.items.filter((item) => this.checked.has(item.key))
+          : [current];
+        this.isActive = false;
+        break;
+
+      default:
+        super.handleKey(key);
+    }
+  }
+}
+
 /**
  * Helper function to create and run a selector (matching Python's select_with_arrows)
  * @param {Object} options - Dictionary of options with keys and descriptions
@@ -176,6 +244,33 @@ export async function selectWithArrows(options, promptText = 'Select an option',
   return result.key;
 }
 
+/**
+ * Create and run a multi-select
+ * @param {Object} options - Dictionary of options with keys and descriptions
+ * @param {string} promptText - Prompt text
+ * @param {string[]} defaultKeys - Initially checked option keys
+ * @returns {Promise<string[]>} Selected keys
+ */
+export async function selectManyWithArrows(options, promptText = 'Select options', defaultKeys = []) {
+  const items = Object.entries(options).map(([key, label]) => ({ key, label }));
+  const defaultIndex = Math.max(0, items.findIndex((item) => item.key === defaultKeys[0]));
+
+  const selector = new MultiSelector({
+    items,
+    prompt: promptText,
+    defaultIndex,
+    checked: defaultKeys
+  });
+
+  const result = await selector.run();
+
+  if (!result) {
+    process.exit(1);
+  }
+
+  return result.map((item) => item.key);
+}
+
 /**
  * State management for selection
  */
@@ -249,16 +344,93 @@ export const feedback = {
   }
 };
 
+/**
+ * Check whether the user can answer prompts
+ * Selectors need a terminal on stdin to read keys in raw mode
+ * @returns {boolean} True if stdin is a terminal
+ */
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY);
+}
+
 /**
  * Create a script type selector
  * @param {string} defaultType - Default script type
  * @returns {Promise<string|null>} Selected script type or null if cancelled
  */
 export async function createScriptSelector(defaultType = 'ps') {
-  const options = [
-    { key: 'sh', label: 'Shell scripts (.sh) - For Linux/macOS/Git Bash' },
-    { key: 'ps', label: 'PowerShell scripts (.ps1) - For Windows' }
-  ];
+  const options = {
+    sh: 'Shell scripts (.sh) - For Linux/macOS/Git Bash',
+    ps: 'PowerShell scripts (.ps1) - For Windows'
+  };
   
   return selectWithArrows(options, 'Select script type for your project:', defaultType);
-}
\ No newline at end of file
+}
+
+/**
+ * Create an AI assistant multi-select
+ * Lists every assistant with its URL and requirements and marks the ones
+ * whose tool was found on this machine
+ * @param {Object} [options={}] - Selector options
+ * @param {string[]} [options.detected=[]] - Ids of the assistants detected locally
+ * @param {string[]} [options.defaultTools] - Initially checked assistants, the first detected one by default
+ * @returns {Promise<string[]>} Selected assistant ids
+ */
+export async function createAssistantSelector(options = {}) {
+  const { detected = [], defaultTools = [detected[0] || 'claude-code'] } = options;
+
+  const items = Object.entries(AI_ASSISTANTS).map(([key, assistant]) => ({
+    key,
+    label: `${assistant.name} (${assistant.url})${detected.includes(key) ? ' ✓ detected' : ''}`,
+    description: `Requires: ${assistant.requirements.join(', ')}`
+  }));
+
+  const selector = new MultiSelector({
+    items,
+    prompt: 'Select the AI assistants for your project:',
+    defaultIndex: Math.max(0, items.findIndex((item) => item.key === defaultTools[0])),
+    checked: defaultTools
+  });
+
+  const result = await selector.run();
+
+  if (!result) {
+    process.exit(1);
+  }
+
+  return result.map((item) => item.key);
+}
+
+/**
+ * Create a resolver asking what to do with template files that already exist
+ * "All" answers are remembered for the remaining files. Without a terminal
+ * existing files are kept.
+ * @returns {function(string): Promise<'overwrite'|'skip'>} Conflict resolver
+ */
+export function createConflictSelector() {
+  let remembered = null;
+
+  return async (filePath) => {
+    if (remembered) {
+      return remembered;
+    }
+
+    if (!isInteractive()) {
+      return 'skip';
+    }
+
+    const choice = await selectWithArrows({
+      skip: 'Keep my file',
+      overwrite: 'Replace it with the template file',
+      'skip-all': 'Keep all my existing files',
+      'overwrite-all': 'Replace all existing files'
+    }, `${filePath} already exists:`, 'skip');
+
+    if (choice.endsWith('-all')) {
+      remembered = choice.replace(/-all$/, '');
+      return remembered;
+    }
+
+    return choice;
+  };
+}
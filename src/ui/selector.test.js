@@ -43,7 +43,7 @@ jest.unstable_mockModule('./keyboard.js', () => ({
   })
 }));
 
-const { selectWithArrows, Selector } = await import('./selector.js');
+const { selectWithArrows, Selector, MultiSelector, createAssistantSelector, createScriptSelector } = await import('./selector.js');
 const { getKeyboard } = await import('./keyboard.js');
 
 describe('selector', () => {
@@ -308,4 +308,66 @@ describe('selector', () => {
       expect(selector.selectedIndex).toBe(0); // Wrapped to first
     });
   });
-});
\ No newline at end of file
+
+  describe('MultiSelector class', () => {
+    const items = [
+      { key: 'claude-code', label: 'Claude Code' },
+      { key: 'cursor', label: 'Cursor' },
+      { key: 'gemini-cli', label: 'Gemini CLI' }
+    ];
+
+    it('should toggle options with space and return the checked ones', () => {
+      const selector = new MultiSelector({ items, checked: ['claude-code'] });
+
+      selector.handleKey('down');
+      selector.handleKey('space');
+      selector.handleKey('enter');
+
+      expect(selector.result.map((item) => item.key)).toEqual(['claude-code', 'cursor']);
+      expect(selector.formatItem(items[1])).toBe('[x] cursor: Cursor');
+    });
+
+    it('should return the highlighted option when nothing is checked', () => {
+      const selector = new MultiSelector({ items, defaultIndex: 2 });
+
+      selector.handleKey('enter');
+
+      expect(selector.result).toEqual([items[2]]);
+    });
+  });
+
+  describe('createAssistantSelector', () => {
+    it('should list every assistant and check the first detected one', async () => {
+      const output = captureOutput();
+      const selectorPromise = createAssistantSelector({ detected: ['cursor'] });
+
+      await new Promise(resolve => setImmediate(resolve));
+      global.testKeyboardCallback('enter');
+
+      const result = await selectorPromise;
+      output.restore();
+
+      expect(result).toEqual(['cursor']);
+      const text = output.getOutput();
+      expect(text).toContain('Claude Code (https://claude.ai/code)');
+      expect(text).toContain('Cursor (https://cursor.sh) ✓ detected');
+      expect(text).toContain('Requires: Gemini CLI installed, Google Cloud authentication');
+    });
+  });
+
+  describe('createScriptSelector', () => {
+    it('should return the chosen script type', async () => {
+      const output = captureOutput();
+      const selectorPromise = createScriptSelector('sh');
+
+      await new Promise(resolve => setImmediate(resolve));
+      global.testKeyboardCallback('down');
+      global.testKeyboardCallback('enter');
+
+      const result = await selectorPromise;
+      output.restore();
+
+      expect(result).toBe('ps');
+    });
+  });
+});
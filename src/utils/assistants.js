@@ -0,0 +1,183 @@
+/**
+ * AI assistant utilities
+ * Look up assistant settings from AI_ASSISTANTS and write slash commands in
+ * each assistant's own file format
+ */
+
+import { stringify } from 'yaml';
+import { AI_ASSISTANTS } from '../constants.js';
+import { createError, ErrorTypes } from './errors.js';
+
+/**
+ * Command file formats
+ */
+export const CommandFormats = {
+  MARKDOWN: 'markdown',
+  TOML: 'toml',
+  PROMPT: 'prompt',
+  MDC: 'mdc'
+};
+
+/**
+ * Stands for the user's request in the commands of assistants that have no
+ * arguments placeholder, until formatCommand rewrites it
+ */
+const REQUEST_PLACEHOLDER = '$NSPECIFY_REQUEST';
+
+/**
+ * File extension of each command format
+ */
+const COMMAND_EXTENSIONS = {
+  [CommandFormats.MARKDOWN]: '.md',
+  [CommandFormats.TOML]: '.toml',
+  [CommandFormats.PROMPT]: '.prompt.md',
+  [CommandFormats.MDC]: '.mdc'
+};
+
+/**
+ * Get the ids of all supported AI assistants
+ * @returns {string[]} Assistant ids such as 'claude-code'
+ */
+export function getAssistantIds() {
+  return Object.keys(AI_ASSISTANTS);
+}
+
+/**
+ * Get the settings of an AI assistant
+ * @param {string} aiTool - Assistant id such as 'claude-code'
+ * @returns {Object} Assistant settings from AI_ASSISTANTS, with its id
+ * @throws {Error} If the assistant is not supported
+ */
+export function getAssistant(aiTool) {
+  const assistant = AI_ASSISTANTS[aiTool];
+  if (!assistant) {
+    throw createError(
+      `Unsupported AI assistant: ${aiTool}`,
+      ErrorTypes.INVALID_INPUT,
+      {
+        provided: aiTool,
+        valid: getAssistantIds(),
+        suggestion: `Use one of: ${getAssistantIds().join(', ')}`
+      }
+    );
+  }
+
+  return { id: aiTool, ...assistant };
+}
+
+/**
+ * Parse a list of AI assistants such as "claude-code,cursor"
+ * @param {string|string[]} value - Comma-separated ids, or an array of them
+ * @returns {string[]} Unique assistant ids in the given order
+ * @throws {Error} If the list is empty or names an unsupported assistant
+ */
+export function parseAssistantList(value) {
+  const ids = [...new Set(
+    [].concat(value || [])
+      .flatMap((item) => String(item).split(','))
+      .map((id) => id.trim())
+      .filter(Boolean)
+  )];
+
+  if (ids.length === 0) {
+    throw createError(
+      'No AI assistant given',
+      ErrorTypes.INVALID_INPUT,
+      { suggestion: `Use one or more of: ${getAssistantIds().join(', ')}` }
+    );
+  }
+
+  ids.forEach(getAssistant);
+  return ids;
+}
+
+/**
+ * Get the file extension of an assistant's command files
+ * @param {string} aiTool - Assistant id
+ * @returns {string} Extension such as '.md' or '.toml'
+ */
+export function getCommandExtension(aiTool) {
+  return COMMAND_EXTENSIONS[getAssistant(aiTool).commandFormat];
+}
+
+/**
+ * Get the project path of an assistant command
+ * @param {string} aiTool - Assistant id
+ * @param {string} name - Command name such as 'specify'
+ * @returns {string} Path relative to the project root, with forward slashes
+ */
+export function getCommandPath(aiTool, name) {
+  return `${getAssistant(aiTool).commandsDir}/${name}${getCommandExtension(aiTool)}`;
+}
+
+/**
+ * Get what stands for the user's request in the commands of an assistant
+ * @param {string} aiTool - Assistant id
+ * @returns {string} The assistant's arguments placeholder, such as $ARGUMENTS,
+ *   or a placeholder formatCommand rewrites for assistants without one
+ */
+export function getArgumentsPlaceholder(aiTool) {
+  return getAssistant(aiTool).arguments ?? REQUEST_PLACEHOLDER;
+}
+
+/**
+ * Describe the user's request in words for assistants without an arguments
+ * placeholder: commands lose the argument and say to pass the request,
+ * other mentions name it
+ * @param {string} content - Command instructions
+ * @returns {string} Instructions without the placeholder
+ */
+function describeRequest(content) {
+  return content
+    .replace(/`([^`\n]*?)\s*(["']?)\$NSPECIFY_REQUEST\2([^`\n]*)`/g, (match, before, quote, after) => (
+      `\`${before}${after}\` (pass the user's request as the argument)`
+    ))
+    .replace(/\$NSPECIFY_REQUEST/g, 'the user\'s request');
+}
+
+/**
+ * Write YAML frontmatter followed by a body
+ * @param {Object} data - Frontmatter fields
+ * @param {string} body - Content after the frontmatter
+ * @returns {string} Document
+ */
+function withFrontmatter(data, body) {
+  return `---\n${stringify(data, { lineWidth: 0 })}---\n\n${body}`;
+}
+
+/**
+ * Escape text for a TOML multi-line basic string
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeTomlMultiline(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"');
+}
+
+/**
+ * Format a command in the file format of an assistant
+ * @param {string} aiTool - Assistant id
+ * @param {Object} command - Command to format
+ * @param {string} command.description - One-line description
+ * @param {string} command.body - Rendered command instructions, the user's request
+ *   given with getArgumentsPlaceholder
+ * @returns {string} Command file content
+ */
+export function formatCommand(aiTool, { description = '', body }) {
+  const { commandFormat, arguments: placeholder } = getAssistant(aiTool);
+  const content = (placeholder === null ? describeRequest(body) : body).trim();
+
+  switch (commandFormat) {
+    case CommandFormats.TOML:
+      return `description = ${JSON.stringify(description)}\n\nprompt = """\n${escapeTomlMultiline(content)}\n"""\n`;
+
+    case CommandFormats.PROMPT:
+      return withFrontmatter({ mode: 'agent', description }, `${content}\n`);
+
+    case CommandFormats.MDC:
+      return withFrontmatter({ description, globs: '', alwaysApply: false }, `${content}\n`);
+
+    default:
+      return withFrontmatter({ description }, `${content}\n`);
+  }
+}
@@ -0,0 +1,90 @@
+import {
+  CommandFormats,
+  getAssistantIds,
+  getAssistant,
+  parseAssistantList,
+  getCommandExtension,
+  getCommandPath,
+  getArgumentsPlaceholder,
+  formatCommand
+} from './assistants.js';
+
+describe('assistants', () => {
+  const command = { description: 'Create a feature spec', body: 'Run the script with $ARGUMENTS\n' };
+
+  describe('getAssistant', () => {
+    it('should return the settings of a supported assistant', () => {
+      expect(getAssistantIds()).toEqual(['claude-code', 'gemini-cli', 'github-copilot', 'cursor']);
+      expect(getAssistant('gemini-cli')).toMatchObject({
+        id: 'gemini-cli',
+        agent: 'gemini',
+        commandsDir: '.gemini/commands',
+        commandFormat: CommandFormats.TOML,
+        contextFile: 'GEMINI.md'
+      });
+    });
+
+    it('should reject unsupported assistants', () => {
+      expect(() => getAssistant('copilot-x')).toThrow('Unsupported AI assistant: copilot-x');
+    });
+  });
+
+  describe('parseAssistantList', () => {
+    it('should split, trim and deduplicate assistant ids', () => {
+      expect(parseAssistantList('claude-code, cursor,claude-code')).toEqual(['claude-code', 'cursor']);
+      expect(parseAssistantList(['gemini-cli', 'cursor,github-copilot'])).toEqual(['gemini-cli', 'cursor', 'github-copilot']);
+    });
+
+    it('should reject empty lists and unsupported assistants', () => {
+      expect(() => parseAssistantList(' , ')).toThrow('No AI assistant given');
+      expect(() => parseAssistantList('cursor,vim')).toThrow('Unsupported AI assistant: vim');
+    });
+  });
+
+  describe('getCommandPath', () => {
+    it('should use the command directory and extension of the assistant', () => {
+      expect(getCommandPath('claude-code', 'specify')).toBe('.claude/commands/specify.md');
+      expect(getCommandPath('gemini-cli', 'specify')).toBe('.gemini/commands/specify.toml');
+      expect(getCommandPath('github-copilot', 'plan')).toBe('.github/prompts/plan.prompt.md');
+      expect(getCommandExtension('cursor')).toBe('.mdc');
+    });
+  });
+
+  describe('formatCommand', () => {
+    it('should write markdown commands with a description', () => {
+      expect(formatCommand('claude-code', command)).toBe(
+        '---\ndescription: Create a feature spec\n---\n\nRun the script with $ARGUMENTS\n'
+      );
+    });
+
+    it('should write Gemini commands as TOML', () => {
+      const content = formatCommand('gemini-cli', { description: 'Say "hi"', body: 'Use C:\\path and """quotes"""' });
+
+      expect(content).toBe(
+        'description = "Say \\"hi\\""\n\nprompt = """\nUse C:\\\\path and ""\\"quotes""\\"\n"""\n'
+      );
+    });
+
+    it('should write Copilot prompt files in agent mode', () => {
+      expect(formatCommand('github-copilot', command)).toContain('---\nmode: agent\ndescription: Create a feature spec\n---\n');
+    });
+
+    it('should write Cursor rules that are applied on request', () => {
+      expect(formatCommand('cursor', command)).toContain('description: Create a feature spec\nglobs: ""\nalwaysApply: false\n---\n');
+    });
+
+    it('should tell Cursor to pass the request to scripts, as rules have no arguments placeholder', () => {
+      const placeholder = getArgumentsPlaceholder('cursor');
+      const body = [
+        `1. Run the script \`.specify/scripts/sh/create-new-feature.sh --json "${placeholder}"\` from repo root.`,
+        `2. Context for task generation: ${placeholder}`
+      ].join('\n');
+
+      expect(formatCommand('cursor', { description: 'Create a feature spec', body })).toContain([
+        '1. Run the script `.specify/scripts/sh/create-new-feature.sh --json` (pass the user\'s request as the argument) from repo root.',
+        '2. Context for task generation: the user\'s request'
+      ].join('\n'));
+      expect(getArgumentsPlaceholder('claude-code')).toBe('$ARGUMENTS');
+    });
+  });
+});
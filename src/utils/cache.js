@@ -1,33 +1,255 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
+import { randomUUID } from 'node:crypto';
 import { logger } from './logger.js';
+import { hashFile } from './files.js';
+import { createError, ErrorTypes } from './errors.js';
+import { DEFAULTS, ENV_VARS } from '../constants.js';
 
 /**
  * Simple template caching mechanism to improve performance
+ * Several processes may share a cache directory: entries are written to a
+ * temporary file and renamed into place, so readers never see partial files
  */
 
+/**
+ * Cache file names: <assistant>-<script type>.zip, or with @<version> for pinned versions
+ */
+const CACHE_FILE_PATTERN = /^(.+)-(sh|ps)(?:@(.+))?\.zip$/;
+
+/**
+ * Every file nspecify writes to the cache: templates, their checksums and
+ * HTTP metadata, and temporary files of writes in progress
+ */
+const CACHE_OWNED_PATTERN = /^.+-(?:sh|ps)(?:@.+)?\.zip(?:\.sha256|\.json)?(?:\.[\w-]+\.tmp)?$/;
+
+/**
+ * Temporary files older than this are left over from interrupted writes
+ */
+const STALE_TEMP_AGE = 60 * 60 * 1000;
+
+/**
+ * Units of durations, in milliseconds
+ */
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Units of sizes, in bytes; plain numbers are bytes
+ */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Current settings, see configureCache
+ * Without a configured directory the cache lives in ~/.nspecify/cache
+ */
+let settings = {
+  dir: null,
+  ttl: DEFAULTS.cacheTtl,
+  maxAge: DEFAULTS.cacheMaxAge,
+  maxSize: DEFAULTS.cacheMaxSize
+};
+
+/**
+ * Check whether a setting was given
+ * @param {*} value - Option or environment variable value
+ * @returns {boolean} True unless undefined, null or empty
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Parse a duration such as 30m, 12h or 7d
+ * @param {string|number} value - Duration
+ * @param {string} name - Name of the setting, for error messages
+ * @param {string} [unit='h'] - Unit of plain numbers: hours for the TTL, days for the maximum age
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} CONFIGURATION error for malformed durations
+ */
+export function parseDuration(value, name, unit = 'h') {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw createError(`Invalid ${name}: ${value}`, ErrorTypes.CONFIGURATION, {
+      suggestion: 'Use a number with a unit such as 30m, 12h or 7d'
+    });
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || unit]);
+}
+
+/**
+ * Parse a size such as 500KB, 200MB or 1GB
+ * @param {string|number} value - Size, plain numbers are bytes
+ * @param {string} name - Name of the setting, for error messages
+ * @returns {number} Size in bytes
+ * @throws {Error} CONFIGURATION error for malformed sizes
+ */
+function parseSize(value, name) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw createError(`Invalid ${name}: ${value}`, ErrorTypes.CONFIGURATION, {
+      suggestion: 'Use a number with a unit such as 500KB, 200MB or 1GB'
+    });
+  }
+
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Configure the cache directory, how long templates are fresh, how old they
+ * may get, and how much disk space the cache may use
+ * Options left out are read from NSPECIFY_CACHE_DIR, NSPECIFY_CACHE_TTL,
+ * NSPECIFY_CACHE_MAX_AGE and NSPECIFY_CACHE_MAX_SIZE. Without a directory the
+ * cache goes to $XDG_CACHE_HOME/nspecify when XDG_CACHE_HOME is set
+ * @param {Object} [options={}] - Cache options
+ * @param {string} [options.dir] - Cache directory
+ * @param {string|number} [options.ttl] - How long a cached latest release is used, e.g. 12h
+ * @param {string|number} [options.maxAge] - Age after which entries are pruned, e.g. 7d
+ * @param {string|number} [options.maxSize] - Disk space budget, e.g. 200MB
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {void}
+ * @throws {Error} CONFIGURATION error for malformed durations or sizes
+ */
+export function configureCache(options = {}) {
+  const { env = process.env } = options;
+  const dir = options.dir || env[ENV_VARS.cacheDir] ||
+    (env.XDG_CACHE_HOME ? path.join(env.XDG_CACHE_HOME, 'nspecify') : null);
+  const ttl = options.ttl ?? env[ENV_VARS.cacheTtl];
+  const maxAge = options.maxAge ?? env[ENV_VARS.cacheMaxAge];
+  const maxSize = options.maxSize ?? env[ENV_VARS.cacheMaxSize];
+
+  settings = {
+    dir: dir ? path.resolve(dir) : null,
+    ttl: isSet(ttl) ? parseDuration(ttl, 'cache TTL') : DEFAULTS.cacheTtl,
+    maxAge: isSet(maxAge) ? parseDuration(maxAge, 'cache maximum age', 'd') : DEFAULTS.cacheMaxAge,
+    maxSize: isSet(maxSize) ? parseSize(maxSize, 'cache size limit') : DEFAULTS.cacheMaxSize
+  };
+}
+
+/**
+ * Get the cache settings
+ * @returns {{dir: string, ttl: number, maxAge: number, maxSize: number}} Cache directory,
+ *   TTL and maximum age in milliseconds, and size budget in bytes
+ */
+export function getCacheSettings() {
+  return { ...settings, dir: getCacheDir() };
+}
+
 /**
  * Get cache directory path
  * @returns {string} Cache directory path
  */
-function getCacheDir() {
-  const cacheDir = path.join(os.homedir(), '.nspecify', 'cache');
-  return cacheDir;
+export function getCacheDir() {
+  return settings.dir || path.join(os.homedir(), '.nspecify', 'cache');
 }
 
 /**
  * Get cache file path for a specific template
+ * Pinned versions get their own file next to the latest release
  * @param {string} aiAssistant - AI assistant name
  * @param {string} scriptType - Script type
+ * @param {string|null} [version=null] - Template version, null for the latest release
  * @returns {string} Cache file path
  */
-function getCachePath(aiAssistant, scriptType) {
+function getCachePath(aiAssistant, scriptType, version = null) {
   const cacheDir = getCacheDir();
-  const fileName = `${aiAssistant}-${scriptType}.zip`;
+  const fileName = version
+    ? `${aiAssistant}-${scriptType}@${version}.zip`
+    : `${aiAssistant}-${scriptType}.zip`;
   return path.join(cacheDir, fileName);
 }
 
+/**
+ * Get the path of the checksum file stored next to a cached template
+ * @param {string} cachePath - Cache file path
+ * @returns {string} Checksum file path
+ */
+function getChecksumPath(cachePath) {
+  return `${cachePath}.sha256`;
+}
+
+/**
+ * Get the path of the HTTP metadata stored next to a cached template
+ * @param {string} cachePath - Cache file path
+ * @returns {string} Metadata file path
+ */
+function getMetadataPath(cachePath) {
+  return `${cachePath}.json`;
+}
+
+/**
+ * Read the HTTP metadata of a cached template
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<Object|null>} URL, ETag, Last-Modified, download and revalidation dates, or null if not recorded
+ */
+async function readMetadata(cachePath) {
+  try {
+    return JSON.parse(await fs.readFile(getMetadataPath(cachePath), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a cached template against the checksum recorded when it was cached
+ * Entries without a recorded checksum cannot be trusted
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<boolean>} True if the cached file is intact
+ */
+async function verifyCachedFile(cachePath) {
+  try {
+    const expected = (await fs.readFile(getChecksumPath(cachePath), 'utf8')).trim();
+    return expected === await hashFile(cachePath);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove a cache file and its checksum
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<void>}
+ */
+async function removeCacheEntry(cachePath) {
+  await fs.rm(cachePath, { force: true });
+  await fs.rm(getChecksumPath(cachePath), { force: true });
+  await fs.rm(getMetadataPath(cachePath), { force: true });
+}
+
+/**
+ * Record that a cached template was used, for least-recently-used eviction
+ * The access time is set explicitly since file systems often skip updating it;
+ * the modification time keeps telling when the template was downloaded
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<void>}
+ */
+async function markUsed(cachePath) {
+  try {
+    const { mtime } = await fs.stat(cachePath);
+    await fs.utimes(cachePath, new Date(), mtime);
+  } catch (error) {
+    logger.debug('Failed to update cache access time:', error);
+  }
+}
+
+/**
+ * Write a file in the cache through a temporary file renamed into place
+ * @param {string} filePath - Cache file path
+ * @param {Function} write - Called with the temporary path to write to
+ * @returns {Promise<void>}
+ */
+async function writeAtomically(filePath, write) {
+  const tempPath = `${filePath}.${randomUUID()}.tmp`;
+
+  try {
+    await write(tempPath);
+    await fs.rename(tempPath, filePath);
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+}
+
 /**
  * Ensure cache directory exists
  * @returns {Promise<void>}
@@ -45,12 +267,13 @@ async function ensureCacheDir() {
  * Check if cached template exists and is recent
  * @param {string} aiAssistant - AI assistant name
  * @param {string} scriptType - Script type
- * @param {number} [maxAge=86400000] - Maximum age in milliseconds (default: 24 hours)
+ * @param {number} [maxAge] - Maximum age in milliseconds (default: the configured TTL, 24 hours)
+ * @param {string|null} [version=null] - Template version, null for the latest release
  * @returns {Promise<boolean>} True if valid cache exists
  */
-export async function hasValidCache(aiAssistant, scriptType, maxAge = 24 * 60 * 60 * 1000) {
+export async function hasValidCache(aiAssistant, scriptType, maxAge = settings.ttl, version = null) {
   try {
-    const cachePath = getCachePath(aiAssistant, scriptType);
+    const cachePath = getCachePath(aiAssistant, scriptType, version);
     const stats = await fs.stat(cachePath);
     
     // Check if cache is within max age
@@ -68,18 +291,28 @@ export async function hasValidCache(aiAssistant, scriptType, maxAge = 24 * 60 *
 
 /**
  * Get cached template path
+ * Pinned versions never change, so they do not expire
  * @param {string} aiAssistant - AI assistant name
  * @param {string} scriptType - Script type
+ * @param {string|null} [version=null] - Template version, null for the latest release
  * @returns {Promise<string|null>} Cache file path or null if not found
  */
-export async function getCachedTemplate(aiAssistant, scriptType) {
+export async function getCachedTemplate(aiAssistant, scriptType, version = null) {
   try {
-    const isValid = await hasValidCache(aiAssistant, scriptType);
+    const maxAge = version ? Infinity : undefined;
+    const isValid = await hasValidCache(aiAssistant, scriptType, maxAge, version);
     if (!isValid) {
       return null;
     }
     
-    const cachePath = getCachePath(aiAssistant, scriptType);
+    const cachePath = getCachePath(aiAssistant, scriptType, version);
+    if (!await verifyCachedFile(cachePath)) {
+      logger.warn(`Discarding cached template that failed checksum verification: ${path.basename(cachePath)}`);
+      await removeCacheEntry(cachePath);
+      return null;
+    }
+
+    await markUsed(cachePath);
     logger.debug(`Using cached template: ${cachePath}`);
     return cachePath;
   } catch (error) {
@@ -90,42 +323,125 @@ export async function getCachedTemplate(aiAssistant, scriptType) {
 
 /**
  * Save template to cache
+ * Its checksum is recorded so later reads can detect a corrupted cache, and
+ * the least recently used templates are evicted if the cache outgrows its budget
  * @param {string} aiAssistant - AI assistant name
  * @param {string} scriptType - Script type
  * @param {string} sourcePath - Path to template file to cache
+ * @param {string|null} [version=null] - Template version, null for the latest release
+ * @param {Object|null} [metadata=null] - HTTP metadata of the download, for revalidation
+ * @param {string} [metadata.url] - Downloaded URL
+ * @param {string|null} [metadata.etag] - ETag response header
+ * @param {string|null} [metadata.lastModified] - Last-Modified response header
  * @returns {Promise<void>}
  */
-export async function cacheTemplate(aiAssistant, scriptType, sourcePath) {
+export async function cacheTemplate(aiAssistant, scriptType, sourcePath, version = null, metadata = null) {
   try {
     await ensureCacheDir();
     
-    const cachePath = getCachePath(aiAssistant, scriptType);
-    await fs.copyFile(sourcePath, cachePath);
+    const cachePath = getCachePath(aiAssistant, scriptType, version);
+    const checksum = await hashFile(sourcePath);
+    // Runs caching the same template at once leave one of the two intact
+    // copies; a mismatched checksum from interleaved renames fails
+    // verification and is downloaded again
+    await writeAtomically(cachePath, (tempPath) => fs.copyFile(sourcePath, tempPath));
+    await writeAtomically(getChecksumPath(cachePath), (tempPath) => fs.writeFile(tempPath, `${checksum}\n`));
+    if (metadata) {
+      await writeMetadata(cachePath, { ...metadata, downloaded: new Date().toISOString(), revalidated: null });
+    } else {
+      await fs.rm(getMetadataPath(cachePath), { force: true });
+    }
     
     logger.debug(`Cached template: ${cachePath}`);
+    await enforceCacheSize(settings.maxSize, cachePath);
   } catch (error) {
     logger.debug('Failed to cache template:', error);
     // Non-critical error, continue without caching
   }
 }
 
+/**
+ * Write the HTTP metadata of a cached template
+ * @param {string} cachePath - Cache file path
+ * @param {Object} metadata - URL, ETag, Last-Modified, download and revalidation dates
+ * @returns {Promise<void>}
+ */
+async function writeMetadata(cachePath, metadata) {
+  await writeAtomically(getMetadataPath(cachePath), (tempPath) =>
+    fs.writeFile(tempPath, `${JSON.stringify(metadata, null, 2)}\n`));
+}
+
+/**
+ * Get what is needed to revalidate an expired cached template with a
+ * conditional request instead of downloading it again
+ * @param {string} aiAssistant - AI assistant name
+ * @param {string} scriptType - Script type
+ * @param {string|null} [version=null] - Template version, null for the latest release
+ * @returns {Promise<{path: string, etag: string|null, lastModified: string|null}|null>} Cache file
+ *   path and validators, or null if there is no intact entry with an ETag or Last-Modified date
+ */
+export async function getCacheValidators(aiAssistant, scriptType, version = null) {
+  const cachePath = getCachePath(aiAssistant, scriptType, version);
+  const metadata = await readMetadata(cachePath);
+
+  if (!metadata || !(metadata.etag || metadata.lastModified) || !await verifyCachedFile(cachePath)) {
+    return null;
+  }
+
+  return { path: cachePath, etag: metadata.etag || null, lastModified: metadata.lastModified || null };
+}
+
+/**
+ * Record that the server confirmed a cached template is unchanged
+ * The entry is fresh again for another TTL
+ * @param {string} aiAssistant - AI assistant name
+ * @param {string} scriptType - Script type
+ * @param {string|null} [version=null] - Template version, null for the latest release
+ * @param {Object} [validators={}] - ETag and Last-Modified sent with the 304 response, if any
+ * @returns {Promise<void>}
+ */
+export async function markRevalidated(aiAssistant, scriptType, version = null, validators = {}) {
+  const cachePath = getCachePath(aiAssistant, scriptType, version);
+
+  try {
+    const metadata = await readMetadata(cachePath) || {};
+    await writeMetadata(cachePath, {
+      ...metadata,
+      etag: validators.etag || metadata.etag || null,
+      lastModified: validators.lastModified || metadata.lastModified || null,
+      revalidated: new Date().toISOString()
+    });
+
+    const now = new Date();
+    await fs.utimes(cachePath, now, now);
+    logger.debug(`Revalidated cached template: ${cachePath}`);
+  } catch (error) {
+    logger.debug('Failed to record cache revalidation:', error);
+  }
+}
+
 /**
  * Clear template cache
  * @param {string} [aiAssistant] - AI assistant name (optional, clears all if not provided)
  * @param {string} [scriptType] - Script type (optional)
+ * @param {string|null} [version=null] - Template version, null for the latest release
  * @returns {Promise<void>}
  */
-export async function clearCache(aiAssistant, scriptType) {
+export async function clearCache(aiAssistant, scriptType, version = null) {
   try {
     if (aiAssistant && scriptType) {
       // Clear specific cache
-      const cachePath = getCachePath(aiAssistant, scriptType);
-      await fs.unlink(cachePath);
+      const cachePath = getCachePath(aiAssistant, scriptType, version);
+      await removeCacheEntry(cachePath);
       logger.debug(`Cleared cache: ${cachePath}`);
     } else {
-      // Clear all cache
+      // Clear all cache, leaving files of others in a shared directory alone
       const cacheDir = getCacheDir();
-      await fs.rm(cacheDir, { recursive: true, force: true });
+      const files = await fs.readdir(cacheDir);
+      for (const file of files.filter((name) => CACHE_OWNED_PATTERN.test(name))) {
+        await fs.rm(path.join(cacheDir, file), { force: true });
+      }
+      await fs.rmdir(cacheDir).catch(() => {});
       logger.debug('Cleared all cache');
     }
   } catch (error) {
@@ -135,28 +451,38 @@ export async function clearCache(aiAssistant, scriptType) {
 
 /**
  * Get cache statistics
- * @returns {Promise<Object>} Cache statistics
+ * @returns {Promise<Object>} Cache statistics: total size, file count, oldest and
+ *   newest file, and each template with its HTTP metadata (URL, ETag,
+ *   Last-Modified, download and revalidation dates)
  */
 export async function getCacheStats() {
   const stats = {
     totalSize: 0,
     fileCount: 0,
     oldestFile: null,
-    newestFile: null
+    newestFile: null,
+    templates: []
   };
   
   try {
     const cacheDir = getCacheDir();
     const files = await fs.readdir(cacheDir);
     
+    // Other files in a shared directory do not count
     for (const file of files) {
-      if (!file.endsWith('.zip')) continue;
+      if (!CACHE_FILE_PATTERN.test(file)) continue;
       
       const filePath = path.join(cacheDir, file);
       const fileStat = await fs.stat(filePath);
       
       stats.totalSize += fileStat.size;
       stats.fileCount++;
+      stats.templates.push({
+        name: file,
+        size: fileStat.size,
+        mtime: fileStat.mtime,
+        metadata: await readMetadata(filePath)
+      });
       
       if (!stats.oldestFile || fileStat.mtime < stats.oldestFile.mtime) {
         stats.oldestFile = { name: file, mtime: fileStat.mtime };
@@ -173,12 +499,131 @@ export async function getCacheStats() {
   return stats;
 }
 
+/**
+ * List the cached templates
+ * @param {Object} [options={}] - List options
+ * @param {boolean} [options.verify=false] - Check every entry against its recorded checksum
+ * @returns {Promise<Object[]>} Entries sorted by file name, with aiTool, scriptType,
+ *   version (null for the latest release), path, size, modified (download) and
+ *   accessed (last use) dates, age in milliseconds, recorded checksum, HTTP
+ *   metadata and, when verified, whether the file is intact
+ */
+export async function listCacheEntries(options = {}) {
+  const { verify = false } = options;
+  const cacheDir = getCacheDir();
+  const entries = [];
+
+  let files;
+  try {
+    files = await fs.readdir(cacheDir);
+  } catch (error) {
+    logger.debug('Failed to read cache directory:', error);
+    return entries;
+  }
+
+  for (const file of files.sort()) {
+    const match = file.match(CACHE_FILE_PATTERN);
+    if (!match) continue;
+
+    const filePath = path.join(cacheDir, file);
+    // Another process may remove entries while we list them
+    const fileStat = await fs.stat(filePath).catch(() => null);
+    if (!fileStat) continue;
+    const checksum = await fs.readFile(getChecksumPath(filePath), 'utf8')
+      .then((content) => content.trim())
+      .catch(() => null);
+
+    const entry = {
+      file,
+      path: filePath,
+      aiTool: match[1],
+      scriptType: match[2],
+      version: match[3] || null,
+      size: fileStat.size,
+      modified: fileStat.mtime,
+      accessed: fileStat.atime,
+      age: Date.now() - fileStat.mtime.getTime(),
+      checksum,
+      metadata: await readMetadata(filePath)
+    };
+    if (verify) {
+      entry.intact = await verifyCachedFile(filePath);
+      // Reading the file to verify it is not a use, keep its place in the eviction order
+      await fs.utimes(filePath, fileStat.atime, fileStat.mtime).catch(() => {});
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Find a cached template regardless of its age, for use without network
+ * A pinned version only matches itself; otherwise the latest release is
+ * preferred, then the most recently cached pinned version. Entries that fail
+ * checksum verification are skipped. The entry found is marked as used
+ * unless only peeking
+ * @param {string} aiAssistant - AI assistant name
+ * @param {string} scriptType - Script type
+ * @param {string|null} [version=null] - Template version, null for the latest release
+ * @param {Object} [options={}] - Find options
+ * @param {boolean} [options.peek=false] - Leave the cache untouched, e.g. for diagnostics
+ * @returns {Promise<Object|null>} Cache entry as returned by listCacheEntries, or null if none is usable
+ */
+export async function findCachedTemplate(aiAssistant, scriptType, version = null, options = {}) {
+  const candidates = (await listCacheEntries({ verify: true }))
+    .filter((entry) => entry.aiTool === aiAssistant && entry.scriptType === scriptType && entry.intact)
+    .filter((entry) => !version || entry.version === version)
+    .sort((a, b) => (b.version === null) - (a.version === null) || a.age - b.age);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  if (!options.peek) {
+    await markUsed(candidates[0].path);
+  }
+  return candidates[0];
+}
+
+/**
+ * Evict the least recently used templates until the cache fits its budget
+ * @param {number} [maxSize] - Budget in bytes (default: the configured size limit)
+ * @param {string|null} [keep=null] - Cache file path never to evict, such as the one just written
+ * @returns {Promise<number>} Number of evicted templates
+ */
+export async function enforceCacheSize(maxSize = settings.maxSize, keep = null) {
+  const entries = await listCacheEntries();
+  let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  let evicted = 0;
+
+  const byLastUse = entries
+    .filter((entry) => entry.path !== keep)
+    .sort((a, b) => a.accessed - b.accessed);
+
+  for (const entry of byLastUse) {
+    if (totalSize <= maxSize) {
+      break;
+    }
+
+    await removeCacheEntry(entry.path);
+    totalSize -= entry.size;
+    evicted++;
+    logger.debug(`Evicted least recently used cache file: ${entry.file}`);
+  }
+
+  return evicted;
+}
+
 /**
  * Prune old cache files
- * @param {number} [maxAge=604800000] - Maximum age in milliseconds (default: 7 days)
+ * Temporary files left by interrupted writes are removed as well, and the
+ * least recently used templates are evicted if the cache is over its budget
+ * @param {number} [maxAge] - Maximum age in milliseconds (default: the configured maximum age, 7 days)
  * @returns {Promise<number>} Number of files pruned
  */
-export async function pruneCache(maxAge = 7 * 24 * 60 * 60 * 1000) {
+export async function pruneCache(maxAge = settings.maxAge) {
   let prunedCount = 0;
   
   try {
@@ -186,20 +631,32 @@ export async function pruneCache(maxAge = 7 * 24 * 60 * 60 * 1000) {
     const files = await fs.readdir(cacheDir);
     const now = Date.now();
     
+    // Only templates and temporary files nspecify wrote, the directory may be shared
     for (const file of files) {
-      if (!file.endsWith('.zip')) continue;
+      if (!CACHE_FILE_PATTERN.test(file) && !(file.endsWith('.tmp') && CACHE_OWNED_PATTERN.test(file))) continue;
       
       const filePath = path.join(cacheDir, file);
-      const fileStat = await fs.stat(filePath);
+      const fileStat = await fs.stat(filePath).catch(() => null);
+      if (!fileStat) continue;
       const age = now - fileStat.mtime.getTime();
+
+      if (file.endsWith('.tmp')) {
+        if (age > STALE_TEMP_AGE) {
+          await fs.rm(filePath, { force: true });
+          logger.debug(`Removed leftover temporary file: ${file}`);
+        }
+        continue;
+      }
       
       if (age > maxAge) {
-        await fs.unlink(filePath);
+        await removeCacheEntry(filePath);
         prunedCount++;
         logger.debug(`Pruned old cache file: ${file}`);
       }
     }
     
+    prunedCount += await enforceCacheSize();
+
     if (prunedCount > 0) {
       logger.debug(`Pruned ${prunedCount} old cache files`);
     }
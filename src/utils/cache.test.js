@@ -0,0 +1,220 @@
+import path from 'node:path';
+import os from 'node:os';
+import fs from 'node:fs/promises';
+import {
+  configureCache,
+  getCacheDir,
+  getCacheSettings,
+  hasValidCache,
+  getCachedTemplate,
+  cacheTemplate,
+  clearCache,
+  findCachedTemplate,
+  listCacheEntries,
+  pruneCache,
+  getCacheStats,
+  getCacheValidators,
+  markRevalidated
+} from './cache.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('cache', () => {
+  let tempDir;
+  let cacheDir;
+
+  /**
+   * Cache a template with the given content
+   * @param {string} name - <assistant>-<script type>, e.g. cursor-sh
+   * @param {string} [content='zip content'] - File content
+   * @param {string|null} [version=null] - Pinned version
+   * @param {Object|null} [metadata=null] - HTTP metadata of the download
+   * @returns {Promise<string>} Cache file path
+   */
+  async function cache(name, content = 'zip content', version = null, metadata = null) {
+    const [, aiTool, scriptType] = name.match(/^(.+)-(sh|ps)$/);
+    const sourceFile = path.join(tempDir, `${name}.zip`);
+    await fs.writeFile(sourceFile, content);
+    await cacheTemplate(aiTool, scriptType, sourceFile, version, metadata);
+    return path.join(cacheDir, version ? `${name}@${version}.zip` : `${name}.zip`);
+  }
+
+  /**
+   * Set the download and last use times of a cached template
+   * @param {string} cachePath - Cache file path
+   * @param {number} usedAgo - Milliseconds since the last use
+   * @param {number} [downloadedAgo=usedAgo] - Milliseconds since the download
+   * @returns {Promise<void>}
+   */
+  async function age(cachePath, usedAgo, downloadedAgo = usedAgo) {
+    await fs.utimes(cachePath, new Date(Date.now() - usedAgo), new Date(Date.now() - downloadedAgo));
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-cache-utils-test-'));
+    cacheDir = path.join(tempDir, 'cache');
+    configureCache({ env: { NSPECIFY_CACHE_DIR: cacheDir } });
+  });
+
+  afterEach(async () => {
+    configureCache({ env: {} });
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('configureCache', () => {
+    it('should take the directory from NSPECIFY_CACHE_DIR, then XDG_CACHE_HOME', () => {
+      configureCache({ env: { NSPECIFY_CACHE_DIR: '/srv/cache', XDG_CACHE_HOME: '/home/ci/.cache' } });
+      expect(getCacheDir()).toBe(path.resolve('/srv/cache'));
+
+      configureCache({ env: { XDG_CACHE_HOME: '/home/ci/.cache' } });
+      expect(getCacheDir()).toBe(path.resolve('/home/ci/.cache/nspecify'));
+
+      configureCache({ env: {} });
+      expect(getCacheDir()).toBe(path.join(os.homedir(), '.nspecify', 'cache'));
+    });
+
+    it('should parse durations and sizes, with options taking precedence', () => {
+      configureCache({
+        ttl: '30m',
+        env: { NSPECIFY_CACHE_TTL: '2d', NSPECIFY_CACHE_MAX_AGE: '14d', NSPECIFY_CACHE_MAX_SIZE: '200MB' }
+      });
+
+      expect(getCacheSettings()).toMatchObject({ ttl: 30 * 60 * 1000, maxAge: 14 * DAY, maxSize: 200 * 1024 * 1024 });
+
+      // Plain numbers are hours for the TTL but days for the maximum age
+      configureCache({ env: { NSPECIFY_CACHE_TTL: '12', NSPECIFY_CACHE_MAX_AGE: '3', NSPECIFY_CACHE_MAX_SIZE: '4096' } });
+      expect(getCacheSettings()).toMatchObject({ ttl: 12 * HOUR, maxAge: 3 * DAY, maxSize: 4096 });
+    });
+
+    it('should reject malformed values', () => {
+      expect(() => configureCache({ env: { NSPECIFY_CACHE_TTL: 'tomorrow' } }))
+        .toThrow(expect.objectContaining({ type: 'CONFIGURATION', message: 'Invalid cache TTL: tomorrow' }));
+      expect(() => configureCache({ maxSize: '-1MB' })).toThrow('Invalid cache size limit: -1MB');
+    });
+  });
+
+  it('should expire the latest release after the configured TTL', async () => {
+    configureCache({ ttl: '1h', env: { NSPECIFY_CACHE_DIR: cacheDir } });
+    const cachePath = await cache('cursor-sh');
+
+    expect(await hasValidCache('cursor', 'sh')).toBe(true);
+
+    await age(cachePath, 2 * HOUR);
+    expect(await hasValidCache('cursor', 'sh')).toBe(false);
+    expect(await getCachedTemplate('cursor', 'sh')).toBeNull();
+  });
+
+  it('should write entries atomically when several runs cache at once', async () => {
+    await Promise.all(['one', 'two', 'three'].map((content) => cache('cursor-sh', content.repeat(1000))));
+
+    const files = await fs.readdir(cacheDir);
+    expect(files.sort()).toEqual(['cursor-sh.zip', 'cursor-sh.zip.sha256']);
+
+    const [entry] = await listCacheEntries({ verify: true });
+    expect(['one', 'two', 'three'].map((content) => content.repeat(1000)))
+      .toContain(await fs.readFile(entry.path, 'utf8'));
+  });
+
+  it('should evict the least recently used templates over the size limit', async () => {
+    configureCache({ maxSize: '25', env: { NSPECIFY_CACHE_DIR: cacheDir } });
+    const cursor = await cache('cursor-sh', '0123456789');
+    const claude = await cache('claude-code-sh', '0123456789');
+    await age(cursor, 2 * HOUR, 3 * HOUR);
+    await age(claude, HOUR, 3 * HOUR);
+
+    // Using the least recently used template makes it the most recently used
+    expect(await getCachedTemplate('cursor', 'sh')).toBe(cursor);
+
+    await cache('gemini-cli-sh', '0123456789');
+
+    const remaining = (await listCacheEntries()).map((entry) => entry.file);
+    expect(remaining).toEqual(['cursor-sh.zip', 'gemini-cli-sh.zip']);
+  });
+
+  it('should prune old entries and leftover temporary files', async () => {
+    const old = await cache('cursor-sh');
+    await cache('claude-code-sh');
+    await age(old, 10 * DAY);
+    const leftover = path.join(cacheDir, 'cursor-ps.zip.1234.tmp');
+    await fs.writeFile(leftover, 'partial');
+    await age(leftover, 2 * HOUR);
+
+    expect(await pruneCache()).toBe(1);
+    expect(await fs.readdir(cacheDir)).toEqual(['claude-code-sh.zip', 'claude-code-sh.zip.sha256']);
+  });
+
+  it('should leave other files in a shared directory alone when pruned or counted', async () => {
+    await cache('cursor-sh');
+    const foreign = path.join(cacheDir, 'release.zip');
+    await fs.writeFile(foreign, 'not ours');
+    await age(foreign, 30 * DAY);
+
+    expect(await pruneCache()).toBe(0);
+    expect((await fs.readdir(cacheDir)).sort()).toEqual(['cursor-sh.zip', 'cursor-sh.zip.sha256', 'release.zip']);
+    expect(await getCacheStats()).toMatchObject({ fileCount: 1, totalSize: 'zip content'.length });
+  });
+
+  it('should leave other files in a shared directory alone when cleared', async () => {
+    await cache('cursor-sh');
+    await fs.writeFile(path.join(cacheDir, 'other-tool.json'), '{}');
+
+    await clearCache();
+
+    expect(await fs.readdir(cacheDir)).toEqual(['other-tool.json']);
+  });
+
+  it('should keep the ETag of a download to revalidate the template once it expires', async () => {
+    const url = 'https://github.com/pnocera/nspecify/releases/latest/download/specify-cursor-sh.zip';
+    const cachePath = await cache('cursor-sh', 'zip content', null, { url, etag: '"v1"', lastModified: null });
+    await cache('claude-code-sh');
+    await age(cachePath, 2 * DAY);
+
+    expect(await getCachedTemplate('cursor', 'sh')).toBeNull();
+    expect(await getCacheValidators('cursor', 'sh')).toEqual({ path: cachePath, etag: '"v1"', lastModified: null });
+    expect(await getCacheValidators('claude-code', 'sh')).toBeNull();
+
+    await markRevalidated('cursor', 'sh', null, { etag: '"v1"', lastModified: null });
+
+    expect(await getCachedTemplate('cursor', 'sh')).toBe(cachePath);
+    const stats = await getCacheStats();
+    expect(stats.templates.find((template) => template.name === 'cursor-sh.zip').metadata).toEqual({
+      url,
+      etag: '"v1"',
+      lastModified: null,
+      downloaded: expect.any(String),
+      revalidated: expect.any(String)
+    });
+    expect(stats.templates.find((template) => template.name === 'claude-code-sh.zip').metadata).toBeNull();
+  });
+
+  it('should not revalidate a template that was modified on disk', async () => {
+    const cachePath = await cache('cursor-sh', 'zip content', null, { etag: '"v1"' });
+    await fs.writeFile(cachePath, 'tampered');
+
+    expect(await getCacheValidators('cursor', 'sh')).toBeNull();
+  });
+
+  it('should find cached templates of any age, preferring the latest release', async () => {
+    await age(await cache('cursor-sh', 'latest'), 30 * DAY);
+    await cache('cursor-sh', 'pinned', '1.0.2');
+    await cache('cursor-ps', 'pinned', '1.0.1');
+
+    expect(await findCachedTemplate('cursor', 'sh')).toMatchObject({ file: 'cursor-sh.zip' });
+    expect(await findCachedTemplate('cursor', 'sh', '1.0.2')).toMatchObject({ file: 'cursor-sh@1.0.2.zip' });
+    expect(await findCachedTemplate('cursor', 'ps')).toMatchObject({ version: '1.0.1' });
+    expect(await findCachedTemplate('gemini-cli', 'sh')).toBeNull();
+  });
+
+  it('should leave the last use of a template alone when only peeking', async () => {
+    const cachePath = await cache('cursor-sh');
+    await age(cachePath, 3 * DAY);
+    const { atime } = await fs.stat(cachePath);
+
+    expect(await findCachedTemplate('cursor', 'sh', null, { peek: true })).toMatchObject({ path: cachePath });
+    expect((await fs.stat(cachePath)).atime).toEqual(atime);
+
+    await findCachedTemplate('cursor', 'sh');
+    expect((await fs.stat(cachePath)).atime.getTime()).toBeGreaterThan(atime.getTime());
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * User and project configuration
+ * Defaults come from ~/.nspecify/config.yaml, then .specify/config.yaml of the
+ * project, then NSPECIFY_* environment variables, each layer overriding the
+ * previous one; command line flags override them all
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { parse } from 'yaml';
+import { logger as log } from './logger.js';
+import { createError, ErrorTypes } from './errors.js';
+import { ENV_VARS } from '../constants.js';
+
+/**
+ * Name of configuration files, in ~/.nspecify and in the .specify directory of a project
+ */
+const CONFIG_FILE = 'config.yaml';
+
+/**
+ * Read a string setting
+ * @param {*} value - Setting value
+ * @returns {string|undefined} Value, undefined when it is not a string or number
+ */
+function toString(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : undefined;
+}
+
+/**
+ * Read a script type
+ * @param {*} value - Setting value
+ * @returns {string|undefined} sh or ps, undefined for anything else
+ */
+function toScript(value) {
+  const script = toString(value)?.toLowerCase();
+  return ['sh', 'ps'].includes(script) ? script : undefined;
+}
+
+/**
+ * Read a list of AI assistants, as a YAML list or comma-separated
+ * @param {*} value - Setting value
+ * @returns {string|undefined} Comma-separated assistants, undefined when malformed
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item === 'string') ? value.join(',') : undefined;
+  }
+  return toString(value);
+}
+
+/**
+ * Read a boolean, environment variables spell it 1/0, true/false or yes/no
+ * @param {*} value - Setting value
+ * @returns {boolean|undefined} Value, undefined when it is not a boolean
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  const text = toString(value)?.toLowerCase();
+  if (['1', 'true', 'yes'].includes(text)) {
+    return true;
+  }
+  if (['0', 'false', 'no'].includes(text)) {
+    return false;
+  }
+  return undefined;
+}
+
+/**
+ * Read a non-negative whole number
+ * @param {*} value - Setting value
+ * @returns {number|undefined} Value, undefined when it is not a whole number
+ */
+function toCount(value) {
+  const count = Number(toString(value));
+  return toString(value) && Number.isInteger(count) && count >= 0 ? count : undefined;
+}
+
+/**
+ * Read a file or directory, relative paths are resolved against the directory
+ * of the layer that sets them
+ * @param {*} value - Setting value
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string|undefined} Absolute path, undefined when it is not a string
+ */
+function toPath(value, baseDir) {
+  const location = toString(value);
+  return location ? path.resolve(baseDir, location) : undefined;
+}
+
+/**
+ * Read a template source, only local directories and archives are paths
+ * @param {*} value - Setting value
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string|undefined} Template source, undefined when it is not a string
+ */
+function toTemplate(value, baseDir) {
+  const source = toString(value);
+  return source && /^[a-z][\w+.-]*:\/\//i.test(source) ? source : toPath(source, baseDir);
+}
+
+/**
+ * Settings of a configuration file: environment variable, how the value is
+ * read, and what is expected when it cannot be
+ */
+const SETTINGS = {
+  script: { env: ENV_VARS.script, read: toScript, expected: 'sh or ps' },
+  aiTool: { env: ENV_VARS.aiTool, read: toList, expected: 'assistant ids, e.g. claude-code or [claude-code, cursor]' },
+  git: { env: ENV_VARS.git, read: toBoolean, expected: 'true or false' },
+  conflict: { env: ENV_VARS.conflict, read: toString, expected: 'skip, overwrite or prompt' },
+  template: { env: ENV_VARS.template, read: toTemplate, expected: 'a directory, .zip, git+https:// URL or URL' },
+  templateVersion: { env: ENV_VARS.templateVersion, read: toString, expected: 'a release version, e.g. 1.2.0' },
+  timeout: { env: ENV_VARS.timeout, read: toCount, expected: 'milliseconds, e.g. 120000' },
+  maxRetries: { env: ENV_VARS.maxRetries, read: toCount, expected: 'a number of retries, e.g. 5' },
+  caFile: { env: ENV_VARS.caFile, read: toPath, expected: 'the path of a PEM file' }
+};
+
+/**
+ * Settings of the cache section, checked by configureCache once merged
+ */
+const CACHE_SETTINGS = {
+  dir: { env: ENV_VARS.cacheDir, read: toPath, expected: 'a directory' },
+  ttl: { env: ENV_VARS.cacheTtl, read: toString, expected: 'a duration, e.g. 12h' },
+  maxAge: { env: ENV_VARS.cacheMaxAge, read: toString, expected: 'a duration, e.g. 7d' },
+  maxSize: { env: ENV_VARS.cacheMaxSize, read: toString, expected: 'a size, e.g. 200MB' }
+};
+
+/**
+ * Parsed configuration files by path, so each file is read and warned about once
+ * @type {Map<string, Promise<Object|null>>}
+ */
+const parsedFiles = new Map();
+
+/**
+ * Read the settings of one layer
+ * @param {Object} values - Raw values by setting name
+ * @param {Object} schema - SETTINGS or CACHE_SETTINGS
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {Function} describe - Name of a setting in messages, e.g. "script in ~/.nspecify/config.yaml"
+ * @returns {Object} Settings that are set
+ * @throws {Error} CONFIGURATION error for values of the wrong type
+ */
+function readSettings(values, schema, baseDir, describe) {
+  const settings = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!schema[key]) {
+      log.warn(`Unknown setting ${describe(key)}`);
+      continue;
+    }
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    const parsed = schema[key].read(value, baseDir);
+    if (parsed === undefined) {
+      throw createError(`Invalid ${describe(key)}: ${typeof value === 'string' ? value : JSON.stringify(value)}`, ErrorTypes.CONFIGURATION, {
+        suggestion: `Use ${schema[key].expected}`
+      });
+    }
+    settings[key] = parsed;
+  }
+
+  return settings;
+}
+
+/**
+ * Read a configuration file
+ * @param {string} filePath - Path of the file
+ * @param {string} baseDir - Directory relative paths in the file are resolved against
+ * @returns {Promise<Object|null>} Settings, null when the file does not exist
+ * @throws {Error} CONFIGURATION error for invalid YAML or settings
+ */
+async function readConfigFile(filePath, baseDir) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw createError(`Cannot read ${filePath}: ${error.message}`, ErrorTypes.CONFIGURATION, { path: filePath });
+  }
+
+  let document;
+  try {
+    document = parse(content) ?? {};
+  } catch (error) {
+    throw createError(`Invalid YAML in ${filePath}: ${error.message}`, ErrorTypes.CONFIGURATION, {
+      path: filePath,
+      suggestion: 'Fix the file or remove it'
+    });
+  }
+
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw createError(`Invalid configuration in ${filePath}: expected settings such as "script: sh"`, ErrorTypes.CONFIGURATION, {
+      path: filePath
+    });
+  }
+
+  const { cache, ...values } = document;
+  const settings = readSettings(values, SETTINGS, baseDir, (key) => `${key} in ${filePath}`);
+
+  if (cache !== undefined && cache !== null) {
+    if (typeof cache !== 'object' || Array.isArray(cache)) {
+      throw createError(`Invalid cache in ${filePath}: expected settings such as "ttl: 12h"`, ErrorTypes.CONFIGURATION, {
+        path: filePath
+      });
+    }
+    settings.cache = readSettings(cache, CACHE_SETTINGS, baseDir, (key) => `cache.${key} in ${filePath}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Read a configuration file once per process
+ * @param {string} filePath - Path of the file
+ * @param {string} baseDir - Directory relative paths in the file are resolved against
+ * @returns {Promise<Object|null>} Settings, null when the file does not exist
+ */
+function loadConfigFile(filePath, baseDir) {
+  if (!parsedFiles.has(filePath)) {
+    parsedFiles.set(filePath, readConfigFile(filePath, baseDir));
+  }
+  return parsedFiles.get(filePath);
+}
+
+/**
+ * Read the settings of NSPECIFY_* environment variables
+ * @param {Object} env - Environment variables
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {Object} Settings that are set
+ * @throws {Error} CONFIGURATION error for values of the wrong type
+ */
+function readEnvironment(env, cwd) {
+  /**
+   * Pick the variables of a schema
+   * @param {Object} schema - SETTINGS or CACHE_SETTINGS
+   * @returns {Object} Raw values by setting name
+   */
+  const pick = (schema) => Object.fromEntries(Object.entries(schema).map(([key, setting]) => [key, env[setting.env]]));
+
+  return {
+    ...readSettings(pick(SETTINGS), SETTINGS, cwd, (key) => SETTINGS[key].env),
+    cache: readSettings(pick(CACHE_SETTINGS), CACHE_SETTINGS, cwd, (key) => CACHE_SETTINGS[key].env)
+  };
+}
+
+/**
+ * Find the configuration file of the project: .specify/config.yaml in the
+ * directory or its nearest ancestor that has one
+ * @param {string} cwd - Directory to start from
+ * @returns {Promise<string|null>} Path of the file, null outside of a configured project
+ */
+export async function findProjectConfig(cwd) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    const filePath = path.join(dir, '.specify', CONFIG_FILE);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (error) {
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+}
+
+/**
+ * Get the path of the user configuration file
+ * @param {string} [home=os.homedir()] - Home directory
+ * @returns {string} Path of ~/.nspecify/config.yaml
+ */
+export function getUserConfigPath(home = os.homedir()) {
+  return path.join(home, '.nspecify', CONFIG_FILE);
+}
+
+/**
+ * Load the configuration: user file, project file, then environment variables
+ * Relative paths are resolved against ~/.nspecify for the user file, the
+ * project root for the project file and the working directory for variables
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.cwd=process.cwd()] - Directory the project file is searched from
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.home=os.homedir()] - Home directory holding .nspecify/config.yaml
+ * @returns {Promise<Object>} Merged settings (script, aiTool, git, conflict, template,
+ *   templateVersion, timeout, maxRetries, caFile and cache: {dir, ttl, maxAge, maxSize}),
+ *   and the files they were read from in sources
+ * @throws {Error} CONFIGURATION error for invalid files or values
+ */
+export async function loadConfig(options = {}) {
+  const { cwd = process.cwd(), env = process.env, home = os.homedir() } = options;
+  const userFile = getUserConfigPath(home);
+  const projectFile = await findProjectConfig(cwd);
+
+  // Paths in the project file are relative to the project root, not .specify
+  const files = [[userFile, path.dirname(userFile)]];
+  if (projectFile) {
+    files.push([projectFile, path.dirname(path.dirname(projectFile))]);
+  }
+
+  const layers = [];
+  const sources = [];
+  for (const [filePath, baseDir] of files) {
+    const settings = await loadConfigFile(filePath, baseDir);
+    if (settings) {
+      layers.push(settings);
+      sources.push(filePath);
+    }
+  }
+  layers.push(readEnvironment(env, cwd));
+
+  const config = { cache: {}, sources };
+  for (const { cache = {}, ...settings } of layers) {
+    Object.assign(config, settings);
+    Object.assign(config.cache, cache);
+  }
+  return config;
+}
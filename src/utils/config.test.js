@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import path from 'node:path';
+import os from 'node:os';
+import fs from 'node:fs/promises';
+import { loadConfig, findProjectConfig } from './config.js';
+import { logger } from './logger.js';
+
+describe('config', () => {
+  let tempDir;
+  let home;
+  let project;
+
+  /**
+   * Write a configuration file
+   * @param {string} dir - Home directory or project root
+   * @param {string} content - YAML content
+   * @returns {Promise<string>} File path
+   */
+  async function writeConfig(dir, content) {
+    const filePath = path.join(dir, dir === home ? '.nspecify' : '.specify', 'config.yaml');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-config-test-'));
+    home = path.join(tempDir, 'home');
+    project = path.join(tempDir, 'work', 'project');
+    await fs.mkdir(home, { recursive: true });
+    await fs.mkdir(project, { recursive: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should merge the user file, the project file and environment variables in that order', async () => {
+    const userFile = await writeConfig(home, [
+      'script: ps',
+      'aiTool: [claude-code, cursor]',
+      'git: false',
+      'caFile: certs/proxy.pem',
+      'cache:',
+      '  ttl: 12h',
+      '  maxSize: 200MB'
+    ].join('\n'));
+    const projectFile = await writeConfig(project, [
+      'script: sh',
+      'template: ./templates',
+      'cache:',
+      '  ttl: 1h'
+    ].join('\n'));
+
+    const config = await loadConfig({
+      cwd: path.join(project, 'src'),
+      home,
+      env: { NSPECIFY_AI_TOOL: 'gemini-cli', NSPECIFY_CACHE_MAX_SIZE: '1GB', NSPECIFY_TIMEOUT: '120000' }
+    });
+
+    expect(config).toEqual({
+      script: 'sh',
+      aiTool: 'gemini-cli',
+      git: false,
+      caFile: path.join(home, '.nspecify', 'certs', 'proxy.pem'),
+      template: path.join(project, 'templates'),
+      timeout: 120000,
+      cache: { ttl: '1h', maxSize: '1GB' },
+      sources: [userFile, projectFile]
+    });
+  });
+
+  it('should read booleans, lists and URLs as written in environment variables', async () => {
+    const config = await loadConfig({
+      cwd: project,
+      home,
+      env: { NSPECIFY_GIT: 'no', NSPECIFY_AI_TOOL: 'claude-code,cursor', NSPECIFY_TEMPLATE: 'git+https://example.com/templates.git#v2' }
+    });
+
+    expect(config).toEqual({
+      git: false,
+      aiTool: 'claude-code,cursor',
+      template: 'git+https://example.com/templates.git#v2',
+      cache: {},
+      sources: []
+    });
+  });
+
+  it('should find the configuration of the nearest project', async () => {
+    const outer = await writeConfig(path.dirname(project), 'script: ps');
+    const inner = await writeConfig(project, 'script: sh');
+
+    expect(await findProjectConfig(path.join(project, 'specs', '001-feature'))).toBe(inner);
+    expect(await findProjectConfig(path.dirname(project))).toBe(outer);
+    expect(await findProjectConfig(home)).toBeNull();
+  });
+
+  it('should name the file and setting of invalid values', async () => {
+    const projectFile = await writeConfig(project, 'script: bat\n');
+
+    await expect(loadConfig({ cwd: project, home, env: {} })).rejects.toMatchObject({
+      type: 'CONFIGURATION',
+      message: `Invalid script in ${projectFile}: bat`,
+      suggestion: 'Use sh or ps'
+    });
+    await expect(loadConfig({ cwd: home, home, env: { NSPECIFY_MAX_RETRIES: 'many' } }))
+      .rejects.toThrow('Invalid NSPECIFY_MAX_RETRIES: many');
+  });
+
+  it('should reject malformed YAML and warn about unknown settings', async () => {
+    const userFile = await writeConfig(home, 'aiTool: cursor\ngti: false\ncache:\n  size: 1GB\n');
+    const projectFile = await writeConfig(project, 'script: [sh\n');
+
+    await expect(loadConfig({ cwd: project, home, env: {} }))
+      .rejects.toThrow(`Invalid YAML in ${projectFile}`);
+
+    expect(await loadConfig({ cwd: home, home, env: {} })).toMatchObject({ aiTool: 'cursor', cache: {} });
+    expect(logger.warn).toHaveBeenCalledWith(`Unknown setting gti in ${userFile}`);
+    expect(logger.warn).toHaveBeenCalledWith(`Unknown setting cache.size in ${userFile}`);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * File downloads
+ * Stream URLs to disk, retrying transient failures and resuming interrupted
+ * transfers with HTTP Range requests
+ */
+
+import { createWriteStream } from 'fs';
+import axios from 'axios';
+import { logger as log } from './logger.js';
+import { createError, ErrorTypes, retryWithBackoff } from './errors.js';
+import { getRequestOptions, getRetryCount, isTransientError } from './http.js';
+import { DEFAULTS } from '../constants.js';
+
+/**
+ * Get the retryWithBackoff options for a request
+ * Only transient failures are retried, as often as --max-retries allows
+ * @param {string} label - What is downloaded, for the retry warning
+ * @returns {Object} Retry options
+ */
+export function getRetryOptions(label) {
+  return {
+    maxRetries: getRetryCount(),
+    shouldRetry: isTransientError,
+    onRetry: (error, attempt, delay) => {
+      log.warn(`Download of ${label} failed (${error.message}), retry ${attempt} in ${(delay / 1000).toFixed(1)}s`);
+    }
+  };
+}
+
+/**
+ * Get the full size of a download from the response headers
+ * @param {Object} response - axios response
+ * @returns {number|null} Size in bytes, null if the server does not tell
+ */
+function getTotalSize(response) {
+  const headers = response.headers || {};
+
+  if (response.status === 206) {
+    const match = String(headers['content-range'] || '').match(/\/(\d+)$/);
+    return match ? Number(match[1]) : null;
+  }
+
+  const length = Number(headers['content-length']);
+  return length > 0 ? length : null;
+}
+
+/**
+ * Create the error for a download over the size limit
+ * @param {string} url - Downloaded URL
+ * @param {number} maxSize - Size limit in bytes
+ * @returns {Error} INTEGRITY error
+ */
+function createSizeError(url, maxSize) {
+  return createError(
+    `Download of ${url} exceeds the maximum size of ${(maxSize / (1024 * 1024)).toFixed(0)} MB`,
+    ErrorTypes.INTEGRITY,
+    { maxSize }
+  );
+}
+
+/**
+ * Write a response body to a file, appending after a resumed request
+ * @param {Object} response - axios response with a stream body
+ * @param {string} destPath - Destination file path
+ * @param {Object} transfer - Transfer state, received is kept up to date with the bytes on disk
+ * @param {string} transfer.url - Downloaded URL
+ * @param {number} transfer.received - Bytes already on disk
+ * @param {number|null} transfer.total - Full size of the download
+ * @param {number} transfer.maxSize - Size limit in bytes
+ * @param {Function} [transfer.onProgress] - Progress callback
+ * @returns {Promise<void>} Resolves once the body is on disk
+ */
+function writeBody(response, destPath, transfer) {
+  const { url, total, maxSize, onProgress } = transfer;
+
+  return new Promise((resolve, reject) => {
+    const writer = createWriteStream(destPath, { flags: transfer.received > 0 ? 'a' : 'w' });
+    let failure = null;
+
+    // Stop reading but let the writer flush, so received matches the file
+    const fail = (error) => {
+      if (!failure) {
+        failure = error;
+        response.data.unpipe(writer);
+        response.data.destroy();
+        writer.end();
+      }
+    };
+
+    response.data.pipe(writer);
+    response.data.on('data', (chunk) => {
+      transfer.received += chunk.length;
+      if (transfer.received > maxSize) {
+        fail(createSizeError(url, maxSize));
+        return;
+      }
+
+      if (onProgress) {
+        onProgress({
+          received: transfer.received,
+          total,
+          percent: total ? Math.min(100, Math.floor((transfer.received / total) * 100)) : null
+        });
+      }
+    });
+    response.data.on('error', fail);
+    writer.on('error', (error) => reject(failure || error));
+    writer.on('finish', () => (failure ? reject(failure) : resolve()));
+  });
+}
+
+/**
+ * Get the conditional request headers revalidating a copy of a download
+ * @param {Object|null} validators - ETag and Last-Modified of the copy
+ * @param {string|null} [validators.etag] - ETag response header
+ * @param {string|null} [validators.lastModified] - Last-Modified response header
+ * @returns {Object} If-None-Match and If-Modified-Since headers, empty without validators
+ */
+function getConditionalHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * Get the validator a resumed request sends in If-Range: a strong ETag, or
+ * else Last-Modified, as weak ETags cannot validate byte ranges
+ * @param {Object} response - axios response the transfer started with
+ * @returns {string|null} Validator, null when the response has none
+ */
+function getRangeValidator(response) {
+  const etag = response.headers?.etag;
+  if (etag && !etag.startsWith('W/')) {
+    return etag;
+  }
+  return response.headers?.['last-modified'] || null;
+}
+
+/**
+ * Download a file over HTTP(S)
+ * Transient failures are retried with backoff; when the connection drops
+ * midway, the retry asks for the rest of the file with a Range header, under
+ * an If-Range condition so a file that changed in between is sent in full.
+ * Without an ETag or Last-Modified to check that, the download starts over.
+ * With validators of a copy already at hand the request is conditional, and
+ * nothing is downloaded if the server answers 304 Not Modified
+ * @param {string} url - URL to download
+ * @param {string} destPath - Destination file path
+ * @param {Object} [options={}] - Download options
+ * @param {Function} [options.onProgress] - Called with { received, total, percent } as data arrives,
+ *   total and percent are null when the server does not send the size
+ * @param {number} [options.maxSize=DEFAULTS.maxFileSize] - Size limit in bytes
+ * @param {Object} [options.validators] - ETag and Last-Modified of a copy to revalidate
+ * @param {Function} [options.onValidators] - Called with the { etag, lastModified } of the response
+ * @returns {Promise<string|null>} Destination file path, or null if the copy is still up to date
+ * @throws {Error} INTEGRITY error if the file exceeds the size limit
+ */
+export async function downloadFile(url, destPath, options = {}) {
+  const { onProgress, maxSize = DEFAULTS.maxFileSize, validators = null, onValidators } = options;
+  const transfer = { url, received: 0, total: null, maxSize, onProgress, validator: null };
+  let notModified = false;
+
+  await retryWithBackoff(async () => {
+    const headers = {
+      'User-Agent': 'nspecify-cli',
+      // Byte ranges only line up with the file when it is not re-encoded
+      'Accept-Encoding': 'identity'
+    };
+    if (transfer.received > 0 && transfer.validator) {
+      headers.Range = `bytes=${transfer.received}-`;
+      headers['If-Range'] = transfer.validator;
+      log.debug(`Resuming download of ${url} at byte ${transfer.received}`);
+    } else if (transfer.received > 0) {
+      log.debug(`Restarting download of ${url}, nothing tells whether it changed since byte ${transfer.received}`);
+      transfer.received = 0;
+    } else {
+      // A resumed transfer is already known to differ from the copy
+      Object.assign(headers, getConditionalHeaders(validators));
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url,
+      responseType: 'stream',
+      ...getRequestOptions(url),
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(validators)),
+      // Follow redirects
+      maxRedirects: 5
+    });
+
+    if (onValidators) {
+      onValidators({
+        etag: response.headers?.etag || null,
+        lastModified: response.headers?.['last-modified'] || null
+      });
+    }
+
+    if (response.status === 304) {
+      response.data.destroy();
+      notModified = true;
+      return;
+    }
+
+    // Servers that ignore Range, or whose file changed, send the whole file again
+    if (response.status !== 206) {
+      transfer.received = 0;
+      transfer.validator = getRangeValidator(response);
+    }
+
+    transfer.total = getTotalSize(response);
+    if (transfer.total > maxSize) {
+      response.data.destroy();
+      throw createSizeError(url, maxSize);
+    }
+
+    await writeBody(response, destPath, transfer);
+
+    if (transfer.total && transfer.received < transfer.total) {
+      throw createError(
+        `Download of ${url} ended after ${transfer.received} of ${transfer.total} bytes`,
+        ErrorTypes.NETWORK,
+        { code: 'ERR_INCOMPLETE_DOWNLOAD' }
+      );
+    }
+  }, getRetryOptions(url));
+
+  return notModified ? null : destPath;
+}
@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import path from 'node:path';
+import os from 'node:os';
+import fs from 'node:fs/promises';
+import { downloadFile } from './download.js';
+import { logger } from './logger.js';
+
+const BODY = Buffer.from('0123456789'.repeat(1000));
+
+describe('download', () => {
+  let server;
+  let requests;
+  let handler;
+  let tempDir;
+  let baseUrl;
+
+  beforeEach(async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-download-test-'));
+
+    requests = [];
+    server = http.createServer((request, response) => {
+      requests.push({ url: request.url, range: request.headers.range, ifRange: request.headers['if-range'] });
+      handler(request, response, requests.length);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Send the first half of the body, then drop the connection
+   * @param {http.ServerResponse} response - Server response
+   * @param {Object} [headers={ ETag: '"v1"' }] - Validators of the response
+   * @returns {void}
+   */
+  function dropHalfway(response, headers = { ETag: '"v1"' }) {
+    response.writeHead(200, { 'Content-Length': BODY.length, ...headers });
+    response.write(BODY.subarray(0, BODY.length / 2));
+    setTimeout(() => response.socket.destroy(), 50);
+  }
+
+  it('should download a file and report progress', async () => {
+    handler = (request, response) => {
+      response.writeHead(200, { 'Content-Length': BODY.length });
+      response.end(BODY);
+    };
+    const progress = [];
+    const destPath = path.join(tempDir, 'template.zip');
+
+    await expect(downloadFile(`${baseUrl}/template.zip`, destPath, { onProgress: (p) => progress.push(p) }))
+      .resolves.toBe(destPath);
+
+    expect(await fs.readFile(destPath)).toEqual(BODY);
+    expect(progress.at(-1)).toEqual({ received: BODY.length, total: BODY.length, percent: 100 });
+  });
+
+  it('should resume with a Range request after the connection drops', async () => {
+    handler = (request, response, count) => {
+      if (count === 1) {
+        dropHalfway(response);
+        return;
+      }
+
+      const start = Number(request.headers.range.match(/^bytes=(\d+)-$/)[1]);
+      response.writeHead(206, {
+        'Content-Length': BODY.length - start,
+        'Content-Range': `bytes ${start}-${BODY.length - 1}/${BODY.length}`
+      });
+      response.end(BODY.subarray(start));
+    };
+    const destPath = path.join(tempDir, 'template.zip');
+
+    await downloadFile(`${baseUrl}/template.zip`, destPath);
+
+    expect(await fs.readFile(destPath)).toEqual(BODY);
+    expect(requests).toEqual([
+      { url: '/template.zip', range: undefined, ifRange: undefined },
+      { url: '/template.zip', range: `bytes=${BODY.length / 2}-`, ifRange: '"v1"' }
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('retry 1'));
+  });
+
+  it('should start over when the file changed before the download resumed', async () => {
+    const changed = Buffer.from('abcdefghij'.repeat(1000));
+    handler = (request, response, count) => {
+      if (count === 1) {
+        dropHalfway(response, { 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT', ETag: 'W/"v1"' });
+        return;
+      }
+
+      // If-Range does not match the new version, so the whole file is sent
+      response.writeHead(200, { 'Content-Length': changed.length, ETag: '"v2"' });
+      response.end(changed);
+    };
+    const destPath = path.join(tempDir, 'template.zip');
+
+    await downloadFile(`${baseUrl}/template.zip`, destPath);
+
+    expect(await fs.readFile(destPath)).toEqual(changed);
+    expect(requests[1]).toEqual({ url: '/template.zip', range: `bytes=${BODY.length / 2}-`, ifRange: 'Mon, 05 Oct 2026 10:00:00 GMT' });
+  });
+
+  it('should not resume a download nothing can validate', async () => {
+    handler = (request, response, count) => {
+      if (count === 1) {
+        dropHalfway(response, {});
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Length': BODY.length });
+      response.end(BODY);
+    };
+    const destPath = path.join(tempDir, 'template.zip');
+
+    await downloadFile(`${baseUrl}/template.zip`, destPath);
+
+    expect(await fs.readFile(destPath)).toEqual(BODY);
+    expect(requests[1]).toEqual({ url: '/template.zip', range: undefined, ifRange: undefined });
+  });
+
+  it('should start over when the server ignores the Range header', async () => {
+    handler = (request, response, count) => {
+      if (count === 1) {
+        dropHalfway(response);
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Length': BODY.length });
+      response.end(BODY);
+    };
+    const destPath = path.join(tempDir, 'template.zip');
+
+    await downloadFile(`${baseUrl}/template.zip`, destPath);
+
+    expect(await fs.readFile(destPath)).toEqual(BODY);
+  });
+
+  it('should not retry client errors', async () => {
+    handler = (request, response) => {
+      response.writeHead(404);
+      response.end('Not Found');
+    };
+
+    await expect(downloadFile(`${baseUrl}/missing.zip`, path.join(tempDir, 'missing.zip')))
+      .rejects.toMatchObject({ response: { status: 404 } });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should skip the download when the server confirms the copy is unchanged', async () => {
+    handler = (request, response) => {
+      if (request.headers['if-none-match'] === '"v1"') {
+        response.writeHead(304, { ETag: '"v1"' });
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Length': BODY.length, ETag: '"v2"', 'Last-Modified': 'Tue, 01 Sep 2026 10:00:00 GMT' });
+      response.end(BODY);
+    };
+    const destPath = path.join(tempDir, 'template.zip');
+    const seen = [];
+
+    await expect(downloadFile(`${baseUrl}/template.zip`, destPath, { validators: { etag: '"v1"' }, onValidators: (v) => seen.push(v) }))
+      .resolves.toBeNull();
+    await expect(fs.access(destPath)).rejects.toThrow();
+
+    await expect(downloadFile(`${baseUrl}/template.zip`, destPath, { validators: { etag: '"v0"' }, onValidators: (v) => seen.push(v) }))
+      .resolves.toBe(destPath);
+    expect(seen).toEqual([
+      { etag: '"v1"', lastModified: null },
+      { etag: '"v2"', lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT' }
+    ]);
+  });
+
+  it('should enforce the size limit with and without a Content-Length', async () => {
+    handler = (request, response) => {
+      if (request.url === '/announced.zip') {
+        response.writeHead(200, { 'Content-Length': BODY.length });
+        response.end(BODY);
+        return;
+      }
+
+      // Chunked response without a size
+      response.write(BODY);
+      response.end(BODY);
+    };
+
+    await expect(downloadFile(`${baseUrl}/announced.zip`, path.join(tempDir, 'a.zip'), { maxSize: 1024 }))
+      .rejects.toMatchObject({ type: 'INTEGRITY', message: expect.stringContaining('exceeds the maximum size') });
+    await expect(downloadFile(`${baseUrl}/chunked.zip`, path.join(tempDir, 'b.zip'), { maxSize: BODY.length }))
+      .rejects.toMatchObject({ type: 'INTEGRITY' });
+    expect(requests).toHaveLength(2);
+  });
+});
@@ -15,6 +15,7 @@ export const ErrorTypes = {
   MISSING_DEPENDENCY: 'MISSING_DEPENDENCY',
   FILE_SYSTEM: 'FILE_SYSTEM',
   CONFIGURATION: 'CONFIGURATION',
+  INTEGRITY: 'INTEGRITY',
   UNKNOWN: 'UNKNOWN'
 };
 
@@ -27,9 +28,14 @@ export function detectErrorType(error) {
   const message = error.message?.toLowerCase() || '';
   const code = error.code?.toLowerCase() || '';
 
+  // Integrity errors (checked first, their messages mention files)
+  if (error.type === ErrorTypes.INTEGRITY || message.includes('checksum')) {
+    return ErrorTypes.INTEGRITY;
+  }
+
   // Network errors
-  if (code === 'econnreset' || code === 'etimedout' || code === 'enotfound' ||
-    message.includes('network') || message.includes('timeout') ||
+  if (code === 'econnreset' || code === 'etimedout' || code === 'enotfound' || code === 'econnrefused' ||
+    message.includes('network') || message.includes('timeout') || message.includes('proxy') ||
     message.includes('certificate') || message.includes('ssl')) {
     return ErrorTypes.NETWORK;
   }
@@ -70,16 +76,16 @@ export function getErrorSuggestions(errorType, error) {
   switch (errorType) {
     case ErrorTypes.NETWORK:
       suggestions.push('Check your internet connection');
-      suggestions.push('Verify firewall/proxy settings');
+      suggestions.push('Behind a proxy, set HTTPS_PROXY (and NO_PROXY for internal hosts)');
 
       if (error.message?.includes('certificate') || error.message?.includes('ssl')) {
+        suggestions.push('Trust your corporate CA with --ca-file <pem> or NODE_EXTRA_CA_CERTS');
         suggestions.push('Try using --skip-tls flag (not recommended for production)');
         suggestions.push('Update your system certificates');
-        suggestions.push('Check if you\'re behind a corporate firewall');
       }
 
       if (error.message?.includes('timeout')) {
-        suggestions.push('Try increasing timeout with --timeout flag');
+        suggestions.push('Try increasing timeout with --timeout <ms>, e.g. --timeout 120000');
         suggestions.push('Check if GitHub is accessible from your network');
       }
 
@@ -134,6 +140,13 @@ export function getErrorSuggestions(errorType, error) {
       }
       break;
 
+    case ErrorTypes.INTEGRITY:
+      suggestions.push('The download may be incomplete or may have been tampered with');
+      suggestions.push('Try again, ideally from a different network');
+      suggestions.push('Clear the template cache: nspecify cache clear');
+      suggestions.push('Compare with the checksums on https://github.com/pnocera/nspecify/releases');
+      break;
+
     default:
       suggestions.push('Run with --debug flag for more details');
       suggestions.push('Check https://github.com/pnocera/nspecify/issues');
@@ -240,6 +253,46 @@ export function createError(message, type = ErrorTypes.UNKNOWN, properties = {})
   return error;
 }
 
+/**
+ * Check whether a value can be written to JSON as-is
+ * @param {*} value - Property value
+ * @returns {boolean} True for strings, numbers, booleans and null
+ */
+function isPrimitive(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Convert an error to a plain object for JSON output
+ * Only primitive properties, and lists of them, are kept: errors of HTTP
+ * clients carry circular request and response objects
+ * @param {Error} error - Error object
+ * @returns {Object} Message, type from ErrorTypes, code, suggestion, path,
+ *   HTTP status and the error's other primitive properties
+ */
+export function serializeError(error) {
+  const serialized = {
+    message: error.message,
+    type: error.type || detectErrorType(error)
+  };
+
+  const status = error.response?.status ?? error.status;
+  if (typeof status === 'number') {
+    serialized.status = status;
+  }
+
+  for (const [key, value] of Object.entries(error)) {
+    if (key in serialized) {
+      continue;
+    }
+    if (isPrimitive(value) || (Array.isArray(value) && value.every(isPrimitive))) {
+      serialized[key] = value;
+    }
+  }
+
+  return serialized;
+}
+
 /**
  * Wrap async function with error handling
  * @param {Function} fn - Async function to wrap
@@ -279,6 +332,7 @@ export const ErrorMessages = {
  * @param {number} [options.initialDelay=1000] - Initial delay in ms
  * @param {number} [options.maxDelay=10000] - Maximum delay in ms
  * @param {Function} [options.onRetry] - Callback on retry
+ * @param {Function} [options.shouldRetry] - Return false to give up on an error right away
  * @returns {Promise<*>} Operation result
  */
 export async function retryWithBackoff(operation, options = {}) {
@@ -286,7 +340,8 @@ export async function retryWithBackoff(operation, options = {}) {
     maxRetries = 3,
     initialDelay = 1000,
     maxDelay = 10000,
-    onRetry
+    onRetry,
+    shouldRetry = () => true
   } = options;
 
   let lastError;
@@ -298,7 +353,7 @@ export async function retryWithBackoff(operation, options = {}) {
     } catch (error) {
       lastError = error;
 
-      if (attempt < maxRetries) {
+      if (attempt < maxRetries && shouldRetry(error)) {
         if (onRetry) {
           onRetry(error, attempt + 1, delay);
         }
@@ -307,6 +362,8 @@ export async function retryWithBackoff(operation, options = {}) {
 
         // Exponential backoff with jitter
         delay = Math.min(delay * 2 + Math.random() * 1000, maxDelay);
+      } else {
+        break;
       }
     }
   }
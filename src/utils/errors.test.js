@@ -0,0 +1,54 @@
+import http from 'node:http';
+import axios from 'axios';
+import { createError, ErrorTypes, serializeError } from './errors.js';
+
+describe('errors', () => {
+  describe('serializeError', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = http.createServer((request, response) => {
+        response.writeHead(404);
+        response.end('Not Found');
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should keep the message, type and details of nspecify errors', () => {
+      const error = createError('Template source not found: ./tpl', ErrorTypes.FILE_SYSTEM, {
+        path: './tpl',
+        suggestion: 'Check the path',
+        errors: ['missing .specify']
+      });
+
+      expect(serializeError(error)).toEqual({
+        message: 'Template source not found: ./tpl',
+        type: 'FILE_SYSTEM',
+        path: './tpl',
+        suggestion: 'Check the path',
+        errors: ['missing .specify']
+      });
+    });
+
+    it('should serialize HTTP client errors without their circular request and response', async () => {
+      const error = await axios.get(`http://127.0.0.1:${server.address().port}/x.zip`).catch((failure) => failure);
+      const serialized = serializeError(error);
+
+      expect(() => JSON.stringify(serialized)).not.toThrow();
+      expect(serialized).toMatchObject({
+        message: 'Request failed with status code 404',
+        type: expect.any(String),
+        code: 'ERR_BAD_REQUEST',
+        status: 404
+      });
+      expect(serialized).not.toHaveProperty('config');
+      expect(serialized).not.toHaveProperty('request');
+      expect(serialized).not.toHaveProperty('response');
+    });
+  });
+});
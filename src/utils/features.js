@@ -0,0 +1,145 @@
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Feature specification utilities shared by the feature commands
+ */
+
+/**
+ * Maximum number of description words used in a feature branch name
+ */
+const BRANCH_NAME_WORDS = 3;
+
+/**
+ * Pattern matching numbered feature directories such as 001-user-login
+ */
+const FEATURE_DIR_PATTERN = /^(\d+)/;
+
+/**
+ * Pattern matching markdown task checkboxes such as "- [ ] T001" or "- [x] T002"
+ */
+const TASK_PATTERN = /^\s*[-*]\s+\[([ xX])\]/gm;
+
+/**
+ * Documents tracked for every feature
+ */
+const FEATURE_DOCUMENTS = {
+  spec: 'spec.md',
+  plan: 'plan.md',
+  tasks: 'tasks.md'
+};
+
+/**
+ * Get the next free feature number in a specs directory
+ * @param {string} specsDir - Specs directory
+ * @returns {Promise<string>} Zero-padded feature number, e.g. "004"
+ */
+export async function getNextFeatureNumber(specsDir) {
+  let highest = 0;
+
+  try {
+    const entries = await readdir(specsDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const match = entry.isDirectory() && entry.name.match(FEATURE_DIR_PATTERN);
+      if (match) {
+        highest = Math.max(highest, parseInt(match[1], 10));
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  return String(highest + 1).padStart(3, '0');
+}
+
+/**
+ * Create a feature branch name from a description
+ * Mirrors create-new-feature.sh: lowercase, dashes, first three words
+ * @param {string} description - Feature description
+ * @param {string} featureNum - Zero-padded feature number
+ * @returns {string|null} Branch name or null if the description has no usable words
+ */
+export function createFeatureBranchName(description, featureNum) {
+  const words = description
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .split('-')
+    .filter(Boolean)
+    .slice(0, BRANCH_NAME_WORDS);
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return `${featureNum}-${words.join('-')}`;
+}
+
+/**
+ * Count checked and unchecked task boxes in markdown content
+ * @param {string} content - Markdown content
+ * @returns {{done: number, total: number}} Task counts
+ */
+export function countTasks(content) {
+  let done = 0;
+  let total = 0;
+
+  for (const match of content.matchAll(TASK_PATTERN)) {
+    total++;
+    if (match[1] !== ' ') {
+      done++;
+    }
+  }
+
+  return { done, total };
+}
+
+/**
+ * Get the documents and task progress of a single feature
+ * @param {string} specsDir - Specs directory
+ * @param {string} name - Feature directory name
+ * @returns {Promise<Object>} Feature status
+ */
+export async function getFeatureStatus(specsDir, name) {
+  const featureDir = join(specsDir, name);
+  const files = await readdir(featureDir);
+  const match = name.match(FEATURE_DIR_PATTERN);
+
+  const status = {
+    name,
+    number: match ? match[1] : null,
+    path: featureDir,
+    spec: files.includes(FEATURE_DOCUMENTS.spec),
+    plan: files.includes(FEATURE_DOCUMENTS.plan),
+    tasks: files.includes(FEATURE_DOCUMENTS.tasks),
+    progress: { done: 0, total: 0 }
+  };
+
+  if (status.tasks) {
+    const content = await readFile(join(featureDir, FEATURE_DOCUMENTS.tasks), 'utf8');
+    status.progress = countTasks(content);
+  }
+
+  return status;
+}
+
+/**
+ * List numbered feature directories in a specs directory
+ * @param {string} specsDir - Specs directory
+ * @returns {Promise<string[]>} Feature directory names, in feature order
+ */
+export async function listFeatures(specsDir) {
+  try {
+    const entries = await readdir(specsDir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && FEATURE_DIR_PATTERN.test(entry.name))
+      .map((entry) => entry.name)
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
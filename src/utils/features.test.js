@@ -0,0 +1,77 @@
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import {
+  getNextFeatureNumber,
+  createFeatureBranchName,
+  countTasks,
+  listFeatures
+} from './features.js';
+
+describe('features', () => {
+  describe('getNextFeatureNumber', () => {
+    let specsDir;
+
+    beforeEach(async () => {
+      specsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-specs-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(specsDir, { recursive: true, force: true });
+    });
+
+    it('should start at 001 when the specs directory is missing', async () => {
+      expect(await getNextFeatureNumber(path.join(specsDir, 'missing'))).toBe('001');
+    });
+
+    it('should ignore files and unnumbered directories', async () => {
+      await fs.mkdir(path.join(specsDir, '002-search'));
+      await fs.mkdir(path.join(specsDir, 'drafts'));
+      await fs.writeFile(path.join(specsDir, '099-notes.md'), '');
+
+      expect(await getNextFeatureNumber(specsDir)).toBe('003');
+    });
+  });
+
+  describe('createFeatureBranchName', () => {
+    it('should keep the first three words', () => {
+      expect(createFeatureBranchName('Add user Login, with OAuth!', '012')).toBe('012-add-user-login');
+    });
+
+    it('should return null without usable words', () => {
+      expect(createFeatureBranchName('  --  ', '001')).toBeNull();
+    });
+  });
+
+  describe('countTasks', () => {
+    it('should count checked and unchecked boxes', () => {
+      const content = '- [x] done\n* [X] also done\n- [ ] open\nNot a [ ] task\n';
+
+      expect(countTasks(content)).toEqual({ done: 2, total: 3 });
+    });
+  });
+
+  describe('listFeatures', () => {
+    let specsDir;
+
+    beforeEach(async () => {
+      specsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-specs-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(specsDir, { recursive: true, force: true });
+    });
+
+    it('should list numbered feature directories in order', async () => {
+      await fs.mkdir(path.join(specsDir, '010-late'));
+      await fs.mkdir(path.join(specsDir, '002-early'));
+      await fs.mkdir(path.join(specsDir, 'drafts'));
+
+      expect(await listFeatures(specsDir)).toEqual(['002-early', '010-late']);
+    });
+
+    it('should return an empty list when the specs directory is missing', async () => {
+      expect(await listFeatures(path.join(specsDir, 'missing'))).toEqual([]);
+    });
+  });
+});
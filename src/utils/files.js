@@ -13,7 +13,9 @@ import {
 import { promises as fs } from 'fs';
 import { join, dirname, basename, extname, sep, normalize } from 'path';
 import { platform } from 'os';
+import { createHash } from 'crypto';
 import chalk from 'chalk';
+import { renderTemplate } from './render.js';
 
 /**
  * File operations utilities with Windows compatibility
@@ -284,26 +286,57 @@ function matchesPattern(filename, pattern) {
 
 /**
  * Replace placeholders in content
+ * Renders {{key}} placeholders (and the rest of the template syntax) with
+ * the shared engine; legacy ${key} placeholders are still replaced
  * @param {string} content - Content with placeholders
  * @param {Object} replacements - Key-value pairs for replacement
  * @returns {string} Content with replacements
  */
 export function replacePlaceholders(content, replacements) {
-  let result = content;
+  let result = renderTemplate(content, replacements);
   
   for (const [key, value] of Object.entries(replacements)) {
-    // Replace {{key}} style placeholders
-    const placeholder = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-    result = result.replace(placeholder, value);
-    
     // Replace ${key} style placeholders
     const varPlaceholder = new RegExp(`\\$\\{${key}\\}`, 'g');
-    result = result.replace(varPlaceholder, value);
+    result = result.replace(varPlaceholder, () => value);
   }
   
   return result;
 }
 
+/**
+ * Calculate SHA-256 hash of content
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex-encoded hash
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Calculate SHA-256 hash of a file
+ * @param {string} filePath - File path to hash
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return hashContent(content);
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as '512 B', '1.5 KB' or '3.2 MB'
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Determine if file is binary
  * @param {string} filePath - File path to check
@@ -30,7 +30,9 @@ const {
   deleteDirectory,
   writeFileAtomic,
   readFileSafe,
-  createDirectory
+  createDirectory,
+  replacePlaceholders,
+  formatSize
 } = await import('./files.js');
 
 describe('files', () => {
@@ -355,4 +357,26 @@ describe('files', () => {
       expect(mockFsSync.readFileSync).toHaveBeenCalledWith('/path/to/file.bin', 'binary');
     });
   });
-});
\ No newline at end of file
+
+  describe('replacePlaceholders', () => {
+    it('should replace {{key}} and ${key} placeholders', () => {
+      const result = replacePlaceholders('{{ name }} at ${path}', { name: 'demo', path: '/tmp/demo' });
+
+      expect(result).toBe('demo at /tmp/demo');
+    });
+
+    it('should support template blocks', () => {
+      const result = replacePlaceholders('{{#if git}}git init{{else}}skip{{/if}}', { git: false });
+
+      expect(result).toBe('skip');
+    });
+  });
+
+  describe('formatSize', () => {
+    it('should use the largest fitting unit', () => {
+      expect(formatSize(512)).toBe('512 B');
+      expect(formatSize(1536)).toBe('1.5 KB');
+      expect(formatSize(3.2 * 1024 * 1024)).toBe('3.2 MB');
+    });
+  });
+});
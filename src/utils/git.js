@@ -1,8 +1,14 @@
 import { simpleGit } from 'simple-git';
 import { existsSync } from 'fs';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
 import { join } from 'path';
+import { tmpdir } from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import chalk from 'chalk';
 
+const execFileAsync = promisify(execFile);
+
 /**
  * Git operations utilities for Windows and cross-platform compatibility
  */
@@ -205,6 +211,167 @@ export async function getRepositoryStatus(path) {
   }
 }
 
+/**
+ * Get the top-level directory of the repository containing a path
+ * @param {string} path - Directory inside the repository
+ * @returns {Promise<string|null>} Repository root or null if not in a repository
+ */
+export async function getRepositoryRoot(path) {
+  try {
+    const git = createGit(path);
+    const root = await git.revparse(['--show-toplevel']);
+    return root || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List local branch names
+ * @param {string} path - Repository path
+ * @returns {Promise<string[]>} Branch names, empty if not a repository
+ */
+export async function listBranches(path) {
+  try {
+    const git = createGit(path);
+    const branches = await git.branchLocal();
+    return branches.all;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Create and check out a new branch
+ * @param {string} path - Repository path
+ * @param {string} branchName - Name of the branch to create
+ * @param {Object} options - Branch options
+ * @returns {Promise<Object>} Result of branch creation
+ */
+export async function createBranch(path, branchName, options = {}) {
+  const { dryRun = false } = options;
+
+  const result = {
+    success: false,
+    branch: branchName,
+    error: null
+  };
+
+  try {
+    if (dryRun) {
+      console.log(chalk.gray(`[DRY RUN] Would create branch: ${branchName}`));
+      result.success = true;
+      return result;
+    }
+
+    const git = createGit(path);
+    await git.checkoutLocalBranch(branchName);
+
+    result.success = true;
+    return result;
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+}
+
+/**
+ * Clone a repository and check out a ref
+ * @param {string} url - Repository URL (https://, file:// or a local path)
+ * @param {string} targetDir - Directory to clone into
+ * @param {Object} [options={}] - Clone options
+ * @param {string|null} [options.ref=null] - Branch, tag or commit to check out
+ * @returns {Promise<{success: boolean, ref: string|null, error: string|null}>} Clone result
+ */
+export async function cloneRepository(url, targetDir, options = {}) {
+  const { ref = null } = options;
+
+  const result = {
+    success: false,
+    ref,
+    error: null
+  };
+
+  try {
+    // Plain instance: the autocrlf setting of createGit would rewrite line endings of cloned scripts
+    await simpleGit().clone(url, targetDir, ref ? ['--no-checkout'] : ['--depth', '1']);
+
+    if (ref) {
+      await simpleGit(targetDir).checkout(ref);
+    }
+
+    result.success = true;
+    return result;
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+}
+
+/**
+ * Get the content a file had in the commit that first added it
+ * @param {string} path - Repository path
+ * @param {string} filePath - File path relative to the repository path
+ * @returns {Promise<string|null>} Original content or null if not tracked
+ */
+export async function getOriginalFileContent(path, filePath) {
+  try {
+    if (!await isGitRepository(path)) {
+      return null;
+    }
+
+    const git = createGit(path);
+    const gitPath = filePath.split('\\').join('/');
+
+    // Commits are listed newest first, so the last one added the file
+    const log = await git.raw(['log', '--diff-filter=A', '--format=%H', '--', gitPath]);
+    const commits = log.split('\n').filter(Boolean);
+    if (commits.length === 0) {
+      return null;
+    }
+
+    return await git.show([`${commits[commits.length - 1]}:./${gitPath}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Three-way merge file contents using git merge-file
+ * @param {string} current - Current (locally edited) content
+ * @param {string} base - Common ancestor content
+ * @param {string} incoming - Incoming content
+ * @returns {Promise<Object>} Merged content and number of conflicts
+ */
+export async function mergeFileContents(current, base, incoming) {
+  const tempDir = await mkdtemp(join(tmpdir(), 'nspecify-merge-'));
+  const currentPath = join(tempDir, 'current');
+  const basePath = join(tempDir, 'base');
+  const incomingPath = join(tempDir, 'incoming');
+
+  try {
+    await writeFile(currentPath, current, 'utf8');
+    await writeFile(basePath, base, 'utf8');
+    await writeFile(incomingPath, incoming, 'utf8');
+
+    const { stdout } = await execFileAsync('git', [
+      'merge-file', '-p',
+      '-L', 'yours', '-L', 'original', '-L', 'template',
+      currentPath, basePath, incomingPath
+    ]);
+
+    return { content: stdout, conflicts: 0 };
+  } catch (error) {
+    // git merge-file exits with the number of conflicts
+    if (typeof error.code === 'number' && error.code > 0 && typeof error.stdout === 'string') {
+      return { content: error.stdout, conflicts: error.code };
+    }
+    throw error;
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
 /**
  * Handle git repository setup
  * @param {string} path - Directory path
@@ -8,7 +8,11 @@ const mockGit = {
   init: jest.fn(),
   add: jest.fn(),
   commit: jest.fn(),
-  addConfig: jest.fn()
+  addConfig: jest.fn(),
+  revparse: jest.fn(),
+  checkoutLocalBranch: jest.fn(),
+  clone: jest.fn(),
+  checkout: jest.fn()
 };
 
 const mockSimpleGit = jest.fn(() => mockGit);
@@ -33,7 +37,7 @@ jest.unstable_mockModule('chalk', () => ({
   }
 }));
 
-const { isGitRepository, initRepository, createInitialCommit, getRepositoryStatus, setupGitRepository, printRepositoryStatus } = await import('./git.js');
+const { isGitRepository, initRepository, createInitialCommit, getRepositoryStatus, setupGitRepository, printRepositoryStatus, getRepositoryRoot, createBranch, cloneRepository } = await import('./git.js');
 const fs = await import('fs');
 
 describe('git', () => {
@@ -315,6 +319,74 @@ describe('git', () => {
     });
   });
 
+  describe('getRepositoryRoot', () => {
+    it('should return the repository top-level directory', async () => {
+      mockGit.revparse.mockResolvedValue('/path/to/repo');
+
+      const result = await getRepositoryRoot('/path/to/repo/src');
+
+      expect(result).toBe('/path/to/repo');
+      expect(mockGit.revparse).toHaveBeenCalledWith(['--show-toplevel']);
+    });
+
+    it('should return null outside a repository', async () => {
+      mockGit.revparse.mockRejectedValue(new Error('not a git repository'));
+
+      const result = await getRepositoryRoot('/tmp');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('createBranch', () => {
+    it('should create and check out the branch', async () => {
+      mockGit.checkoutLocalBranch.mockResolvedValue();
+
+      const result = await createBranch('/path/to/repo', '001-feature');
+
+      expect(result.success).toBe(true);
+      expect(mockGit.checkoutLocalBranch).toHaveBeenCalledWith('001-feature');
+    });
+
+    it('should report branch errors', async () => {
+      mockGit.checkoutLocalBranch.mockRejectedValue(new Error('already exists'));
+
+      const result = await createBranch('/path/to/repo', '001-feature');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('already exists');
+    });
+
+    it('should support dry run', async () => {
+      const result = await createBranch('/path/to/repo', '001-feature', { dryRun: true });
+
+      expect(result.success).toBe(true);
+      expect(mockGit.checkoutLocalBranch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cloneRepository', () => {
+    it('should make a shallow clone without a ref', async () => {
+      mockGit.clone.mockResolvedValue();
+
+      const result = await cloneRepository('https://example.com/t.git', '/tmp/t');
+
+      expect(result).toEqual({ success: true, ref: null, error: null });
+      expect(mockGit.clone).toHaveBeenCalledWith('https://example.com/t.git', '/tmp/t', ['--depth', '1']);
+    });
+
+    it('should check out the requested ref', async () => {
+      mockGit.clone.mockResolvedValue();
+      mockGit.checkout.mockRejectedValue(new Error('pathspec did not match'));
+
+      const result = await cloneRepository('https://example.com/t.git', '/tmp/t', { ref: 'v9' });
+
+      expect(mockGit.clone).toHaveBeenCalledWith('https://example.com/t.git', '/tmp/t', ['--no-checkout']);
+      expect(mockGit.checkout).toHaveBeenCalledWith('v9');
+      expect(result).toEqual({ success: false, ref: 'v9', error: 'pathspec did not match' });
+    });
+  });
+
   describe('setupGitRepository', () => {
     it('should setup new repository with initial commit', async () => {
       // Mock for initRepository - starts as not a repo
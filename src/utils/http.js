@@ -0,0 +1,318 @@
+/**
+ * HTTP settings for template downloads
+ * Proxy, certificate, timeout and retry handling shared by every request
+ * nspecify makes, configured once from the global --timeout, --max-retries,
+ * --ca-file and --skip-tls options
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+import { readFileSync } from 'node:fs';
+import { logger as log } from './logger.js';
+import { createError, ErrorTypes } from './errors.js';
+import { DEFAULTS } from '../constants.js';
+
+/**
+ * Default ports of the supported protocols
+ */
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'https:': 443
+};
+
+/**
+ * Error codes of failures worth retrying: dropped connections, timeouts and
+ * DNS hiccups
+ */
+const TRANSIENT_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ERR_STREAM_PREMATURE_CLOSE',
+  'ERR_INCOMPLETE_DOWNLOAD'
+];
+
+/**
+ * Current settings, see configureHttp
+ */
+let settings = {
+  timeout: DEFAULTS.downloadTimeout,
+  maxRetries: DEFAULTS.retryCount,
+  ca: null,
+  skipTls: false
+};
+
+/**
+ * Agents by proxy URL, '' for direct connections
+ * @type {Map<string, https.Agent>}
+ */
+let agents = new Map();
+
+/**
+ * Agent that tunnels HTTPS requests through an HTTP(S) proxy with CONNECT
+ * TLS is negotiated with the target host, so certificates are checked end to end
+ */
+class TunnelAgent extends https.Agent {
+  /**
+   * @param {string} proxy - Proxy URL, may contain user:password
+   * @param {Object} options - https.Agent options such as ca and rejectUnauthorized
+   */
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = new URL(proxy);
+  }
+
+  /**
+   * Open a tunnel to the target and start TLS over it
+   * The proxy gets the configured timeout to answer CONNECT, after which the
+   * request is destroyed and fails with ETIMEDOUT so it can be retried
+   * @param {Object} options - Connection options from the request
+   * @param {Function} callback - Called with the TLS socket or an error
+   * @returns {void}
+   */
+  createConnection(options, callback) {
+    const { proxy } = this;
+    const target = `${options.host}:${options.port}`;
+    const headers = { host: target };
+
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || DEFAULT_PORTS[proxy.protocol],
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error(`no answer to CONNECT ${target} within ${settings.timeout} ms`), { code: 'ETIMEDOUT' }));
+    }, settings.timeout);
+
+    request.once('connect', (response, socket) => {
+      clearTimeout(timer);
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(createError(
+          `Proxy ${proxy.host} refused to connect to ${target}: HTTP ${response.statusCode}`,
+          ErrorTypes.NETWORK,
+          { statusCode: response.statusCode }
+        ));
+        return;
+      }
+
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    request.once('error', (error) => {
+      clearTimeout(timer);
+      callback(createError(`Cannot connect to proxy ${proxy.host}: ${error.message}`, ErrorTypes.NETWORK, { code: error.code }));
+    });
+    request.end();
+  }
+}
+
+/**
+ * Read a PEM file with CA certificates
+ * @param {string} filePath - Certificate file
+ * @param {string} source - Where the path came from, for error messages
+ * @returns {string} File content
+ * @throws {Error} CONFIGURATION error if the file cannot be read or holds no certificate
+ */
+function readCertificates(filePath, source) {
+  let content;
+
+  try {
+    content = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw createError(`Cannot read CA file from ${source}: ${filePath} (${error.code || error.message})`, ErrorTypes.CONFIGURATION, {
+      path: filePath,
+      suggestion: 'Point it at a PEM file containing your organization\'s root certificate'
+    });
+  }
+
+  if (!content.includes('-----BEGIN CERTIFICATE-----')) {
+    throw createError(`No PEM certificate found in ${filePath}`, ErrorTypes.CONFIGURATION, {
+      path: filePath,
+      suggestion: 'Export the certificate in PEM (Base-64) format'
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Configure timeouts, retries, certificates and TLS verification for all requests
+ * @param {Object} [options={}] - HTTP options
+ * @param {number|string} [options.timeout] - Request timeout in milliseconds
+ * @param {number|string} [options.maxRetries] - Retries of failed downloads
+ * @param {string} [options.caFile] - PEM file with extra CA certificates to trust
+ * @param {boolean} [options.skipTls=false] - Do not verify TLS certificates
+ * @param {Object} [options.env=process.env] - Environment, for NODE_EXTRA_CA_CERTS
+ * @returns {void}
+ * @throws {Error} INVALID_INPUT error for bad timeouts or retry counts, CONFIGURATION error for unreadable CA files
+ */
+export function configureHttp(options = {}) {
+  const { caFile, skipTls = false, env = process.env } = options;
+  const timeout = options.timeout === undefined ? DEFAULTS.downloadTimeout : Number(options.timeout);
+  const maxRetries = options.maxRetries === undefined ? DEFAULTS.retryCount : Number(options.maxRetries);
+
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw createError(`Invalid timeout: ${options.timeout}`, ErrorTypes.INVALID_INPUT, {
+      suggestion: 'Give the timeout in milliseconds, e.g. --timeout 120000'
+    });
+  }
+
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw createError(`Invalid retry count: ${options.maxRetries}`, ErrorTypes.INVALID_INPUT, {
+      suggestion: 'Give a number of retries, e.g. --max-retries 5, or 0 to disable them'
+    });
+  }
+
+  // A custom ca replaces Node's trust store, so keep the bundled roots and
+  // NODE_EXTRA_CA_CERTS, which Node otherwise adds on its own
+  let ca = null;
+  if (caFile) {
+    ca = [...tls.rootCertificates];
+    if (env.NODE_EXTRA_CA_CERTS) {
+      ca.push(readCertificates(env.NODE_EXTRA_CA_CERTS, 'NODE_EXTRA_CA_CERTS'));
+    }
+    ca.push(readCertificates(caFile, '--ca-file'));
+  }
+
+  if (skipTls) {
+    log.warn('TLS certificate verification is disabled (--skip-tls), downloads are not protected against tampering');
+  }
+
+  settings = { timeout, maxRetries, ca, skipTls };
+  agents = new Map();
+}
+
+/**
+ * Check whether a host is excluded from proxying by NO_PROXY
+ * Entries are host names, domain suffixes (with or without a leading dot),
+ * optionally with a port, or * for every host
+ * @param {URL} url - Request URL
+ * @param {string} [noProxy=''] - NO_PROXY value
+ * @returns {boolean} True if the request must not use the proxy
+ */
+function isNoProxy(url, noProxy = '') {
+  const host = url.hostname.toLowerCase();
+  const port = url.port || String(DEFAULT_PORTS[url.protocol]);
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') {
+      return true;
+    }
+
+    const [name, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+
+    const domain = name.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Get the proxy for a URL from HTTPS_PROXY, HTTP_PROXY, ALL_PROXY and NO_PROXY
+ * Lowercase variables are accepted as well
+ * @param {string} url - Request URL
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string|null} Proxy URL, or null for a direct connection
+ */
+export function getProxyForUrl(url, env = process.env) {
+  const target = new URL(url);
+  const read = (name) => env[name] || env[name.toLowerCase()] || '';
+
+  if (isNoProxy(target, read('NO_PROXY'))) {
+    return null;
+  }
+
+  const proxy = target.protocol === 'https:'
+    ? read('HTTPS_PROXY') || read('HTTP_PROXY') || read('ALL_PROXY')
+    : read('HTTP_PROXY') || read('ALL_PROXY');
+  if (!proxy) {
+    return null;
+  }
+
+  // Proxies are often given without a scheme, e.g. proxy.example.com:3128
+  return /^[a-z][a-z\d+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`;
+}
+
+/**
+ * Get the agent for HTTPS requests through a proxy, or direct
+ * @param {string|null} proxy - Proxy URL
+ * @returns {https.Agent} Shared agent with the configured certificates
+ */
+function getHttpsAgent(proxy) {
+  const key = proxy || '';
+
+  if (!agents.has(key)) {
+    const options = { rejectUnauthorized: !settings.skipTls };
+    if (settings.ca) {
+      options.ca = settings.ca;
+    }
+    agents.set(key, proxy ? new TunnelAgent(proxy, options) : new https.Agent(options));
+  }
+
+  return agents.get(key);
+}
+
+/**
+ * Get the axios options for a request: timeout, proxy and TLS settings
+ * HTTPS requests go through our own agent, which tunnels through the proxy
+ * with CONNECT, and axios' own proxy handling is turned off for them
+ * @param {string} url - Request URL
+ * @param {Object} [options={}] - Request options
+ * @param {number} [options.timeout] - Timeout overriding the configured one
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Object} Options to spread into an axios request config
+ */
+export function getRequestOptions(url, options = {}) {
+  const { env = process.env } = options;
+  const timeout = options.timeout || settings.timeout;
+
+  if (new URL(url).protocol !== 'https:') {
+    // axios forwards plain HTTP requests to HTTP_PROXY on its own
+    return { timeout };
+  }
+
+  return {
+    timeout,
+    proxy: false,
+    httpsAgent: getHttpsAgent(getProxyForUrl(url, env))
+  };
+}
+
+/**
+ * Get the number of times a failed download is retried
+ * @returns {number} Configured retry count
+ */
+export function getRetryCount() {
+  return settings.maxRetries;
+}
+
+/**
+ * Check whether a request failed for a reason that may go away on retry
+ * Server errors, rate limiting and dropped connections are retried, other
+ * HTTP errors such as 404 are not
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request is worth retrying
+ */
+export function isTransientError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  return TRANSIENT_CODES.includes(error.code);
+}
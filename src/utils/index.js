@@ -7,6 +7,8 @@ export {
   checkGit,
   checkClaudeCLI,
   checkTool,
+  checkAssistantTool,
+  detectAssistants,
   checkAllTools,
   printToolStatus
 } from './tools.js';
@@ -18,7 +20,13 @@ export {
   createInitialCommit,
   getRepositoryStatus,
   setupGitRepository,
-  printRepositoryStatus
+  printRepositoryStatus,
+  getOriginalFileContent,
+  mergeFileContents,
+  getRepositoryRoot,
+  createBranch,
+  listBranches,
+  cloneRepository
 } from './git.js';
 
 // File operations utilities
@@ -34,12 +42,54 @@ export {
   isBinaryFile,
   setFilePermissions,
   makeExecutable,
-  getFileInfo
+  getFileInfo,
+  hashContent,
+  formatSize,
+  hashFile
 } from './files.js';
 
 // Logger utility
 export { logger } from './logger.js';
 
+// Diagnostics environment utilities
+export {
+  REDACTED,
+  isSecretName,
+  maskUrlCredentials,
+  redactValue,
+  getDiagnosticEnvironment
+} from './environment.js';
+
+// JSON output utilities
+export {
+  isJsonOutput,
+  enableJsonOutput,
+  disableJsonOutput,
+  printJson
+} from './output.js';
+
+// HTTP settings for downloads
+export {
+  configureHttp,
+  getProxyForUrl,
+  getRequestOptions,
+  getRetryCount,
+  isTransientError
+} from './http.js';
+
+// Configuration utilities
+export {
+  loadConfig,
+  findProjectConfig,
+  getUserConfigPath
+} from './config.js';
+
+// Download utilities
+export {
+  downloadFile,
+  getRetryOptions
+} from './download.js';
+
 // Error handling utilities
 export {
   ErrorTypes,
@@ -48,6 +98,7 @@ export {
   formatErrorMessage,
   handleError,
   createError,
+  serializeError,
   withErrorHandling,
   ErrorMessages,
   retryWithBackoff
@@ -64,9 +115,41 @@ export {
   copyTemplateDirectory,
   getScriptCommand,
   createScriptWrapper,
-  validateTemplateStructure
+  validateTemplateStructure,
+  getTemplateVersion,
+  getBundledTemplates,
+  probeTemplate,
+  loadPartials,
+  generateAgentCommands,
+  PARTIALS_DIR,
+  COMMAND_TEMPLATES_DIR
 } from './templates.js';
 
+// AI assistant utilities
+export {
+  CommandFormats,
+  getAssistantIds,
+  getAssistant,
+  parseAssistantList,
+  getCommandExtension,
+  getCommandPath,
+  getArgumentsPlaceholder,
+  formatCommand
+} from './assistants.js';
+
+// Template source utilities
+export {
+  TemplateSourceTypes,
+  parseTemplateSource,
+  fetchTemplateSource,
+  findTemplateRoot,
+  installTemplate,
+  planTemplateInstall
+} from './sources.js';
+
+// Template rendering engine
+export { renderTemplate } from './render.js';
+
 // Cache utilities
 export {
   hasValidCache,
@@ -74,5 +157,46 @@ export {
   cacheTemplate,
   clearCache,
   getCacheStats,
-  pruneCache
-} from './cache.js';
\ No newline at end of file
+  pruneCache,
+  getCacheDir,
+  listCacheEntries,
+  findCachedTemplate,
+  getCacheValidators,
+  markRevalidated,
+  enforceCacheSize,
+  configureCache,
+  getCacheSettings,
+  parseDuration
+} from './cache.js';
+// Install manifest utilities
+export {
+  MANIFEST_VERSION,
+  getManifestPath,
+  toManifestKey,
+  createManifest,
+  updateManifest,
+  readManifest,
+  writeManifest,
+  getBasePath,
+  readBaseContent,
+  storeBaseContent,
+  detectInstalledVariant
+} from './manifest.js';
+
+// Feature specification utilities
+export {
+  getNextFeatureNumber,
+  createFeatureBranchName,
+  countTasks,
+  getFeatureStatus,
+  listFeatures
+} from './features.js';
+
+// Spec linting utilities
+export {
+  LintRules,
+  extractHeadings,
+  getRequiredSections,
+  getTemplatePlaceholders,
+  lintSpec
+} from './lint.js';
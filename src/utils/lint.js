@@ -0,0 +1,204 @@
+/**
+ * Spec linting utilities
+ * Validates feature specs against the structure of the spec template
+ */
+
+import { parseFrontmatter } from './templates.js';
+
+/**
+ * Lint rule identifiers
+ */
+export const LintRules = {
+  MISSING_SECTION: 'missing-section',
+  PLACEHOLDER: 'placeholder',
+  NEEDS_CLARIFICATION: 'needs-clarification'
+};
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const ANNOTATION_PATTERN = /\*\(([^)]*)\)\*/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const BRACKET_PATTERN = /\[([^\]\n]+)\](?!\()/g;
+const CLARIFICATION_PATTERN = /\[NEEDS CLARIFICATION:[^\]]*\]/g;
+
+/**
+ * Normalize a heading title for comparison
+ * @param {string} text - Heading text
+ * @returns {string} Title without annotation, lowercased
+ */
+function normalizeHeading(text) {
+  return text.replace(ANNOTATION_PATTERN, '').trim().toLowerCase();
+}
+
+/**
+ * Split markdown into lines, flagging lines inside fenced code blocks
+ * @param {string} content - Markdown content
+ * @returns {Array<{text: string, line: number, fenced: boolean}>} Lines with 1-based numbers
+ */
+function splitLines(content) {
+  let fenced = false;
+
+  return content.split(/\r?\n/).map((text, index) => {
+    const isFence = FENCE_PATTERN.test(text);
+    const result = { text, line: index + 1, fenced: fenced || isFence };
+    if (isFence) {
+      fenced = !fenced;
+    }
+    return result;
+  });
+}
+
+/**
+ * Extract markdown headings outside code blocks
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} Headings with level, title, annotation and line
+ */
+export function extractHeadings(content) {
+  const headings = [];
+
+  for (const { text, line, fenced } of splitLines(content)) {
+    const match = !fenced && text.match(HEADING_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const annotation = match[2].match(ANNOTATION_PATTERN);
+    headings.push({
+      level: match[1].length,
+      text: match[2].replace(ANNOTATION_PATTERN, '').trim(),
+      annotation: annotation ? annotation[1].trim() : null,
+      line
+    });
+  }
+
+  return headings;
+}
+
+/**
+ * Get the sections a spec must contain
+ * Sections marked *(mandatory)* are required, along with their
+ * subsections unless those carry their own annotation
+ * @param {string} templateContent - Spec template content
+ * @returns {Array<{level: number, text: string}>} Required headings
+ */
+export function getRequiredSections(templateContent) {
+  const required = [];
+  let mandatoryLevel = null;
+
+  for (const heading of extractHeadings(templateContent)) {
+    if (mandatoryLevel !== null && heading.level <= mandatoryLevel) {
+      mandatoryLevel = null;
+    }
+
+    if (heading.annotation === 'mandatory') {
+      mandatoryLevel = heading.level;
+      required.push({ level: heading.level, text: heading.text });
+    } else if (mandatoryLevel !== null && !heading.annotation) {
+      required.push({ level: heading.level, text: heading.text });
+    }
+  }
+
+  return required;
+}
+
+/**
+ * Get the placeholder tokens used by the template, e.g. [FEATURE NAME]
+ * @param {string} templateContent - Spec template content
+ * @returns {string[]} Placeholder tokens including brackets
+ */
+export function getTemplatePlaceholders(templateContent) {
+  const placeholders = new Set();
+
+  for (const { text, fenced } of splitLines(templateContent)) {
+    if (fenced) {
+      continue;
+    }
+    for (const match of text.matchAll(BRACKET_PATTERN)) {
+      const inner = match[1].trim();
+      // Skip checkboxes and clarification markers, which have their own rule
+      if (inner === '' || inner.toLowerCase() === 'x' || inner.startsWith('NEEDS CLARIFICATION')) {
+        continue;
+      }
+      placeholders.add(match[0]);
+    }
+  }
+
+  return [...placeholders];
+}
+
+/**
+ * Get the guidance lines of the template: lines of top-level sections without
+ * an annotation such as *(mandatory)*, which explain how to write the spec
+ * rather than being part of it
+ * @param {string} templateContent - Spec template content
+ * @returns {Set<string>} Trimmed guidance lines
+ */
+function getGuidanceLines(templateContent) {
+  const sections = extractHeadings(templateContent).filter((heading) => heading.level <= 2);
+  const guidance = new Set();
+
+  for (const { text, line } of splitLines(templateContent)) {
+    const section = sections.findLast((heading) => heading.line <= line);
+    if (section && !section.annotation) {
+      guidance.add(text.trim());
+    }
+  }
+
+  return guidance;
+}
+
+/**
+ * Lint a spec against its template
+ * @param {string} content - Spec content
+ * @param {string} templateContent - Spec template content
+ * @param {string} [file=''] - File name reported in diagnostics
+ * @returns {Array<Object>} Diagnostics with file, line, column, rule, severity and message
+ */
+export function lintSpec(content, templateContent, file = '') {
+  const diagnostics = [];
+  const { frontmatter, body } = parseFrontmatter(content);
+  const disabled = new Set(frontmatter?.lint?.disable || []);
+
+  // Diagnostics refer to lines of the full file, not just the body
+  const offset = content.split(/\r?\n/).length - body.split(/\r?\n/).length;
+
+  const report = (rule, line, column, message) => {
+    if (!disabled.has(rule)) {
+      diagnostics.push({ file, line: line + offset, column, severity: 'error', rule, message });
+    }
+  };
+
+  const headings = new Set(extractHeadings(body).map((heading) => normalizeHeading(heading.text)));
+  for (const section of getRequiredSections(templateContent)) {
+    if (!headings.has(normalizeHeading(section.text))) {
+      report(LintRules.MISSING_SECTION, 1, 1, `Missing required section "${'#'.repeat(section.level)} ${section.text}"`);
+    }
+  }
+
+  const placeholders = getTemplatePlaceholders(templateContent);
+  const guidanceLines = getGuidanceLines(templateContent);
+
+  for (const { text, line, fenced } of splitLines(body)) {
+    if (fenced) {
+      continue;
+    }
+
+    for (const placeholder of placeholders) {
+      const column = text.indexOf(placeholder);
+      if (column !== -1) {
+        report(LintRules.PLACEHOLDER, line, column + 1, `Template placeholder ${placeholder} was not filled in`);
+      }
+    }
+
+    // Guidance copied verbatim from the template mentions markers without being
+    // one; markers kept from its example requirements are still unresolved
+    if (guidanceLines.has(text.trim())) {
+      continue;
+    }
+
+    for (const match of text.matchAll(CLARIFICATION_PATTERN)) {
+      report(LintRules.NEEDS_CLARIFICATION, line, match.index + 1, `Unresolved clarification: ${match[0]}`);
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
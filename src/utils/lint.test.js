@@ -0,0 +1,171 @@
+import {
+  LintRules,
+  extractHeadings,
+  getRequiredSections,
+  getTemplatePlaceholders,
+  lintSpec
+} from './lint.js';
+
+const template = [
+  '# Feature Specification: [FEATURE NAME]',
+  '',
+  '**Created**: [DATE]',
+  '',
+  '## Quick Guidelines',
+  '1. **Mark all ambiguities**: Use [NEEDS CLARIFICATION: specific question] for any assumption',
+  '',
+  '```',
+  '## Not A Heading',
+  'Mark with [NEEDS CLARIFICATION: specific question]',
+  '```',
+  '',
+  '## User Scenarios & Testing *(mandatory)*',
+  '',
+  '### Primary User Story',
+  '[Describe the main user journey]',
+  '',
+  '## Requirements *(mandatory)*',
+  '',
+  '### Functional Requirements',
+  '- **FR-001**: System MUST [specific capability]',
+  '- **FR-002**: System MUST authenticate users via [NEEDS CLARIFICATION: auth method not specified]',
+  '',
+  '### Key Entities *(include if feature involves data)*',
+  '',
+  '## Review Checklist',
+  '- [ ] No [NEEDS CLARIFICATION] markers remain'
+].join('\n');
+
+const completeSpec = [
+  '# Feature Specification: User Login',
+  '',
+  '**Created**: 2025-01-01',
+  '',
+  '## User Scenarios & Testing',
+  '',
+  '### Primary User Story',
+  'A user signs in with their email address.',
+  '',
+  '## Requirements',
+  '',
+  '### Functional Requirements',
+  '- **FR-001**: System MUST allow users to sign in',
+  '',
+  '## Review Checklist',
+  '- [x] No [NEEDS CLARIFICATION] markers remain'
+].join('\n');
+
+describe('lint', () => {
+  describe('extractHeadings', () => {
+    it('should parse levels and annotations and skip code blocks', () => {
+      const headings = extractHeadings(template);
+
+      expect(headings[0]).toEqual({ level: 1, text: 'Feature Specification: [FEATURE NAME]', annotation: null, line: 1 });
+      expect(headings).toContainEqual({ level: 2, text: 'Requirements', annotation: 'mandatory', line: 18 });
+      expect(headings.map((h) => h.text)).not.toContain('Not A Heading');
+    });
+  });
+
+  describe('getRequiredSections', () => {
+    it('should return mandatory sections and their unannotated subsections', () => {
+      expect(getRequiredSections(template)).toEqual([
+        { level: 2, text: 'User Scenarios & Testing' },
+        { level: 3, text: 'Primary User Story' },
+        { level: 2, text: 'Requirements' },
+        { level: 3, text: 'Functional Requirements' }
+      ]);
+    });
+  });
+
+  describe('getTemplatePlaceholders', () => {
+    it('should collect bracketed placeholders but not checkboxes or markers', () => {
+      expect(getTemplatePlaceholders(template)).toEqual([
+        '[FEATURE NAME]',
+        '[DATE]',
+        '[Describe the main user journey]',
+        '[specific capability]'
+      ]);
+    });
+  });
+
+  describe('lintSpec', () => {
+    it('should pass a completed spec', () => {
+      expect(lintSpec(completeSpec, template, 'spec.md')).toEqual([]);
+    });
+
+    it('should report missing required sections', () => {
+      const spec = completeSpec.replace('### Functional Requirements\n', '');
+
+      expect(lintSpec(spec, template, 'spec.md')).toEqual([
+        expect.objectContaining({
+          file: 'spec.md',
+          line: 1,
+          rule: LintRules.MISSING_SECTION,
+          message: 'Missing required section "### Functional Requirements"'
+        })
+      ]);
+    });
+
+    it('should report leftover placeholders with their position', () => {
+      const spec = completeSpec.replace('2025-01-01', '[DATE]');
+
+      expect(lintSpec(spec, template, 'spec.md')).toEqual([
+        {
+          file: 'spec.md',
+          line: 3,
+          column: 14,
+          severity: 'error',
+          rule: LintRules.PLACEHOLDER,
+          message: 'Template placeholder [DATE] was not filled in'
+        }
+      ]);
+    });
+
+    it('should report unresolved clarification markers', () => {
+      const spec = completeSpec.replace(
+        'allow users to sign in',
+        'lock accounts after [NEEDS CLARIFICATION: how many attempts?]'
+      );
+
+      const diagnostics = lintSpec(spec, template, 'spec.md');
+
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0]).toMatchObject({
+        line: 13,
+        rule: LintRules.NEEDS_CLARIFICATION,
+        message: 'Unresolved clarification: [NEEDS CLARIFICATION: how many attempts?]'
+      });
+    });
+
+    it('should report markers copied verbatim from the example requirements, but not from guidance', () => {
+      const spec = completeSpec
+        .replace('## Requirements', '## Quick Guidelines\n1. **Mark all ambiguities**: Use [NEEDS CLARIFICATION: specific question] for any assumption\n\n## Requirements')
+        .replace('- **FR-001**: System MUST allow users to sign in', '- **FR-002**: System MUST authenticate users via [NEEDS CLARIFICATION: auth method not specified]');
+
+      const diagnostics = lintSpec(spec, template, 'spec.md');
+
+      expect(diagnostics).toEqual([
+        expect.objectContaining({
+          line: 16,
+          rule: LintRules.NEEDS_CLARIFICATION,
+          message: 'Unresolved clarification: [NEEDS CLARIFICATION: auth method not specified]'
+        })
+      ]);
+    });
+
+    it('should ignore markers inside code blocks', () => {
+      const spec = `${completeSpec}\n\n\`\`\`\n[NEEDS CLARIFICATION: example] [DATE]\n\`\`\``;
+
+      expect(lintSpec(spec, template)).toEqual([]);
+    });
+
+    it('should report lines of the full file and honor disabled rules from frontmatter', () => {
+      const body = completeSpec.replace('2025-01-01', '[DATE]').replace('### Primary User Story\n', '');
+      const spec = `---\nlint:\n  disable:\n    - missing-section\n---\n${body}`;
+
+      expect(lintSpec(spec, template)).toEqual([
+        expect.objectContaining({ line: 8, rule: LintRules.PLACEHOLDER })
+      ]);
+    });
+  });
+});
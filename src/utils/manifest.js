@@ -0,0 +1,253 @@
+import { readFile, writeFile, readdir, unlink } from 'fs/promises';
+import { join, dirname } from 'path';
+import { PATHS } from '../constants.js';
+import { ensureDirectory, hashFile, hashContent, fileExists } from './files.js';
+import { logger } from './logger.js';
+
+/**
+ * Install manifest recording every file nspecify wrote into a project
+ * Next to it, .specify/base keeps the template content of each recorded file,
+ * named by its hash, as the base of three-way merges on upgrade
+ */
+
+/**
+ * Current manifest format version
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Get manifest file path for a project
+ * @param {string} projectDir - Project directory
+ * @returns {string} Manifest file path
+ */
+export function getManifestPath(projectDir) {
+  return join(projectDir, PATHS.manifestFile);
+}
+
+/**
+ * Convert a relative path to the forward-slash form stored in the manifest
+ * @param {string} filePath - Relative file path
+ * @returns {string} Manifest key
+ */
+export function toManifestKey(filePath) {
+  return filePath.split('\\').join('/');
+}
+
+/**
+ * Hash installed files
+ * @param {string} projectDir - Project directory
+ * @param {string[]} files - File paths relative to the project directory
+ * @returns {Promise<Object>} Map of manifest key to file entry
+ */
+async function hashFiles(projectDir, files) {
+  const entries = {};
+
+  for (const file of files) {
+    const key = toManifestKey(file);
+    if (key === PATHS.manifestFile) {
+      continue;
+    }
+    entries[key] = { sha256: await hashFile(join(projectDir, file)) };
+  }
+
+  return entries;
+}
+
+/**
+ * Sort manifest file entries by path for stable output
+ * @param {Object} files - Map of manifest key to file entry
+ * @returns {Object} Sorted map
+ */
+function sortEntries(files) {
+  return Object.fromEntries(
+    Object.entries(files).sort(([a], [b]) => a.localeCompare(b))
+  );
+}
+
+/**
+ * Create a manifest for freshly installed files
+ * @param {string} projectDir - Project directory
+ * @param {string[]} files - Installed file paths relative to the project directory
+ * @param {Object} [details={}] - Installation details
+ * @param {string|null} [details.templateVersion=null] - Template version
+ * @param {string|null} [details.templateSource=null] - Custom template source, null for the release templates
+ * @param {string} [details.scriptType] - Script type (sh or ps)
+ * @param {string} [details.aiTool] - Primary AI assistant tool, whose release package was installed
+ * @param {string[]} [details.aiTools=[aiTool]] - All AI assistants with commands in the project
+ * @returns {Promise<Object>} Manifest object
+ */
+export async function createManifest(projectDir, files, details = {}) {
+  const {
+    templateVersion = null,
+    templateSource = null,
+    scriptType,
+    aiTool,
+    aiTools = aiTool ? [aiTool] : []
+  } = details;
+
+  const now = new Date().toISOString();
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    templateVersion,
+    templateSource,
+    scriptType,
+    aiTool,
+    aiTools,
+    createdAt: now,
+    updatedAt: now,
+    files: sortEntries(await hashFiles(projectDir, files))
+  };
+}
+
+/**
+ * Record new hashes for files in an existing manifest
+ * @param {string} projectDir - Project directory
+ * @param {Object} manifest - Manifest object
+ * @param {string[]} files - Updated file paths relative to the project directory
+ * @param {Object} [details={}] - Fields to update, e.g. templateVersion
+ * @returns {Promise<Object>} Updated manifest object
+ */
+export async function updateManifest(projectDir, manifest, files, details = {}) {
+  return {
+    ...manifest,
+    ...details,
+    updatedAt: new Date().toISOString(),
+    files: sortEntries({
+      ...manifest.files,
+      ...await hashFiles(projectDir, files)
+    })
+  };
+}
+
+/**
+ * Get the path of the stored template content with a given hash
+ * @param {string} projectDir - Project directory
+ * @param {string} sha256 - Hash recorded in the manifest
+ * @returns {string} File path below .specify/base
+ */
+export function getBasePath(projectDir, sha256) {
+  return join(projectDir, PATHS.baseDir, sha256);
+}
+
+/**
+ * Read the template content a file was installed from
+ * @param {string} projectDir - Project directory
+ * @param {string} sha256 - Hash recorded in the manifest
+ * @returns {Promise<string|null>} Content, null if no copy is stored
+ */
+export async function readBaseContent(projectDir, sha256) {
+  try {
+    return await readFile(getBasePath(projectDir, sha256), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store template content that differs from the file installed with it,
+ * such as the template side of a merge
+ * @param {string} projectDir - Project directory
+ * @param {string} content - Template content
+ * @returns {Promise<string>} Hash to record in the manifest
+ */
+export async function storeBaseContent(projectDir, content) {
+  const sha256 = hashContent(content);
+  ensureDirectory(join(projectDir, PATHS.baseDir));
+  await writeFile(getBasePath(projectDir, sha256), content, 'utf8');
+  return sha256;
+}
+
+/**
+ * Keep a copy of the template content of every file in the manifest, and
+ * only of those
+ * Files that still match their recorded hash are copied when no copy exists
+ * yet; files edited since then cannot provide one
+ * @param {string} projectDir - Project directory
+ * @param {Object} manifest - Manifest object
+ * @returns {Promise<void>}
+ */
+async function syncBaseContents(projectDir, manifest) {
+  const baseDir = join(projectDir, PATHS.baseDir);
+  const recorded = new Set();
+
+  for (const [key, entry] of Object.entries(manifest.files)) {
+    recorded.add(entry.sha256);
+    if (await fileExists(getBasePath(projectDir, entry.sha256))) {
+      continue;
+    }
+
+    const content = await readFile(join(projectDir, key)).catch(() => null);
+    if (content && hashContent(content) === entry.sha256) {
+      ensureDirectory(baseDir);
+      await writeFile(getBasePath(projectDir, entry.sha256), content);
+    }
+  }
+
+  const stored = await readdir(baseDir).catch(() => []);
+  for (const name of stored.filter((file) => !recorded.has(file))) {
+    await unlink(join(baseDir, name)).catch(() => {});
+  }
+}
+
+/**
+ * Read the manifest of a project
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object|null>} Manifest object or null if missing or unreadable
+ */
+export async function readManifest(projectDir) {
+  const manifestPath = getManifestPath(projectDir);
+
+  try {
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+    if (!manifest || typeof manifest.files !== 'object') {
+      logger.warn(`Ignoring invalid manifest: ${manifestPath}`);
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not read manifest ${manifestPath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write the manifest of a project, and the template content of its files
+ * @param {string} projectDir - Project directory
+ * @param {Object} manifest - Manifest object
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(projectDir, manifest) {
+  const manifestPath = getManifestPath(projectDir);
+  ensureDirectory(dirname(manifestPath));
+  await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  await syncBaseContents(projectDir, manifest);
+  logger.debug(`Wrote manifest: ${manifestPath}`);
+}
+
+/**
+ * Detect script type and AI assistants of an initialized project
+ * Projects without a manifest are assumed to use Claude Code
+ * @param {string} projectDir - Project directory
+ * @param {Object|null} manifest - Install manifest, if any
+ * @returns {Promise<{scriptType: string, aiTool: string, aiTools: string[]}>} Installed variant
+ */
+export async function detectInstalledVariant(projectDir, manifest) {
+  const aiTool = manifest?.aiTool || 'claude-code';
+  const aiTools = manifest?.aiTools?.length ? manifest.aiTools : [aiTool];
+
+  if (manifest?.scriptType) {
+    return { scriptType: manifest.scriptType, aiTool, aiTools };
+  }
+
+  const hasPs = await fileExists(join(projectDir, '.specify', 'scripts', 'ps'));
+  const hasSh = await fileExists(join(projectDir, '.specify', 'scripts', 'sh'));
+
+  return {
+    scriptType: hasPs && !hasSh ? 'ps' : 'sh',
+    aiTool,
+    aiTools
+  };
+}
@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+jest.unstable_mockModule('./logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    success: jest.fn()
+  }
+}));
+
+const {
+  createManifest,
+  updateManifest,
+  readManifest,
+  writeManifest,
+  readBaseContent,
+  getManifestPath,
+  toManifestKey,
+  detectInstalledVariant
+} = await import('./manifest.js');
+const { hashContent } = await import('./files.js');
+const { logger } = await import('./logger.js');
+
+describe('manifest', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-manifest-test-'));
+    await fs.mkdir(path.join(projectDir, '.specify', 'memory'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.specify', 'memory', 'constitution.md'), 'rules');
+    await fs.writeFile(path.join(projectDir, 'CLAUDE.md'), 'context');
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  describe('toManifestKey', () => {
+    it('should use forward slashes', () => {
+      expect(toManifestKey('.specify\\memory\\constitution.md')).toBe('.specify/memory/constitution.md');
+    });
+  });
+
+  describe('createManifest', () => {
+    it('should hash every installed file', async () => {
+      const manifest = await createManifest(
+        projectDir,
+        ['CLAUDE.md', '.specify/memory/constitution.md'],
+        { templateVersion: '1.0.3', scriptType: 'sh', aiTool: 'claude-code' }
+      );
+
+      expect(manifest).toMatchObject({
+        manifestVersion: 1,
+        templateVersion: '1.0.3',
+        scriptType: 'sh',
+        aiTool: 'claude-code',
+        aiTools: ['claude-code']
+      });
+      expect(manifest.files).toEqual({
+        '.specify/memory/constitution.md': { sha256: hashContent('rules') },
+        'CLAUDE.md': { sha256: hashContent('context') }
+      });
+    });
+
+    it('should not list the manifest itself', async () => {
+      await fs.writeFile(path.join(projectDir, '.specify', 'manifest.json'), '{}');
+
+      const manifest = await createManifest(projectDir, ['.specify/manifest.json', 'CLAUDE.md']);
+
+      expect(Object.keys(manifest.files)).toEqual(['CLAUDE.md']);
+    });
+  });
+
+  describe('updateManifest', () => {
+    it('should rehash updated files and keep the others', async () => {
+      const manifest = await createManifest(projectDir, ['CLAUDE.md', '.specify/memory/constitution.md']);
+      await fs.writeFile(path.join(projectDir, 'CLAUDE.md'), 'new context');
+
+      const updated = await updateManifest(projectDir, manifest, ['CLAUDE.md'], { templateVersion: '1.1.0' });
+
+      expect(updated.templateVersion).toBe('1.1.0');
+      expect(updated.createdAt).toBe(manifest.createdAt);
+      expect(updated.files['CLAUDE.md'].sha256).toBe(hashContent('new context'));
+      expect(updated.files['.specify/memory/constitution.md']).toEqual(manifest.files['.specify/memory/constitution.md']);
+    });
+  });
+
+  describe('readManifest / writeManifest', () => {
+    it('should round-trip a manifest', async () => {
+      const manifest = await createManifest(projectDir, ['CLAUDE.md']);
+
+      await writeManifest(projectDir, manifest);
+
+      expect(await readManifest(projectDir)).toEqual(manifest);
+      expect(getManifestPath(projectDir)).toBe(path.join(projectDir, '.specify', 'manifest.json'));
+    });
+
+    it('should keep the template content of recorded files and drop what is no longer recorded', async () => {
+      const manifest = await createManifest(projectDir, ['CLAUDE.md', '.specify/memory/constitution.md']);
+      await writeManifest(projectDir, manifest);
+
+      expect(await readBaseContent(projectDir, hashContent('context'))).toBe('context');
+      expect(await readBaseContent(projectDir, hashContent('rules'))).toBe('rules');
+
+      // An edited file cannot provide the content it was installed with
+      await fs.writeFile(path.join(projectDir, 'CLAUDE.md'), 'our context');
+      await writeManifest(projectDir, {
+        ...manifest,
+        files: { 'CLAUDE.md': { sha256: hashContent('new context') } }
+      });
+
+      expect(await readBaseContent(projectDir, hashContent('new context'))).toBeNull();
+      expect(await readBaseContent(projectDir, hashContent('context'))).toBeNull();
+      expect(await readBaseContent(projectDir, hashContent('rules'))).toBeNull();
+    });
+
+    it('should return null when no manifest exists', async () => {
+      expect(await readManifest(projectDir)).toBeNull();
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should warn and return null for an invalid manifest', async () => {
+      await fs.writeFile(getManifestPath(projectDir), 'not json');
+
+      expect(await readManifest(projectDir)).toBeNull();
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('detectInstalledVariant', () => {
+    it('should read the script type and assistants from the manifest', async () => {
+      const manifest = { scriptType: 'ps', aiTool: 'cursor', aiTools: ['cursor', 'claude-code'], files: {} };
+
+      expect(await detectInstalledVariant(projectDir, manifest)).toEqual({
+        scriptType: 'ps',
+        aiTool: 'cursor',
+        aiTools: ['cursor', 'claude-code']
+      });
+    });
+
+    it('should fall back to the installed scripts and Claude Code', async () => {
+      await fs.mkdir(path.join(projectDir, '.specify', 'scripts', 'ps'), { recursive: true });
+
+      expect(await detectInstalledVariant(projectDir, null)).toEqual({
+        scriptType: 'ps',
+        aiTool: 'claude-code',
+        aiTools: ['claude-code']
+      });
+    });
+  });
+});
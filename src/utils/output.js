@@ -0,0 +1,64 @@
+/**
+ * Machine-readable output
+ * With the global --json flag stdout carries a single JSON document, and
+ * everything written for humans (logs, tables, spinners, progress) goes to
+ * stderr instead
+ */
+
+/**
+ * Original stdout writer, set while JSON output is enabled
+ * @type {Function|null}
+ */
+let stdoutWrite = null;
+
+/**
+ * Check whether JSON output is enabled
+ * @returns {boolean} True after enableJsonOutput
+ */
+export function isJsonOutput() {
+  return stdoutWrite !== null;
+}
+
+/**
+ * Send human output to stderr so stdout only carries the JSON document
+ * @returns {void}
+ */
+export function enableJsonOutput() {
+  if (stdoutWrite) {
+    return;
+  }
+
+  stdoutWrite = process.stdout.write;
+  process.stdout.write = (...args) => process.stderr.write(...args);
+}
+
+/**
+ * Restore stdout after enableJsonOutput
+ * @returns {void}
+ */
+export function disableJsonOutput() {
+  if (!stdoutWrite) {
+    return;
+  }
+
+  process.stdout.write = stdoutWrite;
+  stdoutWrite = null;
+}
+
+/**
+ * Print a JSON document on stdout
+ * @param {*} data - Document to print
+ * @param {Object} [options={}] - Print options
+ * @param {boolean} [options.compact=false] - Print on a single line
+ * @returns {void}
+ */
+export function printJson(data, options = {}) {
+  const { compact = false } = options;
+  const text = compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+
+  if (stdoutWrite) {
+    stdoutWrite.call(process.stdout, `${text}\n`);
+  } else {
+    console.log(text);
+  }
+}
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import { isJsonOutput, enableJsonOutput, disableJsonOutput, printJson } from './output.js';
+
+describe('output', () => {
+  let stdoutWrite;
+  let stderrWrite;
+
+  beforeEach(() => {
+    stdoutWrite = process.stdout.write;
+    stderrWrite = process.stderr.write;
+    process.stdout.write = jest.fn(() => true);
+    process.stderr.write = jest.fn(() => true);
+  });
+
+  afterEach(() => {
+    disableJsonOutput();
+    process.stdout.write = stdoutWrite;
+    process.stderr.write = stderrWrite;
+    jest.restoreAllMocks();
+  });
+
+  it('should send human output to stderr and only the document to stdout', () => {
+    const stdout = process.stdout.write;
+    const stderr = process.stderr.write;
+
+    enableJsonOutput();
+    process.stdout.write('Checking system requirements...\n');
+    printJson({ passed: true });
+
+    expect(isJsonOutput()).toBe(true);
+    expect(stderr).toHaveBeenCalledWith('Checking system requirements...\n');
+    expect(stdout).toHaveBeenCalledTimes(1);
+    expect(stdout).toHaveBeenCalledWith('{\n  "passed": true\n}\n');
+  });
+
+  it('should restore stdout', () => {
+    const stdout = process.stdout.write;
+
+    enableJsonOutput();
+    disableJsonOutput();
+
+    expect(isJsonOutput()).toBe(false);
+    expect(process.stdout.write).toBe(stdout);
+  });
+
+  it('should print through console.log when JSON output is not enabled', () => {
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    printJson({ BRANCH_NAME: '001-dark-mode' }, { compact: true });
+
+    expect(consoleLogSpy).toHaveBeenCalledWith('{"BRANCH_NAME":"001-dark-mode"}');
+  });
+});
@@ -0,0 +1,479 @@
+/**
+ * Template rendering engine
+ * Handlebars-like syntax shared by every template in nspecify:
+ *
+ *   {{ name }}                      Variable (dotted paths, this, @index, @first, @last, @key)
+ *   {{#if scriptType == "sh"}}      Conditional with ==, !=, !, &&, || and parentheses
+ *   {{else if ...}} / {{else}}      Alternative branches
+ *   {{#unless flag}}                Negated conditional
+ *   {{#each items}}                 Loop over an array or object, {{else}} renders when empty
+ *   {{> partial-name}}              Partial include
+ *   {{! comment }}                  Comment, removed from output
+ *   \{{ literal }}                  Escaped tag, rendered as "{{ literal }}"
+ *
+ * Block tags on a line of their own are removed together with that line.
+ * Variables that are not defined are left untouched, so text meant for
+ * other tools (such as "${{ secrets.TOKEN }}") survives rendering, and so
+ * do block tags nspecify does not know, such as {{#foo}}. With the strict
+ * option off, stray {{else}} and closing tags, unclosed blocks, malformed
+ * conditions and unknown partials are kept as written instead of failing the
+ * render.
+ */
+
+import { createError, ErrorTypes } from './errors.js';
+
+/**
+ * Maximum nesting depth of partial includes
+ */
+const MAX_PARTIAL_DEPTH = 10;
+
+const BLOCK_TAG_PATTERN = /^([#/>!]|else\b)/;
+const PATH_PATTERN = /^(this|@index|@first|@last|@key|[A-Za-z_$][\w$-]*(\.[\w$-]+)*|this(\.[\w$-]+)+)$/;
+const EXPRESSION_TOKEN_PATTERN = /\s*(==|!=|&&|\|\||!|\(|\)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s()!=&|]+)/y;
+
+/**
+ * Create a template syntax error
+ * @param {string} message - Error message
+ * @param {number} line - Line of the offending tag
+ * @returns {Error} Error of type INVALID_INPUT
+ */
+function syntaxError(message, line) {
+  return createError(`Template syntax error on line ${line}: ${message}`, ErrorTypes.INVALID_INPUT, { line });
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let text = '';
+  let index = 0;
+
+  const lineAt = (position) => source.slice(0, position).split('\n').length;
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      text += source.slice(index);
+      break;
+    }
+
+    if (source[open - 1] === '\\') {
+      text += source.slice(index, open - 1) + '{{';
+      index = open + 2;
+      continue;
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      text += source.slice(index);
+      break;
+    }
+
+    const raw = source.slice(open, close + 2);
+    const body = source.slice(open + 2, close).trim();
+    let start = open;
+    let end = close + 2;
+    let before = source.slice(index, open);
+
+    // Drop the whole line when a block tag stands alone on it
+    if (BLOCK_TAG_PATTERN.test(body)) {
+      const lineStart = source.lastIndexOf('\n', open - 1) + 1;
+      const indent = source.slice(lineStart, open);
+      const trailing = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+      if (lineStart >= index && /^[ \t]*$/.test(indent) && trailing) {
+        before = before.slice(0, before.length - indent.length);
+        start -= indent.length;
+        end += trailing[0].length;
+      }
+    }
+
+    text += before;
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+    tokens.push({ type: 'tag', body, raw, literal: source.slice(start, end), line: lineAt(open) });
+    index = end;
+  }
+
+  if (text) {
+    tokens.push({ type: 'text', value: text });
+  }
+
+  return tokens;
+}
+
+/**
+ * Turn a block that is never closed back into text: its tags as written,
+ * followed by the content of each branch
+ * @param {Object} node - Block node
+ * @returns {Array<Object>} Template nodes
+ */
+function unwrapBlock(node) {
+  const nodes = node.branches.flatMap((branch) => [{ type: 'text', value: branch.literal }, ...branch.nodes]);
+  if (node.elseNodes) {
+    nodes.push({ type: 'text', value: node.elseLiteral }, ...node.elseNodes);
+  }
+  return nodes;
+}
+
+/**
+ * Parse tokens into a tree of nodes
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {boolean} [strict=true] - Reject malformed tags, otherwise keep them as text
+ * @returns {Array<Object>} Template nodes
+ */
+function parse(tokens, strict = true) {
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      current.push(token);
+      continue;
+    }
+
+    const { body, literal, line } = token;
+    const block = body.match(/^#(if|unless|each)\s+([\s\S]+)$/);
+    const elseIf = body.match(/^else\s+if\s+([\s\S]+)$/);
+    const condition = block?.[2] ?? elseIf?.[1];
+
+    if (condition !== undefined && !strict && !isValidExpression(condition)) {
+      // The tag is kept as written, and its closing and else tags become stray
+      current.push({ type: 'text', value: literal });
+    } else if (block) {
+      const node = {
+        type: block[1] === 'each' ? 'each' : 'if',
+        branches: [{ condition: block[2], negate: block[1] === 'unless', literal, nodes: [] }],
+        elseNodes: null,
+        name: block[1],
+        container: current,
+        line
+      };
+      current.push(node);
+      stack.push(node);
+      current = node.branches[0].nodes;
+    } else if (/^else\b/.test(body)) {
+      const node = stack[stack.length - 1];
+      const open = node && !node.elseNodes;
+
+      if (open && elseIf && node.type === 'if') {
+        const branch = { condition: elseIf[1], negate: false, literal, nodes: [] };
+        node.branches.push(branch);
+        current = branch.nodes;
+      } else if (open && body === 'else') {
+        node.elseNodes = [];
+        node.elseLiteral = literal;
+        current = node.elseNodes;
+      } else if (!strict) {
+        current.push({ type: 'text', value: literal });
+      } else if (!open) {
+        throw syntaxError('{{else}} without a matching block', line);
+      } else {
+        throw syntaxError(`Unexpected "{{${body}}}"`, line);
+      }
+    } else if (body.startsWith('/')) {
+      const name = body.slice(1).trim();
+      const node = stack[stack.length - 1];
+      if (!node || node.name !== name) {
+        if (strict) {
+          throw syntaxError(`{{/${name}}} does not close an open block`, line);
+        }
+        current.push({ type: 'text', value: literal });
+        continue;
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent ? (parent.elseNodes || parent.branches[parent.branches.length - 1].nodes) : root.nodes;
+    } else if (body.startsWith('>')) {
+      current.push({ type: 'partial', name: body.slice(1).trim(), literal, line });
+    } else if (body.startsWith('#')) {
+      // Not a block nspecify knows, such as {{#foo}}: kept as written with its line
+      current.push({ type: 'text', value: literal });
+    } else if (!body.startsWith('!')) {
+      current.push({ type: 'variable', path: body, raw: token.raw });
+    }
+  }
+
+  if (stack.length > 0 && strict) {
+    const node = stack[stack.length - 1];
+    throw syntaxError(`{{#${node.name}}} is never closed`, node.line);
+  }
+
+  // Innermost first, so outer blocks take the unwrapped content along
+  while (stack.length > 0) {
+    const node = stack.pop();
+    node.container.splice(node.container.indexOf(node), 1, ...unwrapBlock(node));
+  }
+
+  return root.nodes;
+}
+
+/**
+ * Resolve a variable path against the scope chain
+ * Only own properties resolve, so names such as "constructor" or "toString"
+ * are left untouched like any other unknown variable
+ * @param {string} path - Variable path such as "ai.name" or "@index"
+ * @param {Array<Object>} scopes - Scopes, innermost last
+ * @returns {*} Resolved value, undefined if not found
+ */
+function lookup(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+
+  if (path.startsWith('@')) {
+    return scope.locals[path];
+  }
+
+  const segments = path.split('.');
+  let value;
+
+  if (segments[0] === 'this') {
+    value = scope.data;
+    segments.shift();
+  } else {
+    const owner = [...scopes].reverse().find(({ data }) => data !== null && typeof data === 'object' && Object.hasOwn(data, segments[0]));
+    if (!owner) {
+      return undefined;
+    }
+    value = owner.data[segments.shift()];
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined || !Object.hasOwn(Object(value), segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Evaluate a condition expression
+ * @param {string} expression - Expression such as 'scriptType == "sh" && !skipGit'
+ * @param {Array<Object>} scopes - Scopes, innermost last
+ * @param {number} line - Line of the tag, for error messages
+ * @returns {*} Expression value
+ */
+function evaluate(expression, scopes, line) {
+  const tokens = [];
+  let consumed = 0;
+  let match;
+  EXPRESSION_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = EXPRESSION_TOKEN_PATTERN.exec(expression)) !== null) {
+    tokens.push(match[1]);
+    consumed = EXPRESSION_TOKEN_PATTERN.lastIndex;
+  }
+  if (expression.slice(consumed).trim() || tokens.length === 0) {
+    throw syntaxError(`Invalid expression "${expression}"`, line);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const operand = () => {
+    const token = next();
+    if (token === undefined) {
+      throw syntaxError(`Unexpected end of expression "${expression}"`, line);
+    }
+    if (token === '(') {
+      const value = or();
+      if (next() !== ')') {
+        throw syntaxError(`Missing ")" in "${expression}"`, line);
+      }
+      return value;
+    }
+    if (/^["']/.test(token)) {
+      return token.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+      return Number(token);
+    }
+    if (token === 'true' || token === 'false') {
+      return token === 'true';
+    }
+    if (token === 'null') {
+      return null;
+    }
+    if (!PATH_PATTERN.test(token)) {
+      throw syntaxError(`Unexpected "${token}" in "${expression}"`, line);
+    }
+    return lookup(token, scopes);
+  };
+
+  const comparison = () => {
+    const left = operand();
+    if (peek() === '==' || peek() === '!=') {
+      const operator = next();
+      const right = operand();
+      return operator === '==' ? left === right : left !== right;
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (peek() === '!') {
+      next();
+      return !unary();
+    }
+    return comparison();
+  };
+
+  const and = () => {
+    let value = unary();
+    while (peek() === '&&') {
+      next();
+      const right = unary();
+      value = value && right;
+    }
+    return value;
+  };
+
+  const or = () => {
+    let value = and();
+    while (peek() === '||') {
+      next();
+      const right = and();
+      value = value || right;
+    }
+    return value;
+  };
+
+  const result = or();
+  if (position < tokens.length) {
+    throw syntaxError(`Unexpected "${peek()}" in "${expression}"`, line);
+  }
+  return result;
+}
+
+/**
+ * Check whether an expression can be evaluated
+ * Every operand is evaluated whatever the values, so any scope finds the
+ * syntax errors
+ * @param {string} expression - Expression of a block tag
+ * @returns {boolean} True if the expression is well formed
+ */
+function isValidExpression(expression) {
+  try {
+    evaluate(expression, [{ data: {}, locals: {} }], 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a value counts as true in a condition
+ * Empty arrays are false, as in Handlebars
+ * @param {*} value - Value to test
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render template nodes
+ * @param {Array<Object>} nodes - Template nodes
+ * @param {Array<Object>} scopes - Scopes, innermost last
+ * @param {Object} options - Render options
+ * @param {number} depth - Partial nesting depth
+ * @returns {string} Rendered output
+ */
+function renderNodes(nodes, scopes, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'variable': {
+        const value = PATH_PATTERN.test(node.path) ? lookup(node.path, scopes) : undefined;
+        if (value === undefined) {
+          output += node.raw;
+        } else if (value !== null) {
+          output += String(value);
+        }
+        break;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(({ condition, negate }) => {
+          return isTruthy(evaluate(condition, scopes, node.line)) !== negate;
+        });
+        const selected = branch ? branch.nodes : node.elseNodes;
+        if (selected) {
+          output += renderNodes(selected, scopes, options, depth);
+        }
+        break;
+      }
+
+      case 'each': {
+        const collection = evaluate(node.branches[0].condition, scopes, node.line);
+        const entries = Array.isArray(collection)
+          ? collection.map((item, index) => [index, item])
+          : Object.entries(collection && typeof collection === 'object' ? collection : {});
+
+        if (entries.length === 0) {
+          if (node.elseNodes) {
+            output += renderNodes(node.elseNodes, scopes, options, depth);
+          }
+          break;
+        }
+
+        entries.forEach(([key, item], index) => {
+          const locals = {
+            '@index': index,
+            '@key': key,
+            '@first': index === 0,
+            '@last': index === entries.length - 1
+          };
+          output += renderNodes(node.branches[0].nodes, [...scopes, { data: item, locals }], options, depth);
+        });
+        break;
+      }
+
+      case 'partial': {
+        const partial = options.partials?.[node.name];
+        if (partial === undefined && !options.strict) {
+          output += node.literal;
+          break;
+        }
+        if (partial === undefined) {
+          throw syntaxError(`Unknown partial "${node.name}"`, node.line);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw syntaxError(`Partials nested deeper than ${MAX_PARTIAL_DEPTH} levels at "${node.name}"`, node.line);
+        }
+        output += renderNodes(parse(tokenize(partial), options.strict), scopes, options, depth + 1);
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} [context={}] - Template variables
+ * @param {Object} [options={}] - Render options
+ * @param {Object<string, string>} [options.partials={}] - Partial sources by name
+ * @param {boolean} [options.strict=true] - Reject stray and unclosed block tags and unknown
+ *   partials, otherwise they are kept as written
+ * @returns {string} Rendered output
+ * @throws {Error} If the template has a syntax error
+ */
+export function renderTemplate(source, context = {}, options = {}) {
+  const settings = { partials: {}, ...options, strict: options.strict !== false };
+  const nodes = parse(tokenize(source), settings.strict);
+  return renderNodes(nodes, [{ data: context, locals: {} }], settings, 0);
+}
@@ -0,0 +1,150 @@
+import { renderTemplate } from './render.js';
+
+describe('render', () => {
+  describe('variables', () => {
+    it('should replace variables and dotted paths', () => {
+      const result = renderTemplate('{{ name }} uses {{ai.name}}', { name: 'demo', ai: { name: 'Claude Code' } });
+
+      expect(result).toBe('demo uses Claude Code');
+    });
+
+    it('should leave unknown variables untouched', () => {
+      expect(renderTemplate('token: ${{ secrets.TOKEN }}', {})).toBe('token: ${{ secrets.TOKEN }}');
+    });
+
+    it('should not resolve inherited properties', () => {
+      const source = '{{ constructor }} {{ ai.toString }} {{ ai.name.length }}{{#if hasOwnProperty}} inherited{{/if}}';
+
+      expect(renderTemplate(source, { ai: { name: 'Cursor' } })).toBe('{{ constructor }} {{ ai.toString }} 6');
+    });
+
+    it('should render null as empty text', () => {
+      expect(renderTemplate('[{{ value }}]', { value: null })).toBe('[]');
+    });
+
+    it('should keep escaped tags literal', () => {
+      expect(renderTemplate('\\{{ name }} = {{ name }}', { name: 'x' })).toBe('{{ name }} = x');
+    });
+
+    it('should keep unknown block tags and their lines', () => {
+      expect(renderTemplate('a\n{{#foo}}\nb', {})).toBe('a\n{{#foo}}\nb');
+      expect(renderTemplate('a\n  {{#foo bar}}\nb', {}, { strict: false })).toBe('a\n  {{#foo bar}}\nb');
+    });
+
+    it('should remove comments', () => {
+      expect(renderTemplate('a{{! note }}b', {})).toBe('ab');
+    });
+  });
+
+  describe('conditionals', () => {
+    const source = [
+      '{{#if scriptType == "sh"}}',
+      'bash script.sh',
+      '{{else if scriptType == \'ps\'}}',
+      'pwsh script.ps1',
+      '{{else}}',
+      'unknown',
+      '{{/if}}',
+      'done'
+    ].join('\n');
+
+    it('should pick the matching branch and drop standalone tag lines', () => {
+      expect(renderTemplate(source, { scriptType: 'sh' })).toBe('bash script.sh\ndone');
+      expect(renderTemplate(source, { scriptType: 'ps' })).toBe('pwsh script.ps1\ndone');
+      expect(renderTemplate(source, { scriptType: 'cmd' })).toBe('unknown\ndone');
+    });
+
+    it('should support !, &&, || and parentheses', () => {
+      const context = { a: true, b: false, tool: 'cursor' };
+
+      expect(renderTemplate('{{#if a && !b}}yes{{/if}}', context)).toBe('yes');
+      expect(renderTemplate('{{#if b || (a && tool != "claude")}}yes{{/if}}', context)).toBe('yes');
+      expect(renderTemplate('{{#if b && a}}yes{{else}}no{{/if}}', context)).toBe('no');
+    });
+
+    it('should support unless and treat empty lists as false', () => {
+      expect(renderTemplate('{{#unless items}}none{{/unless}}', { items: [] })).toBe('none');
+    });
+  });
+
+  describe('loops', () => {
+    it('should loop over arrays with item scope and loop variables', () => {
+      const source = '{{#each tools}}{{@index}}:{{name}}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+
+      expect(renderTemplate(source, { tools: [{ name: 'git' }, { name: 'claude' }] })).toBe('0:git, 1:claude.');
+    });
+
+    it('should loop over objects and resolve outer variables', () => {
+      const source = '{{#each scripts}}{{@key}}={{this}} ({{project}})\n{{/each}}';
+
+      expect(renderTemplate(source, { project: 'demo', scripts: { sh: 'a.sh', ps: 'a.ps1' } }))
+        .toBe('sh=a.sh (demo)\nps=a.ps1 (demo)\n');
+    });
+
+    it('should render the else block for empty collections', () => {
+      expect(renderTemplate('{{#each items}}{{this}}{{else}}empty{{/each}}', { items: [] })).toBe('empty');
+    });
+  });
+
+  describe('partials', () => {
+    it('should include partials with the current scope', () => {
+      const partials = { header: '# {{ title }}\n' };
+
+      expect(renderTemplate('{{> header}}\nbody', { title: 'Spec' }, { partials })).toBe('# Spec\nbody');
+    });
+
+    it('should reject unknown and recursive partials', () => {
+      expect(() => renderTemplate('{{> missing}}', {})).toThrow('Unknown partial "missing"');
+      expect(() => renderTemplate('{{> loop}}', {}, { partials: { loop: '{{> loop}}' } })).toThrow('nested deeper');
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('should report unclosed and mismatched blocks with their line', () => {
+      expect(() => renderTemplate('a\n{{#if x}}\nb', {})).toThrow('line 2: {{#if}} is never closed');
+      expect(() => renderTemplate('{{#if x}}{{/each}}', {})).toThrow('{{/each}} does not close an open block');
+      expect(() => renderTemplate('{{else}}', {})).toThrow('{{else}} without a matching block');
+    });
+
+    it('should report invalid expressions', () => {
+      expect(() => renderTemplate('{{#if a ==}}x{{/if}}', {})).toThrow('Unexpected end of expression');
+      expect(() => renderTemplate('{{#if a b}}x{{/if}}', {})).toThrow('Unexpected "b"');
+    });
+
+    it('should mark errors as invalid input', () => {
+      expect(() => renderTemplate('{{#each x}}', {})).toThrow(expect.objectContaining({ type: 'INVALID_INPUT', line: 1 }));
+    });
+  });
+
+  describe('lenient rendering', () => {
+    it('should keep stray block tags as written', () => {
+      const source = 'Use {{/x}} to close\n{{else}}\n{{#if ok}}yes{{else}}no{{/if}} {{#if x}}{{/each}}{{ name }}\n';
+
+      expect(renderTemplate(source, { ok: true, name: 'demo' }, { strict: false }))
+        .toBe('Use {{/x}} to close\n{{else}}\nyes {{#if x}}{{/each}}demo\n');
+    });
+
+    it('should unwrap unclosed blocks and keep the lines of their tags', () => {
+      const source = 'a\n  {{#each items}}\n{{#if first}}\nb {{ name }}\n{{else}}\nc\n';
+
+      expect(renderTemplate(source, { name: 'demo' }, { strict: false }))
+        .toBe('a\n  {{#each items}}\n{{#if first}}\nb demo\n{{else}}\nc\n');
+    });
+
+    it('should keep tags with malformed conditions as written, with their lines', () => {
+      const source = 'a\n{{#if a b}}\nx {{ name }}\n{{else if (c}}\ny\n{{/if}}\nc';
+
+      expect(renderTemplate(source, { name: 'demo' }, { strict: false }))
+        .toBe('a\n{{#if a b}}\nx demo\n{{else if (c}}\ny\n{{/if}}\nc');
+      expect(renderTemplate('{{#if ok}}\nyes\n{{else if a ==}}\nno\n{{/if}}\n', { ok: true }, { strict: false }))
+        .toBe('yes\n{{else if a ==}}\nno\n');
+    });
+
+    it('should keep unknown partials as written', () => {
+      const partials = { known: '{{ name }}' };
+
+      expect(renderTemplate('{{> known}} {{> missing}}', { name: 'demo' }, { strict: false, partials }))
+        .toBe('demo {{> missing}}');
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Template source utilities
+ * Fetch templates from a local directory, a local zip, a git repository
+ * or a URL, and install them through one validate/copy pipeline
+ */
+
+import { existsSync, statSync } from 'fs';
+import { mkdtemp, readdir, readFile, copyFile, rm, stat } from 'fs/promises';
+import { join, resolve, dirname, relative } from 'path';
+import { tmpdir } from 'os';
+import { logger as log } from './logger.js';
+import { createError, ErrorTypes } from './errors.js';
+import { ensureDirectory } from './files.js';
+import { cloneRepository } from './git.js';
+import { downloadFile } from './download.js';
+import {
+  copyTemplateDirectory,
+  extractTemplate,
+  generateAgentCommands,
+  resolveFileConflict,
+  validateTemplateStructure,
+  ConflictPolicies
+} from './templates.js';
+
+/**
+ * Supported template source types
+ */
+export const TemplateSourceTypes = {
+  DIRECTORY: 'directory',
+  ZIP: 'zip',
+  GIT: 'git',
+  URL: 'url'
+};
+
+/**
+ * Parse a --template source
+ * @param {string} source - Directory, zip file, git+file:// or git+https:// URL (with optional #ref), or http(s) URL
+ * @param {string} [cwd=process.cwd()] - Directory relative paths are resolved against
+ * @returns {{type: string, source: string, path?: string, url?: string, ref?: string|null}} Parsed source
+ * @throws {Error} If the source cannot be used
+ */
+export function parseTemplateSource(source, cwd = process.cwd()) {
+  const git = source.match(/^git\+((?:file|https?|ssh):\/\/[^#]+)(?:#(.+))?$/i);
+  if (git) {
+    return { type: TemplateSourceTypes.GIT, source, url: git[1], ref: git[2] || null };
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    return { type: TemplateSourceTypes.URL, source, url: source };
+  }
+
+  const fullPath = resolve(cwd, source);
+  if (!existsSync(fullPath)) {
+    throw createError(
+      `Template source not found: ${source}`,
+      ErrorTypes.INVALID_INPUT,
+      { suggestion: 'Use a directory, a .zip file, a git+file:// or git+https:// URL, or an http(s) URL' }
+    );
+  }
+
+  if (statSync(fullPath).isDirectory()) {
+    return { type: TemplateSourceTypes.DIRECTORY, source, path: fullPath };
+  }
+
+  if (fullPath.toLowerCase().endsWith('.zip')) {
+    return { type: TemplateSourceTypes.ZIP, source, path: fullPath };
+  }
+
+  throw createError(
+    `Unsupported template source: ${source}`,
+    ErrorTypes.INVALID_INPUT,
+    { suggestion: 'Local template sources must be a directory or a .zip file' }
+  );
+}
+
+/**
+ * Fetch a template source into a staging directory
+ * Directories and git repositories are rendered with copyTemplateDirectory,
+ * archives are extracted as-is
+ * @param {string|Object} source - Template source or result of parseTemplateSource
+ * @param {string} stagingDir - Empty directory to fetch into
+ * @param {Object} [options={}] - Fetch options
+ * @param {string} [options.scriptType] - Script type (sh or ps)
+ * @param {Object} [options.variables={}] - Template variables
+ * @returns {Promise<Object>} Parsed source
+ * @throws {Error} If the source cannot be fetched
+ */
+export async function fetchTemplateSource(source, stagingDir, options = {}) {
+  const { scriptType, variables = {} } = options;
+  const parsed = typeof source === 'string' ? parseTemplateSource(source) : source;
+
+  log.info(`Fetching template from ${parsed.type} source: ${parsed.source}`);
+
+  switch (parsed.type) {
+    case TemplateSourceTypes.DIRECTORY:
+      await copyTemplateDirectory(parsed.path, stagingDir, variables, scriptType);
+      break;
+
+    case TemplateSourceTypes.ZIP:
+      await extractTemplate(parsed.path, stagingDir);
+      break;
+
+    case TemplateSourceTypes.URL: {
+      const zipPath = join(tmpdir(), `nspecify-source-${Date.now()}.zip`);
+      try {
+        await downloadFile(parsed.url, zipPath);
+        await extractTemplate(zipPath, stagingDir);
+      } catch (error) {
+        if (error.response) {
+          throw createError(
+            `Failed to download template from ${parsed.url}: HTTP ${error.response.status}`,
+            ErrorTypes.NETWORK
+          );
+        }
+        throw error;
+      } finally {
+        await rm(zipPath, { force: true });
+      }
+      break;
+    }
+
+    case TemplateSourceTypes.GIT: {
+      const cloneDir = await mkdtemp(join(tmpdir(), 'nspecify-git-'));
+      try {
+        const result = await cloneRepository(parsed.url, cloneDir, { ref: parsed.ref });
+        if (!result.success) {
+          throw createError(
+            `Failed to clone ${parsed.url}${parsed.ref ? ` at ${parsed.ref}` : ''}: ${result.error}`,
+            ErrorTypes.CONFIGURATION,
+            { suggestion: 'Check the repository URL, the ref after "#", and your git credentials' }
+          );
+        }
+
+        await rm(join(cloneDir, '.git'), { recursive: true, force: true });
+        await copyTemplateDirectory(cloneDir, stagingDir, variables, scriptType);
+      } finally {
+        await rm(cloneDir, { recursive: true, force: true });
+      }
+      break;
+    }
+
+    default:
+      throw createError(`Unsupported template source type: ${parsed.type}`, ErrorTypes.INVALID_INPUT);
+  }
+
+  return parsed;
+}
+
+/**
+ * Find the template root in a staging directory
+ * Archives such as GitHub source downloads wrap everything in one folder
+ * @param {string} stagingDir - Staging directory
+ * @returns {Promise<string>} Template root directory
+ */
+export async function findTemplateRoot(stagingDir) {
+  if (existsSync(join(stagingDir, '.specify'))) {
+    return stagingDir;
+  }
+
+  const entries = await readdir(stagingDir, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return join(stagingDir, entries[0].name);
+  }
+
+  return stagingDir;
+}
+
+/**
+ * Read the version from the manifest.json of a template
+ * @param {string} templateDir - Template root directory
+ * @returns {Promise<string|null>} Template version or null if not recorded
+ */
+async function readTemplateVersion(templateDir) {
+  try {
+    const manifest = JSON.parse(await readFile(join(templateDir, 'manifest.json'), 'utf8'));
+    return manifest.version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a staged template and copy it into the project
+ * Missing commands of the AI assistants are generated from the command
+ * templates, and scripts of the other script type are left out
+ * @param {string} stagingDir - Staging directory filled by fetchTemplateSource
+ * @param {string} targetDir - Project directory
+ * @param {Object} [options={}] - Install options
+ * @param {string} [options.scriptType] - Script type (sh or ps)
+ * @param {string|string[]} [options.aiTools='claude-code'] - AI assistant tool, or several
+ * @param {string} [options.conflict='overwrite'] - Policy for existing files, from ConflictPolicies
+ * @param {Function} [options.onConflict] - Asked with the prompt policy, resolves to 'overwrite' or 'skip'
+ * @returns {Promise<{files: string[], version: string|null}>} Installed files relative to targetDir, and template version
+ * @throws {Error} If the template is missing required files
+ */
+export async function installTemplate(stagingDir, targetDir, options = {}) {
+  const { scriptType, aiTools = 'claude-code' } = options;
+  const templateRoot = await findTemplateRoot(stagingDir);
+  const errors = new Set();
+
+  for (const aiTool of [].concat(aiTools)) {
+    await generateAgentCommands(templateRoot, aiTool, scriptType);
+
+    const validation = await validateTemplateStructure(templateRoot, { scriptType, aiTool });
+    validation.errors.forEach((error) => errors.add(error));
+  }
+
+  if (errors.size > 0) {
+    throw createError(
+      'Template source is not a valid nspecify template',
+      ErrorTypes.CONFIGURATION,
+      {
+        errors: [...errors],
+        suggestion: `Fix the template source:\n  ${[...errors].join('\n  ')}`
+      }
+    );
+  }
+
+  const otherScripts = scriptType ? `.specify/scripts/${scriptType === 'sh' ? 'ps' : 'sh'}/` : null;
+  const entries = await readdir(templateRoot, { withFileTypes: true, recursive: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+
+    const sourcePath = join(entry.path, entry.name);
+    const relativePath = relative(templateRoot, sourcePath).replace(/\\/g, '/');
+    if (otherScripts && relativePath.startsWith(otherScripts)) {
+      continue;
+    }
+
+    const targetPath = join(targetDir, relativePath);
+    if (!await resolveFileConflict(targetPath, relativePath, options)) {
+      log.info(`Kept existing file: ${relativePath}`);
+      continue;
+    }
+
+    ensureDirectory(dirname(targetPath));
+    await copyFile(sourcePath, targetPath);
+    files.push(relativePath);
+    log.debug(`Installed: ${relativePath}`);
+  }
+
+  return {
+    files: files.sort(),
+    version: await readTemplateVersion(templateRoot)
+  };
+}
+
+/**
+ * Plan copying a prepared template into a project without writing anything
+ * Each file is reported with the action installing it would take:
+ * 'create', 'overwrite', 'skip', or 'prompt' when the user would be asked
+ * @param {string} templateDir - Directory holding the files to install
+ * @param {string} targetDir - Project directory
+ * @param {Object} [options={}] - Plan options
+ * @param {string} [options.conflict='overwrite'] - Policy for existing files, from ConflictPolicies
+ * @returns {Promise<{path: string, size: number, action: string}[]>} Files sorted by path
+ */
+export async function planTemplateInstall(templateDir, targetDir, options = {}) {
+  const { conflict = ConflictPolicies.OVERWRITE } = options;
+  const entries = await readdir(templateDir, { withFileTypes: true, recursive: true });
+  const plan = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+
+    const sourcePath = join(entry.path, entry.name);
+    const relativePath = relative(templateDir, sourcePath).replace(/\\/g, '/');
+    const { size } = await stat(sourcePath);
+
+    plan.push({
+      path: relativePath,
+      size,
+      action: existsSync(join(targetDir, relativePath)) ? conflict : 'create'
+    });
+  }
+
+  return plan.sort((a, b) => a.path.localeCompare(b.path));
+}
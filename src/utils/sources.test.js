@@ -0,0 +1,360 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import http from 'http';
+import { execFileSync } from 'child_process';
+import AdmZip from 'adm-zip';
+
+jest.unstable_mockModule('./logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    success: jest.fn()
+  }
+}));
+
+const {
+  TemplateSourceTypes,
+  parseTemplateSource,
+  fetchTemplateSource,
+  findTemplateRoot,
+  installTemplate,
+  planTemplateInstall
+} = await import('./sources.js');
+const { extractTemplate, ConflictPolicies } = await import('./templates.js');
+
+/**
+ * Files of a minimal valid template
+ */
+const TEMPLATE_FILES = {
+  '.specify/memory/constitution.md': '# Constitution',
+  '.specify/scripts/sh/create-new-feature.sh': '#!/bin/bash\necho {{#if scriptType == "sh"}}bash{{/if}}\n',
+  '.specify/scripts/ps/create-new-feature.ps1': 'Write-Output "ps"',
+  '.specify/templates/spec-template.md': '# Spec for {{ aiTool }}',
+  '.claude/commands/specify.md': 'Run the script',
+  'manifest.json': '{"version": "2.1.0"}'
+};
+
+describe('sources', () => {
+  let workDir;
+  let templateDir;
+  let stagingDir;
+  let projectDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nspecify-sources-test-'));
+    templateDir = path.join(workDir, 'template');
+    stagingDir = path.join(workDir, 'staging');
+    projectDir = path.join(workDir, 'project');
+
+    for (const [file, content] of Object.entries(TEMPLATE_FILES)) {
+      await fs.mkdir(path.dirname(path.join(templateDir, file)), { recursive: true });
+      await fs.writeFile(path.join(templateDir, file), content);
+    }
+    await fs.mkdir(stagingDir);
+    await fs.mkdir(projectDir);
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Zip the template directory
+   * @param {string} [prefix=''] - Folder to wrap the files in
+   * @returns {string} Zip file path
+   */
+  function zipTemplate(prefix = '') {
+    const zip = new AdmZip();
+    zip.addLocalFolder(templateDir, prefix);
+    const zipPath = path.join(workDir, 'template.zip');
+    zip.writeZip(zipPath);
+    return zipPath;
+  }
+
+  describe('parseTemplateSource', () => {
+    it('should parse git sources with an optional ref', () => {
+      expect(parseTemplateSource('git+https://example.com/org/templates.git#v1.2.0')).toEqual({
+        type: TemplateSourceTypes.GIT,
+        source: 'git+https://example.com/org/templates.git#v1.2.0',
+        url: 'https://example.com/org/templates.git',
+        ref: 'v1.2.0'
+      });
+      expect(parseTemplateSource('git+file:///srv/templates')).toMatchObject({
+        url: 'file:///srv/templates',
+        ref: null
+      });
+    });
+
+    it('should parse URLs, directories and zip files', () => {
+      const zipPath = zipTemplate();
+
+      expect(parseTemplateSource('https://example.com/t.zip').type).toBe(TemplateSourceTypes.URL);
+      expect(parseTemplateSource('template', workDir)).toMatchObject({ type: TemplateSourceTypes.DIRECTORY, path: templateDir });
+      expect(parseTemplateSource(zipPath)).toMatchObject({ type: TemplateSourceTypes.ZIP, path: zipPath });
+    });
+
+    it('should reject missing and unsupported local sources', async () => {
+      await fs.writeFile(path.join(workDir, 'notes.txt'), 'text');
+
+      expect(() => parseTemplateSource('missing', workDir)).toThrow('Template source not found: missing');
+      expect(() => parseTemplateSource('notes.txt', workDir)).toThrow('Unsupported template source: notes.txt');
+    });
+  });
+
+  describe('fetchTemplateSource', () => {
+    it('should render a directory source', async () => {
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh', variables: { aiTool: 'cursor' } });
+
+      expect(await fs.readFile(path.join(stagingDir, '.specify/templates/spec-template.md'), 'utf8')).toBe('# Spec for cursor');
+      expect(await fs.readFile(path.join(stagingDir, '.specify/scripts/sh/create-new-feature.sh'), 'utf8')).toContain('echo bash');
+    });
+
+    it('should leave out the version control directories of a directory source', async () => {
+      await fs.mkdir(path.join(templateDir, '.git', 'refs'), { recursive: true });
+      await fs.writeFile(path.join(templateDir, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+      await fs.mkdir(path.join(templateDir, '.specify', '.svn'));
+      await fs.writeFile(path.join(templateDir, '.specify', '.svn', 'entries'), '12\n');
+
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh' });
+
+      await expect(fs.access(path.join(stagingDir, '.git'))).rejects.toThrow();
+      await expect(fs.access(path.join(stagingDir, '.specify', '.svn'))).rejects.toThrow();
+      expect(await fs.readFile(path.join(stagingDir, '.specify/memory/constitution.md'), 'utf8')).toBe('# Constitution');
+    });
+
+    it('should copy braces that are not template tags as written', async () => {
+      const guide = [
+        '# Guide for {{ aiTool }}',
+        'Close sections with {{/section}} and branch with',
+        '{{else}}',
+        '{{#if a b}}',
+        'Include {{> snippet}} where needed',
+        '{{#foo}}',
+        '{{/if}}'
+      ].join('\n');
+      await fs.writeFile(path.join(templateDir, '.specify/templates/guide.md'), guide);
+
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh', variables: { aiTool: 'cursor' } });
+
+      expect(await fs.readFile(path.join(stagingDir, '.specify/templates/guide.md'), 'utf8'))
+        .toBe(guide.replace('{{ aiTool }}', 'cursor'));
+    });
+
+    it('should extract a zip source as-is', async () => {
+      await fetchTemplateSource(zipTemplate(), stagingDir, { scriptType: 'sh' });
+
+      expect(await fs.readFile(path.join(stagingDir, '.specify/templates/spec-template.md'), 'utf8')).toBe('# Spec for {{ aiTool }}');
+    });
+
+    it('should clone a git source at a ref', async () => {
+      const git = (...args) => execFileSync('git', args, { cwd: templateDir, stdio: 'ignore' });
+      git('init', '-q');
+      git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'add', '.');
+      git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'v1');
+      git('tag', 'v1');
+      await fs.writeFile(path.join(templateDir, '.specify/memory/constitution.md'), '# Changed');
+      git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-am', 'v2');
+
+      await fetchTemplateSource(`git+file://${templateDir}#v1`, stagingDir, { scriptType: 'sh' });
+
+      expect(await fs.readFile(path.join(stagingDir, '.specify/memory/constitution.md'), 'utf8')).toBe('# Constitution');
+      await expect(fs.access(path.join(stagingDir, '.git'))).rejects.toThrow();
+    });
+
+    it('should report git clone failures', async () => {
+      await expect(
+        fetchTemplateSource(`git+file://${path.join(workDir, 'missing')}`, stagingDir, { scriptType: 'sh' })
+      ).rejects.toThrow('Failed to clone');
+    });
+
+    it('should download and extract a URL source', async () => {
+      const zip = await fs.readFile(zipTemplate('templates-main'));
+      const server = http.createServer((req, res) => {
+        if (req.url === '/templates.zip') {
+          res.end(zip);
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        await fetchTemplateSource(`http://127.0.0.1:${port}/templates.zip`, stagingDir, { scriptType: 'sh' });
+        await expect(
+          fetchTemplateSource(`http://127.0.0.1:${port}/missing.zip`, stagingDir, { scriptType: 'sh' })
+        ).rejects.toThrow('HTTP 404');
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+
+      expect(await findTemplateRoot(stagingDir)).toBe(path.join(stagingDir, 'templates-main'));
+    });
+  });
+
+  describe('archive safety', () => {
+    /**
+     * Zip the template directory with one extra entry
+     * @param {string} name - Entry name
+     * @param {number} [attr] - Entry attributes
+     * @returns {string} Zip file path
+     */
+    function zipWithEntry(name, attr) {
+      const zip = new AdmZip(zipTemplate());
+      zip.addFile('placeholder', Buffer.from('payload'));
+      const entry = zip.getEntry('placeholder');
+      entry.entryName = name;
+      if (attr !== undefined) {
+        entry.attr = attr;
+      }
+      const zipPath = path.join(workDir, 'unsafe.zip');
+      zip.writeZip(zipPath);
+      return zipPath;
+    }
+
+    it.each([
+      '../evil.txt',
+      '.specify/../../evil.txt',
+      '..\\evil.txt',
+      '/tmp/evil.txt',
+      'C:/evil.txt'
+    ])('should refuse the entry %s before writing anything', async (name) => {
+      await expect(fetchTemplateSource(zipWithEntry(name), stagingDir)).rejects.toMatchObject({
+        type: 'INTEGRITY',
+        message: `Unsafe path in template archive: ${name}`
+      });
+      expect(await fs.readdir(stagingDir)).toEqual([]);
+      await expect(fs.access(path.join(workDir, 'evil.txt'))).rejects.toThrow();
+    });
+
+    it('should refuse symbolic links', async () => {
+      const zipPath = zipWithEntry('.specify/link', (0o120777 << 16) >>> 0);
+
+      await expect(fetchTemplateSource(zipPath, stagingDir)).rejects.toThrow(
+        'Symbolic links are not allowed in template archives: .specify/link'
+      );
+    });
+
+    it('should enforce the size and entry-count limits', async () => {
+      const zipPath = zipTemplate();
+
+      await expect(extractTemplate(zipPath, stagingDir, { maxEntries: 3 })).rejects.toThrow(
+        'Template archive has too many entries'
+      );
+      await expect(extractTemplate(zipPath, stagingDir, { maxSize: 64 })).rejects.toThrow(
+        'Template archive exceeds the size limit of 64 bytes uncompressed'
+      );
+    });
+
+    it('should apply the conflict policy to existing files', async () => {
+      const zipPath = zipTemplate();
+      const constitution = path.join(stagingDir, '.specify/memory/constitution.md');
+      await fs.mkdir(path.dirname(constitution), { recursive: true });
+      await fs.writeFile(constitution, '# Ours');
+
+      const kept = await extractTemplate(zipPath, stagingDir, { conflict: ConflictPolicies.SKIP });
+      expect(kept).not.toContain('.specify/memory/constitution.md');
+      expect(await fs.readFile(constitution, 'utf8')).toBe('# Ours');
+
+      const onConflict = jest.fn(async () => ConflictPolicies.OVERWRITE);
+      const replaced = await extractTemplate(zipPath, stagingDir, { conflict: ConflictPolicies.PROMPT, onConflict });
+      expect(onConflict).toHaveBeenCalledWith('.specify/memory/constitution.md');
+      expect(replaced).toContain('.specify/memory/constitution.md');
+      expect(await fs.readFile(constitution, 'utf8')).toBe('# Constitution');
+    });
+  });
+
+  describe('installTemplate', () => {
+    it('should copy the template without scripts of the other type', async () => {
+      await fetchTemplateSource(zipTemplate(), stagingDir, { scriptType: 'ps' });
+
+      const result = await installTemplate(stagingDir, projectDir, { scriptType: 'ps' });
+
+      expect(result.version).toBe('2.1.0');
+      expect(result.files).toContain('.specify/scripts/ps/create-new-feature.ps1');
+      expect(result.files).not.toContain('.specify/scripts/sh/create-new-feature.sh');
+      await expect(fs.access(path.join(projectDir, '.specify/scripts/sh'))).rejects.toThrow();
+      expect(await fs.readFile(path.join(projectDir, '.claude/commands/specify.md'), 'utf8')).toBe('Run the script');
+    });
+
+    it('should keep existing project files with the skip policy', async () => {
+      await fetchTemplateSource(zipTemplate(), stagingDir, { scriptType: 'sh' });
+      await fs.mkdir(path.join(projectDir, '.claude/commands'), { recursive: true });
+      await fs.writeFile(path.join(projectDir, '.claude/commands/specify.md'), 'Our command');
+
+      const result = await installTemplate(stagingDir, projectDir, { scriptType: 'sh', conflict: ConflictPolicies.SKIP });
+
+      expect(result.files).not.toContain('.claude/commands/specify.md');
+      expect(await fs.readFile(path.join(projectDir, '.claude/commands/specify.md'), 'utf8')).toBe('Our command');
+    });
+
+    it('should generate the commands of every selected AI assistant', async () => {
+      await fs.mkdir(path.join(templateDir, '.specify/templates/commands'), { recursive: true });
+      await fs.writeFile(
+        path.join(templateDir, '.specify/templates/commands/specify.md'),
+        '---\ndescription: Plan the feature\n---\nRun scripts/bash/setup-plan.sh {ARGS} for __AGENT__\n'
+      );
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh' });
+
+      const result = await installTemplate(stagingDir, projectDir, { scriptType: 'sh', aiTools: ['claude-code', 'gemini-cli'] });
+
+      expect(result.files).toContain('.claude/commands/specify.md');
+      expect(result.files).toContain('.gemini/commands/specify.toml');
+      expect(await fs.readFile(path.join(projectDir, '.gemini/commands/specify.toml'), 'utf8')).toBe(
+        'description = "Plan the feature"\n\nprompt = """\nRun .specify/scripts/sh/setup-plan.sh {{args}} for gemini\n"""\n'
+      );
+    });
+
+    it('should reject templates missing the required command of the assistant', async () => {
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh' });
+
+      await expect(installTemplate(stagingDir, projectDir, { scriptType: 'sh', aiTools: 'cursor' })).rejects.toMatchObject({
+        errors: ['Missing required file: .cursor/rules/specify.mdc']
+      });
+    });
+
+    it('should reject templates missing required files', async () => {
+      await fs.rm(path.join(templateDir, '.specify/templates'), { recursive: true });
+      await fetchTemplateSource(templateDir, stagingDir, { scriptType: 'sh' });
+
+      await expect(installTemplate(stagingDir, projectDir, { scriptType: 'sh' })).rejects.toMatchObject({
+        message: 'Template source is not a valid nspecify template',
+        type: 'CONFIGURATION',
+        errors: ['Missing required file: .specify/templates/spec-template.md']
+      });
+      expect(await fs.readdir(projectDir)).toEqual([]);
+    });
+  });
+
+  describe('planTemplateInstall', () => {
+    it('should list every file with its size and the action installing it would take', async () => {
+      await fs.mkdir(path.join(projectDir, '.claude/commands'), { recursive: true });
+      await fs.writeFile(path.join(projectDir, '.claude/commands/specify.md'), 'Our command');
+
+      const plan = await planTemplateInstall(templateDir, projectDir, { conflict: ConflictPolicies.SKIP });
+
+      expect(plan.map((file) => file.path)).toEqual(Object.keys(TEMPLATE_FILES).sort());
+      expect(plan.find((file) => file.path === '.claude/commands/specify.md')).toEqual({
+        path: '.claude/commands/specify.md',
+        size: 'Run the script'.length,
+        action: 'skip'
+      });
+      expect(plan.filter((file) => file.action === 'create')).toHaveLength(Object.keys(TEMPLATE_FILES).length - 1);
+      expect(await fs.readdir(path.join(projectDir, '.claude/commands'))).toEqual(['specify.md']);
+    });
+
+    it('should report existing files as overwritten by default', async () => {
+      await fs.writeFile(path.join(projectDir, 'manifest.json'), '{}');
+
+      const plan = await planTemplateInstall(templateDir, projectDir);
+
+      expect(plan.find((file) => file.path === 'manifest.json').action).toBe('overwrite');
+    });
+  });
+});
@@ -3,20 +3,83 @@
  * Handles template loading, variable replacement, and script variant selection
  */
 
-import { readFile, writeFile, access, readdir } from 'fs/promises';
-import { join, dirname, relative, normalize } from 'path';
-import { existsSync, createWriteStream } from 'fs';
+import { readFile, writeFile, access, readdir, unlink } from 'fs/promises';
+import { join, dirname, relative, normalize, extname, basename, resolve, sep } from 'path';
+import { existsSync } from 'fs';
 import { parse } from 'yaml';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { fileURLToPath } from 'url';
 import axios from 'axios';
 import AdmZip from 'adm-zip';
 import { logger as log } from './logger.js';
-import { ensureDirectory } from './files.js';
-import { getCachedTemplate, cacheTemplate, pruneCache } from './cache.js';
+import { ensureDirectory, hashFile } from './files.js';
+import { renderTemplate } from './render.js';
+import { createError, ErrorTypes, retryWithBackoff } from './errors.js';
+import {
+  getCachedTemplate,
+  findCachedTemplate,
+  getCacheValidators,
+  markRevalidated,
+  cacheTemplate,
+  pruneCache
+} from './cache.js';
+import { DEFAULTS } from '../constants.js';
+import { getRequestOptions, isTransientError } from './http.js';
+import { downloadFile, getRetryOptions } from './download.js';
+import { getAssistant, getCommandExtension, getCommandPath, getArgumentsPlaceholder, formatCommand } from './assistants.js';
 
 const execAsync = promisify(exec);
 
+/**
+ * Directory inside a template directory holding partials for {{> name}} includes
+ */
+export const PARTIALS_DIR = '_partials';
+
+/**
+ * Directory of a template holding the assistant-neutral command sources
+ */
+export const COMMAND_TEMPLATES_DIR = '.specify/templates/commands';
+
+/**
+ * Version control directories of a template checkout, never copied into projects
+ */
+const VCS_DIRS = ['.git', '.hg', '.svn'];
+
+/**
+ * Templates shipped in the npm package, used when no release can be downloaded
+ */
+const BUNDLED_TEMPLATES_DIR = fileURLToPath(new URL('../../templates', import.meta.url));
+
+/**
+ * GitHub releases holding the template packages
+ */
+const RELEASES_URL = 'https://github.com/pnocera/nspecify/releases';
+
+/**
+ * Pattern matching semantic versions such as 1.2.0 or 1.2.0-beta.1
+ */
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Pattern matching a line of a sha256sum-style checksum file: "<hash>  <file>" or "<hash>"
+ */
+const CHECKSUM_LINE_PATTERN = /^([a-f0-9]{64})(?:\s+\*?(.+))?$/i;
+
+/**
+ * Unix file type bits of a symbolic link, as stored in the upper half of a zip entry's attributes
+ */
+const ZIP_SYMLINK_MODE = 0o120000;
+
+/**
+ * Policies for template files that already exist in the target directory
+ */
+export const ConflictPolicies = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  PROMPT: 'prompt'
+};
+
 /**
  * Detect the user's shell environment on Windows
  * @returns {Promise<'ps'|'sh'>} The detected shell type
@@ -77,47 +140,64 @@ export function parseFrontmatter(content) {
 
 /**
  * Replace template variables in content
+ * Renders the template with the shared engine, then fills the legacy
+ * {SCRIPT}, {ARGS}, {KEY} and __AGENT__ placeholders. The assistant named by
+ * variables.aiTool (default claude-code) provides agent, arguments,
+ * commandsDir and contextFile.
  * @param {string} content - The template content
  * @param {object} variables - Variables to replace
  * @param {string} shellType - Shell type ('sh' or 'ps')
+ * @param {object} [options={}] - Render options
+ * @param {object} [options.partials] - Partial sources by name
+ * @param {boolean} [options.strict=true] - Reject malformed tags instead of keeping them as written
  * @returns {string} Content with replaced variables
  */
-export function replaceVariables(content, variables = {}, shellType = 'ps') {
-  let processed = content;
-
+export function replaceVariables(content, variables = {}, shellType = 'ps', options = {}) {
   // Handle script-specific replacements
   const { frontmatter, body } = parseFrontmatter(content);
+  const scriptPath = frontmatter && frontmatter.scripts ? frontmatter.scripts[shellType] : null;
+
+  const assistant = getAssistant(variables.aiTool || 'claude-code');
+
+  const context = {
+    scriptType: shellType,
+    script: scriptPath || null,
+    args: shellType === 'ps' ? '-Json' : '--json',
+    agent: assistant.agent,
+    arguments: assistant.arguments ?? 'the user\'s request',
+    commandsDir: assistant.commandsDir,
+    contextFile: assistant.contextFile,
+    ...variables
+  };
 
-  if (frontmatter && frontmatter.scripts) {
-    const scriptPath = frontmatter.scripts[shellType];
-    if (scriptPath) {
-      // Replace {SCRIPT} with the appropriate script command
-      processed = body.replace(/{SCRIPT}/g, scriptPath);
-    }
-  }
+  let processed = renderTemplate(scriptPath ? body : content, context, options);
 
-  // Replace {ARGS} with proper argument format
-  const argFormat = shellType === 'ps' ? '-Json' : '--json';
-  processed = processed.replace(/{ARGS}/g, argFormat);
+  // Replace {SCRIPT} with the appropriate script command
+  if (scriptPath) {
+    processed = processed.replace(/{SCRIPT}/g, () => scriptPath);
+  }
 
-  // Replace __AGENT__ with "claude" (we only support Claude Code)
-  processed = processed.replace(/__AGENT__/g, 'claude');
+  // Replace {ARGS} with proper argument format, and any custom variables,
+  // in one pass so that replaced values are never scanned again
+  const placeholders = { ...variables, ARGS: context.args };
+  processed = processed.replace(/{(\w+)}/g, (match, key) => (
+    Object.hasOwn(placeholders, key) ? String(placeholders[key]) : match
+  ));
 
-  // Replace any custom variables
-  Object.entries(variables).forEach(([key, value]) => {
-    const regex = new RegExp(`{${key}}`, 'g');
-    processed = processed.replace(regex, value);
-  });
+  // Replace __AGENT__ with the agent name
+  processed = processed.replace(/__AGENT__/g, () => context.agent);
 
   return processed;
 }
 
 /**
  * Transform template paths for the target structure
+ * Commands go to the command directory of the AI assistant, with its extension
  * @param {string} sourcePath - Source template path
+ * @param {string} [aiTool='claude-code'] - AI assistant tool
  * @returns {string} Transformed path
  */
-export function transformTemplatePath(sourcePath) {
+export function transformTemplatePath(sourcePath, aiTool = 'claude-code') {
   // Normalize the path for consistent handling
   const normalized = normalize(sourcePath);
 
@@ -127,13 +207,16 @@ export function transformTemplatePath(sourcePath) {
     'scripts/bash/': '.specify/scripts/sh/',
     'scripts/powershell/': '.specify/scripts/ps/',
     'templates/': '.specify/templates/',
-    'commands/': '.claude/commands/'
+    'commands/': `${getAssistant(aiTool).commandsDir}/`
   };
 
   let transformed = normalized;
   for (const [from, to] of Object.entries(transformations)) {
     if (normalized.includes(from)) {
       transformed = normalized.replace(from, to);
+      if (from === 'commands/') {
+        transformed = transformed.replace(/\.md$/, getCommandExtension(aiTool));
+      }
       break;
     }
   }
@@ -155,21 +238,53 @@ export async function loadTemplate(templatePath) {
   }
 }
 
+/**
+ * Load the partials of a template directory
+ * @param {string} partialsDir - Partials directory
+ * @returns {Promise<Object<string, string>>} Partial sources keyed by path without extension
+ */
+export async function loadPartials(partialsDir) {
+  const partials = {};
+  if (!existsSync(partialsDir)) {
+    return partials;
+  }
+
+  const files = await readdir(partialsDir, { withFileTypes: true, recursive: true });
+  for (const file of files) {
+    if (file.isFile()) {
+      const relativePath = relative(partialsDir, join(file.path, file.name)).replace(/\\/g, '/');
+      const name = relativePath.slice(0, relativePath.length - extname(relativePath).length);
+      partials[name] = await readFile(join(file.path, file.name), 'utf-8');
+    }
+  }
+
+  return partials;
+}
+
 /**
  * Process a template file with variable replacement
  * @param {string} templatePath - Path to the template file
  * @param {object} variables - Variables to replace
  * @param {string} shellType - Shell type ('sh' or 'ps')
+ * @param {object} [options={}] - Render options
+ * @param {object} [options.partials] - Partial sources by name
+ * @param {boolean} [options.strict=true] - Reject malformed tags instead of keeping them as written
  * @returns {Promise<string>} Processed template content
  */
-export async function processTemplate(templatePath, variables = {}, shellType = null) {
+export async function processTemplate(templatePath, variables = {}, shellType = null, options = {}) {
   const content = await loadTemplate(templatePath);
   const detectedShellType = shellType || await detectShellType();
-  return replaceVariables(content, variables, detectedShellType);
+  return replaceVariables(content, variables, detectedShellType, options);
 }
 
 /**
  * Copy and process template directory
+ * Files in the _partials directory are available as {{> name}} includes
+ * and are not copied, nor are version control directories such as .git,
+ * which would otherwise land in the project. Command templates are copied as-is and rendered for
+ * the selected assistant by generateAgentCommands. Other documents and
+ * scripts are rendered leniently: braces that are not nspecify tags, such as
+ * a stray {{else}} or an unknown partial, are copied as written
  * @param {string} sourceDir - Source template directory
  * @param {string} targetDir - Target directory
  * @param {object} variables - Variables to replace
@@ -177,6 +292,8 @@ export async function processTemplate(templatePath, variables = {}, shellType =
  */
 export async function copyTemplateDirectory(sourceDir, targetDir, variables = {}, shellType = null) {
   const detectedShellType = shellType || await detectShellType();
+  const partialsDir = join(sourceDir, PARTIALS_DIR);
+  const partials = await loadPartials(partialsDir);
 
   // Ensure target directory exists
   ensureDirectory(targetDir);
@@ -190,12 +307,21 @@ export async function copyTemplateDirectory(sourceDir, targetDir, variables = {}
       const relativePath = relative(sourceDir, sourcePath);
       const targetPath = join(targetDir, relativePath);
 
+      if (!relative(partialsDir, sourcePath).startsWith('..')) {
+        continue;
+      }
+
+      if (relativePath.split(/[\\/]/).some((segment) => VCS_DIRS.includes(segment))) {
+        continue;
+      }
+
       // Ensure target directory exists
       ensureDirectory(dirname(targetPath));
 
       // Process template files, copy others as-is
-      if (file.name.endsWith('.md') || file.name.endsWith('.sh') || file.name.endsWith('.ps1')) {
-        const content = await processTemplate(sourcePath, variables, detectedShellType);
+      const isCommandTemplate = relativePath.replace(/\\/g, '/').startsWith(`${COMMAND_TEMPLATES_DIR}/`);
+      if (!isCommandTemplate && (file.name.endsWith('.md') || file.name.endsWith('.sh') || file.name.endsWith('.ps1'))) {
+        const content = await processTemplate(sourcePath, variables, detectedShellType, { partials, strict: false });
         await writeFile(targetPath, content, 'utf-8');
         log.debug(`Processed template: ${relativePath}`);
       } else {
@@ -263,17 +389,21 @@ export function createScriptWrapper(scriptPath, shellType = 'ps') {
 /**
  * Validate template structure
  * @param {string} templateDir - Template directory to validate
+ * @param {object} [options={}] - Validation options
+ * @param {string} [options.scriptType] - Only require scripts of this type ('sh' or 'ps')
  * @returns {Promise<{valid: boolean, errors: string[]}>} Validation result
  */
-export async function validateTemplateStructure(templateDir) {
+export async function validateTemplateStructure(templateDir, options = {}) {
+  const { scriptType = null, aiTool = 'claude-code' } = options;
   const errors = [];
   const requiredPaths = [
     '.specify/memory/constitution.md',
     '.specify/scripts/sh/create-new-feature.sh',
     '.specify/scripts/ps/create-new-feature.ps1',
-    '.specify/templates/spec-template.md',
-    '.claude/commands/specify.md'
-  ];
+    '.specify/templates/spec-template.md'
+  ].filter((requiredPath) => {
+    return !scriptType || !requiredPath.startsWith('.specify/scripts/') || requiredPath.startsWith(`.specify/scripts/${scriptType}/`);
+  });
 
   for (const requiredPath of requiredPaths) {
     const fullPath = join(templateDir, requiredPath);
@@ -282,27 +412,259 @@ export async function validateTemplateStructure(templateDir) {
     }
   }
 
+  // The assistant's commands can be generated from the command templates
+  const commandPath = getCommandPath(aiTool, 'specify');
+  if (!existsSync(join(templateDir, commandPath)) && !existsSync(join(templateDir, COMMAND_TEMPLATES_DIR, 'specify.md'))) {
+    errors.push(`Missing required file: ${commandPath}`);
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Write the command files of an AI assistant from the command templates
+ * Scripts are resolved for the shell type and their paths point at the
+ * installed .specify/scripts, and {ARGS} becomes the assistant's arguments
+ * placeholder. Existing command files are kept, so prebuilt templates win.
+ * @param {string} templateDir - Template or project directory
+ * @param {string} aiTool - AI assistant tool
+ * @param {string} shellType - Shell type ('sh' or 'ps')
+ * @param {object} [variables={}] - Extra template variables
+ * @returns {Promise<string[]>} Written command files relative to templateDir
+ */
+export async function generateAgentCommands(templateDir, aiTool, shellType, variables = {}) {
+  const sourceDir = join(templateDir, COMMAND_TEMPLATES_DIR);
+  if (!existsSync(sourceDir)) {
+    return [];
+  }
+
+  const names = (await readdir(sourceDir)).filter((file) => file.endsWith('.md')).sort();
+  const written = [];
+
+  for (const file of names) {
+    const commandPath = getCommandPath(aiTool, basename(file, '.md'));
+    const targetPath = join(templateDir, commandPath);
+    if (existsSync(targetPath)) {
+      continue;
+    }
+
+    const content = await loadTemplate(join(sourceDir, file));
+    const { frontmatter } = parseFrontmatter(content);
+    // {ARGS} in a command stands for what the user typed after it
+    const placeholder = getArgumentsPlaceholder(aiTool);
+    const commandVariables = { args: placeholder, arguments: placeholder, ...variables, aiTool };
+    const rendered = parseFrontmatter(replaceVariables(content, commandVariables, shellType)).body
+      .replace(/\bscripts\/bash\//g, '.specify/scripts/sh/')
+      .replace(/\bscripts\/powershell\//g, '.specify/scripts/ps/');
+
+    ensureDirectory(dirname(targetPath));
+    await writeFile(targetPath, formatCommand(aiTool, {
+      description: frontmatter?.description || '',
+      body: rendered
+    }), 'utf-8');
+    written.push(commandPath);
+    log.debug(`Generated ${aiTool} command: ${commandPath}`);
+  }
+
+  return written;
+}
+
+/**
+ * Normalize a template version such as "v1.2.0" to "1.2.0"
+ * @param {string|null} version - Template version, null for the latest release
+ * @returns {string|null} Normalized version
+ * @throws {Error} If the version is not a semantic version
+ */
+export function normalizeTemplateVersion(version) {
+  if (!version || version === 'latest') {
+    return null;
+  }
+
+  const normalized = String(version).trim().replace(/^v/i, '');
+  if (!SEMVER_PATTERN.test(normalized)) {
+    throw createError(
+      `Invalid template version: ${version}`,
+      ErrorTypes.INVALID_INPUT,
+      { suggestion: 'Use a release version such as 1.2.0 or v1.2.0' }
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the download URL of a release template
+ * @param {string} aiTool - AI assistant tool
+ * @param {string} scriptType - Script type ('sh' or 'ps')
+ * @param {string|null} [version=null] - Template version, null for the latest release
+ * @returns {string} Download URL
+ */
+export function getTemplateUrl(aiTool, scriptType, version = null) {
+  const baseUrl = version
+    ? `${RELEASES_URL}/download/v${version}`
+    : `${RELEASES_URL}/latest/download`;
+  return `${baseUrl}/specify-${aiTool}-${scriptType}.zip`;
+}
+
+/**
+ * Check that a release template can be downloaded, without downloading it
+ * Uses the same request options as downloadTemplate, so proxy, certificate
+ * and timeout settings apply the same way
+ * @param {string} aiTool - AI assistant tool
+ * @param {string} scriptType - Script type ('sh' or 'ps')
+ * @param {Object} [options={}] - Probe options
+ * @param {string|null} [options.version=null] - Template version, null for the latest release
+ * @param {number} [options.timeout] - Timeout in milliseconds, defaults to the configured one
+ * @returns {Promise<{url: string, reachable: boolean, status: number|null, latency: number|null, error: string|null}>} Probe result
+ */
+export async function probeTemplate(aiTool, scriptType, options = {}) {
+  const url = getTemplateUrl(aiTool, scriptType, normalizeTemplateVersion(options.version));
+  const start = Date.now();
+
+  try {
+    const response = await axios({
+      method: 'HEAD',
+      url,
+      ...getRequestOptions(url, { timeout: options.timeout }),
+      headers: {
+        'User-Agent': 'nspecify-cli'
+      },
+      maxRedirects: 5,
+      // Report every status instead of throwing on 4xx and 5xx
+      validateStatus: () => true
+    });
+
+    return {
+      url,
+      reachable: response.status < 400,
+      status: response.status,
+      latency: Date.now() - start,
+      error: null
+    };
+  } catch (error) {
+    return { url, reachable: false, status: null, latency: null, error: error.message };
+  }
+}
+
+/**
+ * Parse a sha256sum-style checksum file
+ * @param {string} content - Checksum file content
+ * @param {string} [fileName] - File to look up when the checksum file lists several files
+ * @returns {string|null} Lowercase hex checksum or null if none is listed for the file
+ */
+export function parseChecksum(content, fileName) {
+  for (const line of String(content).split(/\r?\n/)) {
+    const match = line.trim().match(CHECKSUM_LINE_PATTERN);
+    if (match && (!match[2] || !fileName || match[2].trim() === fileName)) {
+      return match[1].toLowerCase();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the SHA-256 checksum published next to a release asset as <asset>.sha256
+ * @param {string} url - Release asset URL
+ * @returns {Promise<string|null>} Hex checksum, or null if the release publishes none
+ * @throws {Error} If the checksum file cannot be downloaded or is malformed
+ */
+export async function fetchChecksum(url) {
+  const checksumUrl = `${url}.sha256`;
+  let response;
+
+  try {
+    response = await retryWithBackoff(() => axios({
+      method: 'GET',
+      url: checksumUrl,
+      responseType: 'text',
+      ...getRequestOptions(checksumUrl),
+      headers: {
+        'User-Agent': 'nspecify-cli'
+      },
+      maxRedirects: 5
+    }), getRetryOptions(checksumUrl));
+  } catch (error) {
+    // Releases built before checksums were introduced have none
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  const checksum = parseChecksum(response.data, basename(new URL(url).pathname));
+  if (!checksum) {
+    throw createError(`Malformed checksum file: ${checksumUrl}`, ErrorTypes.INTEGRITY);
+  }
+
+  return checksum;
+}
+
+/**
+ * Verify the SHA-256 checksum of a file
+ * @param {string} filePath - File to verify
+ * @param {string} expected - Expected hex checksum
+ * @param {string} [name] - Name to report, defaults to the file name
+ * @returns {Promise<string>} The verified checksum
+ * @throws {Error} INTEGRITY error if the checksums differ
+ */
+export async function verifyChecksum(filePath, expected, name = basename(filePath)) {
+  const actual = await hashFile(filePath);
+
+  if (actual !== expected.toLowerCase()) {
+    throw createError(
+      `Checksum mismatch for ${name}: expected ${expected.toLowerCase()}, got ${actual}`,
+      ErrorTypes.INTEGRITY,
+      { expected: expected.toLowerCase(), actual }
+    );
+  }
+
+  return actual;
+}
+
 /**
  * Download template from GitHub releases
+ * The archive is verified against its published SHA-256 checksum before it is
+ * cached or returned for extraction. Transient failures are retried and
+ * interrupted downloads resumed, see downloadFile. An expired cached template
+ * is revalidated with its ETag or Last-Modified date, so an unchanged
+ * release costs a 304 response instead of a full download
  * @param {string} scriptType - Script type ('sh' or 'ps')
  * @param {string} targetDir - Target directory for download
  * @param {object} options - Download options
+ * @param {string} [options.aiTool='claude-code'] - AI assistant tool
+ * @param {boolean} [options.useCache=true] - Use and fill the template cache
+ * @param {string|null} [options.version=null] - Template version, null for the latest release
+ * @param {boolean} [options.offline=false] - Skip the network and use a cached template of any age
+ * @param {Function} [options.onProgress] - Download progress callback, see downloadFile
  * @returns {Promise<string>} Path to downloaded file
+ * @throws {Error} INTEGRITY error if the download does not match its checksum or is too large,
+ *   NETWORK error if GitHub cannot be reached and no cached template is left to fall back on
  */
 export async function downloadTemplate(scriptType, targetDir, options = {}) {
-  const { aiTool = 'claude-code', useCache = true } = options;
+  const { aiTool = 'claude-code', useCache = true, offline = false, onProgress } = options;
+  const version = normalizeTemplateVersion(options.version);
+
+  if (offline) {
+    const stalePath = await useStaleTemplate(aiTool, scriptType, version, 'Offline');
+    if (stalePath) {
+      return stalePath;
+    }
+    throw createError(
+      `No cached template for ${aiTool} (${scriptType})${version ? ` version ${version}` : ''} to use offline`,
+      ErrorTypes.NETWORK,
+      { code: 'ERR_OFFLINE', suggestion: 'Run nspecify cache warm while online to cache the templates' }
+    );
+  }
 
   // Check cache first if enabled
   if (useCache) {
-    const cachedPath = await getCachedTemplate(aiTool, scriptType);
+    const cachedPath = await getCachedTemplate(aiTool, scriptType, version);
     if (cachedPath) {
-      log.info('Using cached template');
+      log.info(`Using cached template${version ? ` ${version}` : ''}`);
       // Prune old cache files in background - but don't let it interfere with tests
       if (process.env.NODE_ENV !== 'test') {
         pruneCache().catch(() => { });
@@ -312,89 +674,326 @@ export async function downloadTemplate(scriptType, targetDir, options = {}) {
   }
 
   // Construct download URL
-  const baseUrl = 'https://github.com/pnocera/nspecify/releases/latest/download';
   const fileName = `specify-${aiTool}-${scriptType}.zip`;
-  const url = `${baseUrl}/${fileName}`;
+  const url = getTemplateUrl(aiTool, scriptType, version);
 
   log.info(`Downloading template from: ${url}`);
 
-  // Use axios to download the file
   const tempPath = join(targetDir, `template-${Date.now()}.zip`);
+  const cached = useCache ? await getCacheValidators(aiTool, scriptType, version) : null;
+  let validators = {};
 
   try {
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'nspecify-cli'
-      },
-      // Follow redirects
-      maxRedirects: 5
+    const downloaded = await downloadFile(url, tempPath, {
+      onProgress,
+      validators: cached,
+      onValidators: (response) => {
+        validators = response;
+      }
     });
 
-    const writer = createWriteStream(tempPath);
-    response.data.pipe(writer);
+    if (!downloaded) {
+      await markRevalidated(aiTool, scriptType, version, validators);
+      log.info(`Cached template${version ? ` ${version}` : ''} is up to date`);
+      return cached.path;
+    }
+    log.info('Template download completed');
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', async () => {
-        log.info('Template download completed');
+    const checksum = await fetchChecksum(url);
 
-        // Cache the template for future use
-        if (useCache) {
-          await cacheTemplate(aiTool, scriptType, tempPath);
-        }
+    if (checksum) {
+      await verifyChecksum(tempPath, checksum, fileName);
+      log.debug(`Verified SHA-256 checksum of ${fileName}`);
+    } else {
+      log.warn(`No checksum published for ${fileName}, skipping verification`);
+    }
 
-        resolve(tempPath);
-      });
-      writer.on('error', reject);
-      response.data.on('error', reject);
-    });
+    // Cache the template for future use, with what revalidates it later
+    if (useCache) {
+      await cacheTemplate(aiTool, scriptType, tempPath, version, { url, ...validators });
+    }
+
+    return tempPath;
   } catch (error) {
+    // Never leave a partial or unverified archive behind
+    try {
+      await unlink(tempPath);
+    } catch (unlinkError) {
+      log.debug('Could not remove rejected template:', unlinkError.message);
+    }
+
+    if (error.type === ErrorTypes.INTEGRITY) {
+      throw error;
+    }
+
     // If it's a 404, provide a more helpful error message
     if (error.response && error.response.status === 404) {
+      if (version) {
+        throw new Error(`Template not found: ${fileName} for version ${version}. Please check that release v${version} exists.`);
+      }
       throw new Error(`Template not found: ${fileName}. Please check that the nspecify repository has released templates.`);
     }
+
+    // Without network, an expired cache entry beats failing
+    if (isNetworkFailure(error)) {
+      const stalePath = useCache
+        ? await useStaleTemplate(aiTool, scriptType, version, `Cannot download template (${error.message})`)
+        : null;
+      if (stalePath) {
+        return stalePath;
+      }
+      throw createError(`Failed to download template: ${error.message}`, ErrorTypes.NETWORK, { code: error.code });
+    }
     throw new Error(`Failed to download template: ${error.message}`);
   }
 }
 
+/**
+ * Check whether a download failed because GitHub could not be reached
+ * Unlike HTTP errors such as 404, these say nothing about the release itself
+ * @param {Error} error - Download error
+ * @returns {boolean} True for connection failures and server errors
+ */
+function isNetworkFailure(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  return Boolean(error.request) || error.type === ErrorTypes.NETWORK || isTransientError(error);
+}
+
+/**
+ * Use a cached template regardless of its age instead of downloading it
+ * Warns with the version and age of the template, which may be outdated
+ * @param {string} aiTool - AI assistant tool
+ * @param {string} scriptType - Script type ('sh' or 'ps')
+ * @param {string|null} version - Template version, null for the latest release
+ * @param {string} reason - Why the network is not used, starts the warning
+ * @returns {Promise<string|null>} Cached template path, or null if none is cached
+ */
+async function useStaleTemplate(aiTool, scriptType, version, reason) {
+  const entry = await findCachedTemplate(aiTool, scriptType, version);
+  if (!entry) {
+    return null;
+  }
+
+  const templateVersion = getTemplateVersion(entry.path) || entry.version;
+  const days = Math.floor(entry.age / (24 * 60 * 60 * 1000));
+  log.warn(
+    `${reason}, using cached template ${templateVersion || 'of unknown version'} ` +
+    `for ${aiTool} (${scriptType}), cached ${days === 0 ? 'today' : `${days} day(s) ago`}`
+  );
+  return entry.path;
+}
+
+/**
+ * Get the templates bundled with the npm package
+ * They match the release of the installed nspecify version
+ * @returns {Promise<{dir: string, version: string|null}|null>} Template directory and version, or null if the package has none
+ */
+export async function getBundledTemplates() {
+  if (!existsSync(join(BUNDLED_TEMPLATES_DIR, '.specify'))) {
+    return null;
+  }
+
+  let version = null;
+  try {
+    const packagePath = fileURLToPath(new URL('../../package.json', import.meta.url));
+    ({ version = null } = JSON.parse(await readFile(packagePath, 'utf-8')));
+  } catch (error) {
+    log.debug('Could not read the nspecify version:', error.message);
+  }
+
+  return { dir: BUNDLED_TEMPLATES_DIR, version };
+}
+
+/**
+ * Read the template version from the manifest.json bundled in a template zip
+ * @param {string} zipPath - Path to zip file
+ * @returns {string|null} Template version or null if not recorded
+ */
+export function getTemplateVersion(zipPath) {
+  try {
+    const zip = new AdmZip(zipPath);
+    const entry = zip.getEntry('manifest.json');
+    if (!entry) {
+      return null;
+    }
+
+    const manifest = JSON.parse(entry.getData().toString('utf8'));
+    return manifest.version || null;
+  } catch (error) {
+    log.debug('Could not read template version:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve an archive entry name to a path inside the target directory
+ * @param {string} entryName - Entry name as stored in the archive
+ * @param {string} targetDir - Directory the archive is extracted to
+ * @returns {string} Entry path relative to targetDir, with forward slashes
+ * @throws {Error} INTEGRITY error if the entry would be written outside targetDir
+ */
+export function sanitizeEntryPath(entryName, targetDir) {
+  const name = entryName.replace(/\\/g, '/');
+  const root = resolve(targetDir);
+  const fullPath = resolve(root, name);
+
+  const unsafe = name.includes('\0') ||
+    name.startsWith('/') ||
+    /^[a-z]:/i.test(name) ||
+    name.split('/').includes('..') ||
+    !fullPath.startsWith(root + sep);
+
+  if (unsafe) {
+    throw createError(
+      `Unsafe path in template archive: ${entryName}`,
+      ErrorTypes.INTEGRITY,
+      { suggestion: 'Only install templates from sources you trust' }
+    );
+  }
+
+  return relative(root, fullPath).split(sep).join('/');
+}
+
+/**
+ * Decide whether a template file may be written where a file already exists
+ * @param {string} targetPath - Path the file would be written to
+ * @param {string} relativePath - Path shown to the user
+ * @param {Object} [options={}] - Conflict options
+ * @param {string} [options.conflict='overwrite'] - Policy from ConflictPolicies
+ * @param {Function} [options.onConflict] - Asked with the prompt policy, resolves to 'overwrite' or 'skip'
+ * @returns {Promise<boolean>} True if the file should be written
+ */
+export async function resolveFileConflict(targetPath, relativePath, options = {}) {
+  const { conflict = ConflictPolicies.OVERWRITE, onConflict } = options;
+
+  if (!existsSync(targetPath) || conflict === ConflictPolicies.OVERWRITE) {
+    return true;
+  }
+
+  if (conflict === ConflictPolicies.PROMPT && onConflict) {
+    return await onConflict(relativePath) === ConflictPolicies.OVERWRITE;
+  }
+
+  return false;
+}
+
+/**
+ * Create the error for archives above the size limit
+ * @param {number} maxSize - Maximum total uncompressed size in bytes
+ * @returns {Error} INTEGRITY error
+ */
+function archiveTooLarge(maxSize) {
+  return createError(
+    `Template archive exceeds the size limit of ${maxSize} bytes uncompressed`,
+    ErrorTypes.INTEGRITY
+  );
+}
+
+/**
+ * Check archive entries before anything is written
+ * @param {Object[]} entries - Zip entries
+ * @param {string} targetDir - Target directory for extraction
+ * @param {Object} limits - Archive limits
+ * @param {number} limits.maxSize - Maximum total uncompressed size in bytes
+ * @param {number} limits.maxEntries - Maximum number of entries
+ * @returns {{entry: Object, path: string}[]} File entries with their sanitized paths
+ * @throws {Error} INTEGRITY error if an entry is unsafe or a limit is exceeded
+ */
+function checkArchiveEntries(entries, targetDir, { maxSize, maxEntries }) {
+  if (entries.length > maxEntries) {
+    throw createError(
+      `Template archive has too many entries: ${entries.length} (limit ${maxEntries})`,
+      ErrorTypes.INTEGRITY
+    );
+  }
+
+  const files = [];
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    if (((entry.attr >>> 16) & 0o170000) === ZIP_SYMLINK_MODE) {
+      throw createError(
+        `Symbolic links are not allowed in template archives: ${entry.entryName}`,
+        ErrorTypes.INTEGRITY
+      );
+    }
+
+    // Directories are created for the files they contain
+    if (entry.isDirectory) {
+      continue;
+    }
+
+    totalSize += entry.header?.size || 0;
+    if (totalSize > maxSize) {
+      throw archiveTooLarge(maxSize);
+    }
+
+    files.push({ entry, path: sanitizeEntryPath(entry.entryName, targetDir) });
+  }
+
+  return files;
+}
+
 /**
  * Extract template zip file
+ * Entries are checked before anything is written: paths must stay inside
+ * targetDir, symbolic links are refused, and the archive must stay within the
+ * size and entry-count limits
  * @param {string} zipPath - Path to zip file
  * @param {string} targetDir - Target directory for extraction
- * @returns {Promise<void>}
+ * @param {Object} [options={}] - Extraction options
+ * @param {string} [options.conflict='overwrite'] - Policy for existing files, from ConflictPolicies
+ * @param {Function} [options.onConflict] - Asked with the prompt policy, resolves to 'overwrite' or 'skip'
+ * @param {number} [options.maxSize=DEFAULTS.maxFileSize] - Maximum total uncompressed size in bytes
+ * @param {number} [options.maxEntries=DEFAULTS.maxArchiveEntries] - Maximum number of entries
+ * @returns {Promise<string[]>} Written file paths relative to targetDir
+ * @throws {Error} INTEGRITY error if the archive is unsafe
  */
-export async function extractTemplate(zipPath, targetDir) {
+export async function extractTemplate(zipPath, targetDir, options = {}) {
+  const {
+    maxSize = DEFAULTS.maxFileSize,
+    maxEntries = DEFAULTS.maxArchiveEntries
+  } = options;
+
   try {
     log.info(`Extracting template to: ${targetDir}`);
 
     const zip = new AdmZip(zipPath);
-    const entries = zip.getEntries();
+    const files = checkArchiveEntries(zip.getEntries(), targetDir, { maxSize, maxEntries });
+    const extracted = [];
+    let writtenSize = 0;
 
-    for (const entry of entries) {
-      const entryName = entry.entryName;
+    for (const { entry, path: relativePath } of files) {
+      const targetPath = join(targetDir, relativePath);
 
-      // Skip if it's a directory entry
-      if (entry.isDirectory) {
+      if (!await resolveFileConflict(targetPath, relativePath, options)) {
+        log.info(`Kept existing file: ${relativePath}`);
         continue;
       }
 
-      // Calculate target path
-      const targetPath = join(targetDir, entryName);
+      // Declared sizes can lie, so count what is actually written
+      const data = entry.getData();
+      writtenSize += data.length;
+      if (writtenSize > maxSize) {
+        throw archiveTooLarge(maxSize);
+      }
 
-      // Ensure directory exists
       ensureDirectory(dirname(targetPath));
+      await writeFile(targetPath, data);
+      extracted.push(relativePath);
 
-      // Extract file
-      zip.extractEntryTo(entry, dirname(targetPath), false, true);
-
-      log.debug(`Extracted: ${entryName}`);
+      log.debug(`Extracted: ${relativePath}`);
     }
 
     log.info('Template extraction completed');
+    return extracted;
   } catch (error) {
+    if (error.type === ErrorTypes.INTEGRITY) {
+      throw error;
+    }
     throw new Error(`Failed to extract template: ${error.message}`);
   }
 }
\ No newline at end of file
@@ -145,12 +145,16 @@ jest.unstable_mockModule('yaml', () => ({
     } catch {
       throw new Error('Invalid YAML');
     }
-  })
+  }),
+  stringify: jest.fn((data) => Object.entries(data).map(([key, value]) => `${key}: ${value}\n`).join(''))
 }));
 
 // Mock cache utilities
 jest.unstable_mockModule('./cache.js', () => ({
   getCachedTemplate: jest.fn().mockResolvedValue(null),
+  findCachedTemplate: jest.fn().mockResolvedValue(null),
+  getCacheValidators: jest.fn().mockResolvedValue(null),
+  markRevalidated: jest.fn().mockResolvedValue(undefined),
   cacheTemplate: jest.fn().mockResolvedValue(undefined),
   pruneCache: jest.fn().mockResolvedValue(0)
 }));
@@ -188,7 +192,8 @@ jest.unstable_mockModule('child_process', () => ({
 
 // Mock files.js utilities
 jest.unstable_mockModule('./files.js', () => ({
-  ensureDirectory: jest.fn().mockResolvedValue(undefined)
+  ensureDirectory: jest.fn().mockResolvedValue(undefined),
+  hashFile: jest.fn()
 }));
 
 const {
@@ -203,8 +208,16 @@ const {
   createScriptWrapper,
   validateTemplateStructure,
   downloadTemplate,
-  extractTemplate
+  extractTemplate,
+  normalizeTemplateVersion,
+  getTemplateUrl,
+  probeTemplate,
+  parseChecksum,
+  sanitizeEntryPath
 } = await import('./templates.js');
+const { getCachedTemplate, findCachedTemplate, getCacheValidators, markRevalidated, cacheTemplate } = await import('./cache.js');
+const { logger } = await import('./logger.js');
+const { hashFile } = await import('./files.js');
 
 // Import axios mock before templates to ensure proper mocking
 const mockAxiosInstance = await import('axios');
@@ -310,13 +323,22 @@ Body content`;
   });
 
   describe('downloadTemplate', () => {
+    const checksum = 'a'.repeat(64);
+
     beforeEach(() => {
       // Mock successful axios response with stream
       const mockStream = new Readable();
       mockStream.push('test data');
       mockStream.push(null);
       
-      axiosMock.mockImplementation(() => {
+      axiosMock.mockImplementation(({ url }) => {
+        // Releases without published checksums
+        if (url.endsWith('.sha256')) {
+          const error = new Error('Not Found');
+          error.response = { status: 404 };
+          return Promise.reject(error);
+        }
+
         return Promise.resolve({
           data: mockStream,
           status: 200,
@@ -342,6 +364,63 @@ Body content`;
       expect(result).toMatch(/template-\d+\.zip$/);
     });
 
+    it('should download a pinned version and cache it under its version', async () => {
+      getCachedTemplate.mockResolvedValue(null);
+
+      await downloadTemplate('sh', '/temp/dir', { aiTool: 'claude-code', version: 'v1.2.0' });
+
+      expect(getCachedTemplate).toHaveBeenCalledWith('claude-code', 'sh', '1.2.0');
+      expect(axiosMock).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://github.com/pnocera/nspecify/releases/download/v1.2.0/specify-claude-code-sh.zip'
+      }));
+      expect(cacheTemplate).toHaveBeenCalledWith('claude-code', 'sh', expect.stringMatching(/template-\d+\.zip$/), '1.2.0', expect.objectContaining({
+        url: 'https://github.com/pnocera/nspecify/releases/download/v1.2.0/specify-claude-code-sh.zip'
+      }));
+    });
+
+    it('should verify the archive against its published checksum before caching it', async () => {
+      const download = axiosMock.getMockImplementation();
+      axiosMock.mockImplementation((config) => config.url.endsWith('.sha256')
+        ? Promise.resolve({ data: `${checksum}  specify-claude-code-sh.zip\n`, status: 200 })
+        : download(config));
+      hashFile.mockResolvedValue(checksum);
+
+      const result = await downloadTemplate('sh', '/temp/dir', { aiTool: 'claude-code' });
+
+      expect(axiosMock).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://github.com/pnocera/nspecify/releases/latest/download/specify-claude-code-sh.zip.sha256'
+      }));
+      expect(hashFile).toHaveBeenCalledWith(result);
+      expect(cacheTemplate).toHaveBeenCalledWith('claude-code', 'sh', result, null, expect.any(Object));
+    });
+
+    it('should reject and remove an archive that does not match its checksum', async () => {
+      const download = axiosMock.getMockImplementation();
+      axiosMock.mockImplementation((config) => config.url.endsWith('.sha256')
+        ? Promise.resolve({ data: checksum, status: 200 })
+        : download(config));
+      hashFile.mockResolvedValue('b'.repeat(64));
+
+      await expect(
+        downloadTemplate('sh', '/temp/dir', { aiTool: 'claude-code' })
+      ).rejects.toMatchObject({
+        type: 'INTEGRITY',
+        message: expect.stringContaining('Checksum mismatch for specify-claude-code-sh.zip')
+      });
+      expect(mockFs.unlink).toHaveBeenCalledWith(expect.stringMatching(/template-\d+\.zip$/));
+      expect(cacheTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should name the version when a pinned release is missing', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axiosMock.mockRejectedValue(error);
+
+      await expect(
+        downloadTemplate('sh', '/temp/dir', { version: '9.9.9', useCache: false })
+      ).rejects.toThrow('Please check that release v9.9.9 exists');
+    });
+
     it('should handle download errors', async () => {
       // Mock axios to throw error
       axiosMock.mockRejectedValue(new Error('Network error'));
@@ -361,6 +440,131 @@ Body content`;
         downloadTemplate('ps', '/temp/dir', { aiTool: 'cursor', useCache: false })
       ).rejects.toThrow('Template not found: specify-cursor-ps.zip');
     });
+
+    it('should record the ETag and Last-Modified date of a download in the cache', async () => {
+      const download = axiosMock.getMockImplementation();
+      axiosMock.mockImplementation(async (config) => ({
+        ...await download(config),
+        headers: { etag: '"v2"', 'last-modified': 'Tue, 01 Sep 2026 10:00:00 GMT' }
+      }));
+
+      const result = await downloadTemplate('sh', '/temp/dir', { aiTool: 'cursor' });
+
+      expect(cacheTemplate).toHaveBeenCalledWith('cursor', 'sh', result, null, {
+        url: 'https://github.com/pnocera/nspecify/releases/latest/download/specify-cursor-sh.zip',
+        etag: '"v2"',
+        lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT'
+      });
+    });
+
+    it('should revalidate an expired cached template instead of downloading it again', async () => {
+      getCacheValidators.mockResolvedValueOnce({ path: '/cache/cursor-sh.zip', etag: '"v1"', lastModified: null });
+      axiosMock.mockImplementation(async () => ({
+        data: new Readable({ read() {} }),
+        status: 304,
+        headers: { etag: '"v1"' }
+      }));
+
+      await expect(downloadTemplate('sh', '/temp/dir', { aiTool: 'cursor' })).resolves.toBe('/cache/cursor-sh.zip');
+
+      expect(axiosMock).toHaveBeenCalledTimes(1);
+      expect(axiosMock).toHaveBeenCalledWith(expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '"v1"' })
+      }));
+      expect(markRevalidated).toHaveBeenCalledWith('cursor', 'sh', null, { etag: '"v1"', lastModified: null });
+      expect(cacheTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should use a cached template of any age offline', async () => {
+      findCachedTemplate.mockResolvedValueOnce({ path: '/cache/cursor-sh@1.0.2.zip', version: '1.0.2', age: 3 * 24 * 60 * 60 * 1000 });
+
+      await expect(downloadTemplate('sh', '/temp/dir', { aiTool: 'cursor', offline: true }))
+        .resolves.toBe('/cache/cursor-sh@1.0.2.zip');
+
+      expect(axiosMock).not.toHaveBeenCalled();
+      expect(findCachedTemplate).toHaveBeenCalledWith('cursor', 'sh', null);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Offline, using cached template .+ for cursor \(sh\), cached 3 day\(s\) ago$/));
+    });
+
+    it('should fail offline without a cached template', async () => {
+      await expect(downloadTemplate('ps', '/temp/dir', { aiTool: 'cursor', version: '1.2.0', offline: true }))
+        .rejects.toMatchObject({ type: 'NETWORK', code: 'ERR_OFFLINE', message: 'No cached template for cursor (ps) version 1.2.0 to use offline' });
+      expect(axiosMock).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to an expired cached template when GitHub cannot be reached', async () => {
+      const error = new Error('getaddrinfo ENOTFOUND github.com');
+      error.code = 'ENOTFOUND';
+      error.request = {};
+      axiosMock.mockRejectedValue(error);
+      findCachedTemplate.mockResolvedValueOnce({ path: '/cache/cursor-ps.zip', version: null, age: 60 * 1000 });
+
+      await expect(downloadTemplate('ps', '/temp/dir', { aiTool: 'cursor' })).resolves.toBe('/cache/cursor-ps.zip');
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Cannot download template (getaddrinfo ENOTFOUND github.com), using cached template'));
+
+      await expect(downloadTemplate('ps', '/temp/dir', { aiTool: 'cursor' }))
+        .rejects.toMatchObject({ type: 'NETWORK', message: 'Failed to download template: getaddrinfo ENOTFOUND github.com' });
+    });
+  });
+
+  describe('parseChecksum', () => {
+    it('should read bare checksums and sha256sum listings', () => {
+      const sh = 'a'.repeat(64);
+      const ps = 'B'.repeat(64);
+
+      expect(parseChecksum(`${sh}\n`)).toBe(sh);
+      expect(parseChecksum(`${sh}  specify-sh.zip\n${ps} *specify-ps.zip\n`, 'specify-ps.zip')).toBe('b'.repeat(64));
+      expect(parseChecksum(`${sh}  specify-sh.zip`, 'specify-ps.zip')).toBeNull();
+      expect(parseChecksum('<html>Not Found</html>')).toBeNull();
+    });
+  });
+
+  describe('normalizeTemplateVersion', () => {
+    it('should strip a leading v and treat latest as unpinned', () => {
+      expect(normalizeTemplateVersion('v1.2.0')).toBe('1.2.0');
+      expect(normalizeTemplateVersion('1.2.0-beta.1')).toBe('1.2.0-beta.1');
+      expect(normalizeTemplateVersion('latest')).toBeNull();
+      expect(normalizeTemplateVersion(null)).toBeNull();
+    });
+
+    it('should reject versions that are not semantic versions', () => {
+      expect(() => normalizeTemplateVersion('1.2')).toThrow('Invalid template version: 1.2');
+    });
+  });
+
+  describe('getTemplateUrl', () => {
+    it('should point at the latest or a tagged release', () => {
+      expect(getTemplateUrl('cursor', 'ps')).toBe('https://github.com/pnocera/nspecify/releases/latest/download/specify-cursor-ps.zip');
+      expect(getTemplateUrl('cursor', 'ps', '1.0.2')).toBe('https://github.com/pnocera/nspecify/releases/download/v1.0.2/specify-cursor-ps.zip');
+    });
+  });
+
+  describe('probeTemplate', () => {
+    it('should send a HEAD request to the release and report the status', async () => {
+      axiosMock.mockResolvedValue({ status: 404 });
+
+      const result = await probeTemplate('cursor', 'sh', { version: 'v1.0.2' });
+
+      expect(axiosMock).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'HEAD',
+        url: 'https://github.com/pnocera/nspecify/releases/download/v1.0.2/specify-cursor-sh.zip',
+        timeout: 30000,
+        proxy: false
+      }));
+      expect(result).toMatchObject({ reachable: false, status: 404, error: null });
+      expect(result.latency).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should report network errors without throwing', async () => {
+      axiosMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND github.com'));
+
+      await expect(probeTemplate('claude-code', 'ps')).resolves.toMatchObject({
+        reachable: false,
+        status: null,
+        latency: null,
+        error: 'getaddrinfo ENOTFOUND github.com'
+      });
+    });
   });
 
   describe('extractTemplate', () => {
@@ -376,6 +580,19 @@ Body content`;
     });
   });
 
+  describe('sanitizeEntryPath', () => {
+    it('should keep entries inside the target directory', () => {
+      expect(sanitizeEntryPath('.specify/memory/constitution.md', '/project')).toBe('.specify/memory/constitution.md');
+      expect(sanitizeEntryPath('./docs\\guide.md', '/project')).toBe('docs/guide.md');
+    });
+
+    it('should reject traversal and absolute entries', () => {
+      for (const name of ['../x', 'a/../../x', '..\\x', '/etc/passwd', 'C:\\x', 'a\0b']) {
+        expect(() => sanitizeEntryPath(name, '/project')).toThrow(`Unsafe path in template archive: ${name}`);
+      }
+    });
+  });
+
   describe('replaceVariables', () => {
     it('should replace script variables based on shell type', () => {
       const content = `---
@@ -408,6 +625,12 @@ Run: {SCRIPT} {ARGS}`;
       expect(result).toBe('Using agent: claude');
     });
 
+    it('should replace __AGENT__ with the selected assistant', () => {
+      const result = replaceVariables('Using agent: __AGENT__', { aiTool: 'gemini-cli' });
+
+      expect(result).toBe('Using agent: gemini');
+    });
+
     it('should handle shell-specific argument formats', () => {
       const psResult = replaceVariables('Command {ARGS}', {}, 'ps');
       const shResult = replaceVariables('Command {ARGS}', {}, 'sh');
@@ -415,6 +638,23 @@ Run: {SCRIPT} {ARGS}`;
       expect(psResult).toBe('Command -Json');
       expect(shResult).toBe('Command --json');
     });
+
+    it('should render conditionals on the script type', () => {
+      const content = '{{#if scriptType == "sh"}}\nbash {{ script }}\n{{else}}\npwsh {{ script }}\n{{/if}}\n';
+      const withScripts = `---\ntitle: Test Template\n---\n${content}`;
+
+      expect(replaceVariables(withScripts, {}, 'sh')).toBe('bash create-feature.sh\n');
+      expect(replaceVariables(withScripts, {}, 'ps')).toBe('pwsh create-feature.ps1\n');
+    });
+
+    it('should render loops and partials', () => {
+      const content = '{{> intro}}\n{{#each commands}}- /{{this}}\n{{/each}}';
+      const partials = { intro: 'Commands for {{ agent }}:\n' };
+
+      const result = replaceVariables(content, { commands: ['specify', 'plan'] }, 'sh', { partials });
+
+      expect(result).toBe('Commands for claude:\n- /specify\n- /plan\n');
+    });
   });
 
   describe('transformTemplatePath', () => {
@@ -427,6 +667,11 @@ Run: {SCRIPT} {ARGS}`;
       expect(transformTemplatePath('commands/test.md')).toBe(path.normalize('commands/test.md'));
     });
 
+    it('should map command templates to the assistant command directory', () => {
+      expect(transformTemplatePath('commands/specify.md', 'gemini-cli')).toBe('.gemini/commands/specify.toml');
+      expect(transformTemplatePath('commands/plan.md', 'github-copilot')).toBe('.github/prompts/plan.prompt.md');
+    });
+
     it('should handle various path inputs', () => {
       // Test with a path that doesn't contain any transformation patterns
       const result = transformTemplatePath('unknown/file.md');
@@ -4,6 +4,7 @@ import { existsSync } from 'fs';
 import { homedir } from 'os';
 import { join } from 'path';
 import chalk from 'chalk';
+import { getAssistant, getAssistantIds } from './assistants.js';
 
 /**
  * Tool detection utilities for Windows and cross-platform compatibility
@@ -287,25 +288,68 @@ export function printToolStatus(toolName, status) {
   }
 }
 
+/**
+ * Check the tool of an AI assistant, as defined in AI_ASSISTANTS
+ * @param {string} [aiTool='claude-code'] - AI assistant tool
+ * @returns {Promise<Object>} Tool status
+ */
+export async function checkAssistantTool(aiTool = 'claude-code') {
+  const { tool } = getAssistant(aiTool);
+  return checkTool(tool.command, {
+    installInstructions: tool.install,
+    localPaths: tool.localPaths
+  });
+}
+
+/**
+ * Find the AI assistants whose tool is installed
+ * Only looks the tools up, without running them for their version
+ * @returns {Promise<string[]>} Ids of the detected assistants
+ */
+export async function detectAssistants() {
+  const detected = [];
+
+  for (const aiTool of getAssistantIds()) {
+    const { tool } = getAssistant(aiTool);
+    const status = await checkTool(tool.command, { versionFlag: null, localPaths: tool.localPaths });
+    if (status.installed) {
+      detected.push(aiTool);
+    }
+  }
+
+  return detected;
+}
+
 /**
  * Check all required tools
+ * Each AI assistant's tool is reported under the assistant's agent name,
+ * e.g. `claude` or `gemini`. Optional tools, like the IDEs of Copilot and
+ * Cursor, do not fail the requirements.
+ * @param {string|string[]} [aiTools='claude-code'] - AI assistant tool, or several
  * @returns {Promise<Object>} Status of all tools
  */
-export async function checkAllTools() {
+export async function checkAllTools(aiTools = 'claude-code') {
+  const assistants = [].concat(aiTools).map(getAssistant);
+
   console.log(chalk.bold('\nChecking required tools...\n'));
   
   const gitStatus = await checkGit();
   printToolStatus('Git', gitStatus);
   
-  console.log(); // Empty line
-  
-  const claudeStatus = await checkClaudeCLI();
-  printToolStatus('Claude CLI', claudeStatus);
-  
-  return {
-    git: gitStatus,
-    claude: claudeStatus,
-    allInstalled: gitStatus.installed && claudeStatus.installed,
-    allMeetRequirements: gitStatus.installed && gitStatus.meetsMinimum && claudeStatus.installed
-  };
+  const result = { git: gitStatus };
+  let allInstalled = gitStatus.installed;
+  let allMeetRequirements = gitStatus.installed && gitStatus.meetsMinimum;
+
+  for (const assistant of assistants) {
+    console.log(); // Empty line
+
+    const assistantStatus = await checkAssistantTool(assistant.id);
+    printToolStatus(assistant.tool.name, assistantStatus);
+
+    result[assistant.agent] = assistantStatus;
+    allInstalled = allInstalled && assistantStatus.installed;
+    allMeetRequirements = allMeetRequirements && (assistantStatus.installed || !assistant.tool.required);
+  }
+
+  return { ...result, allInstalled, allMeetRequirements };
 }
\ No newline at end of file
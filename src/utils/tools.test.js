@@ -24,7 +24,9 @@ jest.unstable_mockModule('fs', () => ({
 // Mock os
 const mockHomedir = jest.fn();
 jest.unstable_mockModule('os', () => ({
-  homedir: mockHomedir
+  homedir: mockHomedir,
+  platform: jest.fn(() => 'linux'),
+  tmpdir: jest.fn(() => '/tmp')
 }));
 
 // Mock path
@@ -45,7 +47,7 @@ jest.unstable_mockModule('chalk', () => ({
   }
 }));
 
-const { checkGit, checkClaudeCLI, checkTool, printToolStatus, checkAllTools } = await import('./tools.js');
+const { checkGit, checkClaudeCLI, checkTool, printToolStatus, checkAllTools, detectAssistants } = await import('./tools.js');
 
 describe('tools', () => {
   beforeEach(() => {
@@ -494,5 +496,63 @@ describe('tools', () => {
       expect(result.allMeetRequirements).toBe(false);
       expect(result.git.meetsMinimum).toBe(false);
     });
+
+    it('should check the tool of the selected assistant', async () => {
+      mockWhich.mockImplementation((cmd) => {
+        if (cmd === 'git') return Promise.resolve('/usr/bin/git');
+        if (cmd === 'gemini') return Promise.resolve('/usr/bin/gemini');
+        return Promise.reject(new Error('not found'));
+      });
+      mockExecSync.mockImplementation((cmd) => {
+        if (cmd.includes('git')) return 'git version 2.45.0';
+        if (cmd.includes('gemini')) return '0.1.9';
+        return '';
+      });
+
+      const result = await checkAllTools('gemini-cli');
+
+      expect(result.gemini).toMatchObject({ installed: true, path: '/usr/bin/gemini' });
+      expect(result.claude).toBeUndefined();
+      expect(result.allMeetRequirements).toBe(true);
+    });
+
+    it('should not require the IDE of optional assistants', async () => {
+      mockWhich.mockImplementation((cmd) => (
+        cmd === 'git' ? Promise.resolve('/usr/bin/git') : Promise.reject(new Error('not found'))
+      ));
+      mockExecSync.mockReturnValue('git version 2.45.0');
+      mockExistsSync.mockReturnValue(false);
+
+      const result = await checkAllTools('github-copilot');
+
+      expect(result.copilot.installed).toBe(false);
+      expect(result.allInstalled).toBe(false);
+      expect(result.allMeetRequirements).toBe(true);
+    });
+
+    it('should check the tools of several assistants', async () => {
+      mockWhich.mockImplementation((cmd) => (
+        cmd === 'git' ? Promise.resolve('/usr/bin/git') : Promise.reject(new Error('not found'))
+      ));
+      mockExecSync.mockReturnValue('git version 2.45.0');
+      mockExistsSync.mockReturnValue(false);
+
+      const result = await checkAllTools(['cursor', 'gemini-cli']);
+
+      expect(result.cursor.installed).toBe(false);
+      expect(result.gemini.installed).toBe(false);
+      expect(result.allMeetRequirements).toBe(false);
+    });
+  });
+
+  describe('detectAssistants', () => {
+    it('should list the assistants whose tool is found without running it', async () => {
+      mockWhich.mockImplementation((cmd) => (
+        ['gemini', 'cursor'].includes(cmd) ? Promise.resolve(`/usr/bin/${cmd}`) : Promise.reject(new Error('not found'))
+      ));
+
+      expect(await detectAssistants()).toEqual(['gemini-cli', 'cursor']);
+      expect(mockExecSync).not.toHaveBeenCalled();
+    });
   });
-});
\ No newline at end of file
+});
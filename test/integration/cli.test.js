@@ -142,6 +142,30 @@ describe('CLI Integration Tests', () => {
     });
   });
 
+  describe('JSON output', () => {
+    it('should print a single JSON document on stdout with --json', async () => {
+      const { code, stdout, stderr } = await runCLI(['--json', 'status']);
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toHaveProperty('features');
+      expect(stderr).not.toContain('{');
+    });
+
+    it('should print errors with their type', async () => {
+      const { code, stdout } = await runCLI(['lint', 'missing-spec.md', '--json']);
+
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout).error).toMatchObject({ type: expect.any(String), message: expect.any(String) });
+    });
+
+    it('should print usage errors as JSON', async () => {
+      const { code, stdout } = await runCLI(['--json', 'unknown-command']);
+
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout).error).toMatchObject({ type: 'INVALID_INPUT', code: 'commander.unknownCommand' });
+    });
+  });
+
   describe('init command - user flow', () => {
     let tempDir;
 
@@ -184,7 +208,9 @@ describe('CLI Integration Tests', () => {
       const projectName = `test-arg-${Date.now()}`;
       const input = '1\n1\nn\n'; // Tool selection, script type, cancel
 
-      const { code, stdout, stderr } = await runCLI(['init', projectName], input);
+      // Without a terminal init uses claude-code and creates the project
+      const { code, stdout, stderr } = await runCLI(['init', projectName], input)
+        .finally(() => fs.rm(path.join(process.cwd(), projectName), { recursive: true, force: true }));
 
       // Should complete
       expect(code).toBeDefined();